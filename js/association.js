@@ -0,0 +1,67 @@
+/**
+ * Trope Association
+ * =================
+ * Pairwise co-occurrence counts, lift and phi coefficients between the
+ * trope flags
+ */
+
+import { TROPE_LABELS } from './utils.js';
+
+/**
+ * Measures a pair can be shown by
+ */
+export const ASSOCIATION_MEASURES = {
+  count: 'Songs with both',
+  lift: 'Lift',
+  phi: 'Phi (φ)'
+};
+
+/**
+ * Association statistics for one pair of tropes
+ * lift = P(a and b) / (P(a) P(b)): above 1 means the two turn up together
+ * more often than chance. phi is the correlation of the two yes/no flags,
+ * −1 to 1. Lift is null when either trope is used by no song; phi is null
+ * when either trope is used by every song or by none.
+ * @param {Object[]} schools - Schools to count over
+ * @param {string} a - Trope key
+ * @param {string} b - Trope key
+ * @returns {{a: string, b: string, n: number, countA: number, countB: number, count: number, lift: number|null, phi: number|null}}
+ */
+export function tropeAssociation(schools, a, b) {
+  const n = schools.length;
+  let countA = 0, countB = 0, count = 0;
+  schools.forEach(s => {
+    if (s[a]) countA++;
+    if (s[b]) countB++;
+    if (s[a] && s[b]) count++;
+  });
+
+  const lift = countA && countB ? (count * n) / (countA * countB) : null;
+
+  // 2×2 table: n11 both, n10 a only, n01 b only, n00 neither
+  const n11 = count;
+  const n10 = countA - count;
+  const n01 = countB - count;
+  const n00 = n - countA - countB + count;
+  const spread = countA * (n - countA) * countB * (n - countB);
+  const phi = spread ? (n11 * n00 - n10 * n01) / Math.sqrt(spread) : null;
+
+  return { a, b, n, countA, countB, count, lift, phi };
+}
+
+/**
+ * Every pair of tropes (both orders, plus each trope with itself) as a
+ * symmetric matrix
+ * @param {Object[]} schools - Schools to count over
+ * @param {string[]} [tropes] - Trope keys, defaults to all of TROPE_LABELS
+ * @returns {Object[][]} matrix[i][j] = tropeAssociation(schools, tropes[i], tropes[j])
+ */
+export function associationMatrix(schools, tropes = Object.keys(TROPE_LABELS)) {
+  const pairs = new Map();
+
+  return tropes.map((a, i) => tropes.map((b, j) => {
+    const key = i <= j ? `${a}|${b}` : `${b}|${a}`;
+    if (!pairs.has(key)) pairs.set(key, tropeAssociation(schools, a, b));
+    return pairs.get(key);
+  }));
+}
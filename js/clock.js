@@ -5,8 +5,8 @@
  * Schools shown as arc lines within each sector
  */
 
-import { getConferenceColor, isPurdue, PURDUE_COLORS, CONFERENCE_COLORS, mapRange } from './utils.js';
-import { subscribe, hoverSchool, selectSchool, getState } from './state.js';
+import { getConferenceColor, CONFERENCE_COLORS, SELECTION_COLOR, mapRange } from './utils.js';
+import { subscribe, hoverSchool, selectSchool, toggleSelection, isInSelection, isSchoolVisible, getState, isFeatured, getFeaturedColors } from './state.js';
 import tooltip from './tooltip.js';
 
 class FightSongClock {
@@ -26,9 +26,10 @@ class FightSongClock {
     };
 
     this.conferences = ['ACC', 'Big 12', 'Big Ten', 'Pac-12', 'SEC', 'Independent'];
-    this.conferenceStats = {};  // Will store avg BPM per conference
+    this.conferenceStats = {};  // Sector geometry per conference
 
     this.init();
+    this.setupResize();
     this.setupStateListeners();
   }
 
@@ -60,52 +61,44 @@ class FightSongClock {
     this.drawSchoolArcs();
     this.drawCenterLabel();
     this.drawSectorLabels();
+  }
 
-    this.setupResize();
+  /**
+   * Re-render from scratch (resize, featured school change)
+   */
+  render() {
+    this.container.innerHTML = '';
+    this.init();
   }
 
   /**
-   * Calculate conference stats - sector radius based on school count
+   * Size conference sectors from the shared conference stats - radius based on school count
    */
   calculateConferenceStats() {
-    // Get school counts per conference
-    const counts = this.conferences.map(conf =>
-      this.schools.filter(s => s.conference === conf).length
-    );
-    const countExtent = d3.extent(counts);
+    const stats = getState('conferences');
+    const countOf = conf => (stats[conf] ? stats[conf].count : 0);
+    const countExtent = d3.extent(this.conferences, countOf);
 
     this.conferences.forEach(conf => {
-      const confSchools = this.schools.filter(s => s.conference === conf);
-      const schoolCount = confSchools.length;
-
-      if (schoolCount > 0) {
-        // Map school count to radius (minOuterRadius to 1.0)
-        const normalizedRadius = mapRange(
-          schoolCount,
-          countExtent[0],
-          countExtent[1],
-          this.config.minOuterRadius,
-          1.0
-        );
-        this.conferenceStats[conf] = {
-          schoolCount,
-          schools: confSchools,
-          outerRadius: this.maxRadius * normalizedRadius
-        };
-      } else {
-        this.conferenceStats[conf] = {
-          schoolCount: 0,
-          schools: [],
-          outerRadius: this.maxRadius * this.config.minOuterRadius
-        };
-      }
+      const schoolCount = countOf(conf);
+
+      // Map school count to radius (minOuterRadius to 1.0)
+      const normalizedRadius = schoolCount > 0
+        ? mapRange(schoolCount, countExtent[0], countExtent[1], this.config.minOuterRadius, 1.0)
+        : this.config.minOuterRadius;
+
+      this.conferenceStats[conf] = {
+        schoolCount,
+        schools: schoolCount > 0 ? stats[conf].schools : [],
+        outerRadius: this.maxRadius * normalizedRadius
+      };
     });
   }
 
   addDefs() {
     const defs = this.svg.append('defs');
 
-    // Glow filter for Purdue
+    // Glow filter for the featured school
     const glowFilter = defs.append('filter')
       .attr('id', 'clock-glow')
       .attr('x', '-50%')
@@ -209,6 +202,7 @@ class FightSongClock {
 
     // Get BPM extent for mapping individual school radii
     const bpmExtent = d3.extent(this.schools, d => d.bpm);
+    const featuredColors = getFeaturedColors();
 
     // Draw arc lines for each conference
     this.conferences.forEach(conf => {
@@ -245,30 +239,47 @@ class FightSongClock {
           .endAngle(arcEnd)
           .cornerRadius(this.config.arcThickness / 2);
 
-        const isPurdueSchool = isPurdue(school);
-        const arcColor = isPurdueSchool ? PURDUE_COLORS.gold : color;
+        const isFeaturedSchool = isFeatured(school);
+        const arcColor = isFeaturedSchool ? featuredColors.primary : color;
 
         const arcPath = arcsGroup.append('path')
           .datum(school)
-          .attr('class', `school-arc ${isPurdueSchool ? 'purdue' : ''}`)
+          .attr('class', `school-arc ${isFeaturedSchool ? 'featured' : ''}`)
           .attr('d', arc)
           .attr('fill', 'none')
           .attr('stroke', arcColor)
-          .attr('stroke-width', isPurdueSchool ? 4 : this.config.arcThickness)
-          .attr('stroke-opacity', isPurdueSchool ? 1 : 0.6)
+          .attr('stroke-width', isFeaturedSchool ? 4 : this.config.arcThickness)
+          .attr('stroke-opacity', isFeaturedSchool ? 1 : 0.6)
           .style('cursor', 'pointer')
           .on('mouseenter', (event, d) => this.handleMouseEnter(event, d))
           .on('mousemove', (event, d) => this.handleMouseMove(event, d))
           .on('mouseleave', (event, d) => this.handleMouseLeave(event, d))
           .on('click', (event, d) => this.handleClick(event, d));
 
-        if (isPurdueSchool) {
+        if (isFeaturedSchool) {
           arcPath.attr('filter', 'url(#clock-glow)');
         }
       });
     });
 
     this.arcs = arcsGroup.selectAll('.school-arc');
+    this.styleSelection();
+  }
+
+  /**
+   * Draw arcs in the selection set in the selection color, on top
+   */
+  styleSelection() {
+    const featuredColors = getFeaturedColors();
+
+    this.arcs
+      .classed('in-selection', d => isInSelection(d))
+      .attr('stroke', d => {
+        if (isInSelection(d)) return SELECTION_COLOR;
+        return isFeatured(d) ? featuredColors.primary : CONFERENCE_COLORS[d.conference];
+      });
+
+    this.arcs.filter(d => isInSelection(d)).raise();
   }
 
   /**
@@ -365,6 +376,13 @@ class FightSongClock {
 
   handleClick(event, school) {
     event.stopPropagation();
+
+    // Shift-click builds up the selection set
+    if (event.shiftKey) {
+      toggleSelection(school);
+      return;
+    }
+
     selectSchool(school);
   }
 
@@ -373,44 +391,46 @@ class FightSongClock {
       .transition().duration(100)
       .attr('stroke-opacity', d => {
         if (d.school === school.school) return 1;
-        if (isPurdue(d)) return 0.5;
+        if (isFeatured(d)) return 0.5;
         return 0.15;
       })
       .attr('stroke-width', d => {
-        if (d.school === school.school) return isPurdue(d) ? 4 : 4;
-        return isPurdue(d) ? 3 : this.config.arcThickness;
+        if (d.school === school.school) return isFeatured(d) ? 4 : 4;
+        return isFeatured(d) ? 3 : this.config.arcThickness;
       });
 
     this.arcs.filter(d => d.school === school.school).raise();
   }
 
   unhighlightArc() {
-    const conference = getState('activeConference') || 'all';
-
     this.arcs
       .transition().duration(100)
       .attr('stroke-opacity', d => {
-        if (isPurdue(d)) return 1;
-        if (conference === 'all' || d.conference === conference) {
-          return 0.75;
-        }
-        return 0.15;
+        if (isFeatured(d)) return 1;
+        return isSchoolVisible(d) ? 0.75 : 0.15;
       })
-      .attr('stroke-width', d => isPurdue(d) ? 3 : this.config.arcThickness);
+      .attr('stroke-width', d => isFeatured(d) ? 3 : this.config.arcThickness);
   }
 
-  filterByConference(conference) {
-    const isAll = conference === 'all';
-
+  /**
+   * Dim arcs outside the filtered set
+   */
+  filterSchools() {
+    if (!this.arcs) return;
     this.arcs
       .transition().duration(this.config.transitionDuration)
       .attr('stroke-opacity', d => {
-        if (isPurdue(d)) return 1;
-        if (isAll || d.conference === conference) return 0.75;
-        return 0.15;
+        if (isFeatured(d)) return 1;
+        return isSchoolVisible(d) ? 0.75 : 0.15;
       });
+  }
+
+  /**
+   * Highlight the sector of the active conference
+   */
+  highlightSector(conference) {
+    const isAll = conference === 'all';
 
-    // Highlight/dim sector backgrounds
     this.conferences.forEach(conf => {
       const sector = this.sectors.select(`.sector-${conf.replace(/\s+/g, '-')}`);
       sector.transition().duration(this.config.transitionDuration)
@@ -419,8 +439,10 @@ class FightSongClock {
   }
 
   setupStateListeners() {
+    subscribe('filteredSchools', () => this.filterSchools());
+
     subscribe('activeConference', (conference) => {
-      this.filterByConference(conference);
+      this.highlightSector(conference);
     });
 
     subscribe('hoveredSchool', (school) => {
@@ -428,19 +450,28 @@ class FightSongClock {
         this.highlightArc(school);
       }
     });
+
+    subscribe('featuredSchool', () => {
+      this.render();
+      this.filterSchools();
+      this.highlightSector(getState('activeConference') || 'all');
+    });
+
+    // Listen for selection set changes
+    subscribe('selectionSet', () => this.styleSelection());
   }
 
   setupResize() {
     const resizeObserver = new ResizeObserver(() => {
-      this.container.innerHTML = '';
-      this.init();
+      this.render();
     });
     resizeObserver.observe(this.container);
   }
 
   update(state) {
+    this.filterSchools();
     if (state.activeConference) {
-      this.filterByConference(state.activeConference);
+      this.highlightSector(state.activeConference);
     }
   }
 }
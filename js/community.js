@@ -0,0 +1,219 @@
+/**
+ * Community Detection
+ * ===================
+ * Clusters in the similarity graph (Louvain or label propagation) and how
+ * well they line up with conferences
+ */
+
+/**
+ * Available methods
+ */
+export const COMMUNITY_METHODS = {
+  louvain: 'Louvain',
+  labels: 'Label propagation'
+};
+
+/**
+ * Node id of a link end, before or after d3.forceLink swaps names for nodes
+ */
+function endId(end) {
+  return typeof end === 'object' ? end.id : end;
+}
+
+/**
+ * Weighted adjacency lists over node indices
+ */
+function buildAdjacency(ids, links) {
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const adjacency = ids.map(() => new Map());
+
+  links.forEach(link => {
+    const a = index.get(endId(link.source));
+    const b = index.get(endId(link.target));
+    if (a === undefined || b === undefined || a === b) return;
+    const weight = link.similarity ?? 1;
+    adjacency[a].set(b, (adjacency[a].get(b) || 0) + weight);
+    adjacency[b].set(a, (adjacency[b].get(a) || 0) + weight);
+  });
+
+  return adjacency;
+}
+
+/**
+ * One Louvain local-moving pass over a (possibly aggregated) graph
+ * `loops[i]` is the weight of node i's self-loop.
+ * @returns {{community: number[], moved: boolean}}
+ */
+function moveNodes(adjacency, loops) {
+  const n = adjacency.length;
+  const degree = adjacency.map((neighbors, i) => d3.sum(neighbors.values()) + 2 * loops[i]);
+  const totalDegree = d3.sum(degree);
+  const community = d3.range(n);
+  const communityDegree = [...degree];
+  let moved = false;
+
+  if (!totalDegree) return { community, moved };
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+
+    for (let i = 0; i < n; i++) {
+      const current = community[i];
+      communityDegree[current] -= degree[i];
+
+      // Edge weight from i into each neighbouring community
+      const weightTo = new Map([[current, 0]]);
+      adjacency[i].forEach((weight, j) => {
+        weightTo.set(community[j], (weightTo.get(community[j]) || 0) + weight);
+      });
+
+      let best = current;
+      let bestGain = weightTo.get(current) - communityDegree[current] * degree[i] / totalDegree;
+      weightTo.forEach((weight, c) => {
+        const gain = weight - communityDegree[c] * degree[i] / totalDegree;
+        if (gain > bestGain + 1e-12) {
+          best = c;
+          bestGain = gain;
+        }
+      });
+
+      communityDegree[best] += degree[i];
+      community[i] = best;
+      if (best !== current) {
+        improved = true;
+        moved = true;
+      }
+    }
+  }
+
+  return { community, moved };
+}
+
+/**
+ * Louvain modularity optimisation
+ * @returns {number[]} Community of each node index
+ */
+function louvain(adjacency) {
+  let membership = d3.range(adjacency.length);
+  let graph = adjacency;
+  let loops = adjacency.map(() => 0);
+
+  for (;;) {
+    const { community, moved } = moveNodes(graph, loops);
+    if (!moved) break;
+
+    // Renumber communities and fold each one into a single node
+    const ids = [...new Set(community)];
+    const renumber = new Map(ids.map((c, i) => [c, i]));
+    const nextGraph = ids.map(() => new Map());
+    const nextLoops = ids.map(() => 0);
+
+    graph.forEach((neighbors, i) => {
+      const ci = renumber.get(community[i]);
+      nextLoops[ci] += loops[i];
+      neighbors.forEach((weight, j) => {
+        if (j < i) return;
+        const cj = renumber.get(community[j]);
+        if (ci === cj) {
+          nextLoops[ci] += weight;
+        } else {
+          nextGraph[ci].set(cj, (nextGraph[ci].get(cj) || 0) + weight);
+          nextGraph[cj].set(ci, (nextGraph[cj].get(ci) || 0) + weight);
+        }
+      });
+    });
+
+    membership = membership.map(node => renumber.get(community[node]));
+    graph = nextGraph;
+    loops = nextLoops;
+  }
+
+  return membership;
+}
+
+/**
+ * Weighted label propagation; ties go to the smallest label so runs repeat
+ * @returns {number[]} Community of each node index
+ */
+function labelPropagation(adjacency, maxIterations = 100) {
+  const labels = d3.range(adjacency.length);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+
+    adjacency.forEach((neighbors, i) => {
+      if (!neighbors.size) return;
+
+      const votes = new Map();
+      neighbors.forEach((weight, j) => votes.set(labels[j], (votes.get(labels[j]) || 0) + weight));
+
+      let best = labels[i];
+      let bestVotes = votes.get(best) || 0;
+      votes.forEach((count, label) => {
+        if (count > bestVotes + 1e-12 || (Math.abs(count - bestVotes) <= 1e-12 && label < best)) {
+          best = label;
+          bestVotes = count;
+        }
+      });
+
+      if (best !== labels[i]) {
+        labels[i] = best;
+        changed = true;
+      }
+    });
+
+    if (!changed) break;
+  }
+
+  return labels;
+}
+
+/**
+ * Detect communities in a graph
+ * Clusters are numbered by size, largest first.
+ * @param {string[]} ids - Node ids
+ * @param {Object[]} links - Links ({source, target, similarity})
+ * @param {string} [method] - Key of COMMUNITY_METHODS
+ * @returns {Map<string, number>} Node id -> cluster number
+ */
+export function detectCommunities(ids, links, method = 'louvain') {
+  const adjacency = buildAdjacency(ids, links);
+  const raw = method === 'labels' ? labelPropagation(adjacency) : louvain(adjacency);
+
+  const sizes = d3.rollup(raw, members => members.length, c => c);
+  const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+  const renumber = new Map(order.map((c, i) => [c, i]));
+
+  return new Map(ids.map((id, i) => [id, renumber.get(raw[i])]));
+}
+
+/**
+ * Compare clusters with conferences
+ * Purity is the share of schools that sit in their cluster's most common conference.
+ * @param {Object[]} schools - Array of school objects
+ * @param {Map<string, number>} communities - From detectCommunities()
+ * @returns {{purity: number, clusters: Object[]}} Clusters largest first, each
+ *   { id, size, conferences: [[conference, count]] (most common first), dominant, share }
+ */
+export function compareWithConferences(schools, communities) {
+  const groups = d3.group(schools, s => communities.get(s.school));
+
+  const clusters = [...groups]
+    .map(([id, members]) => {
+      const conferences = d3.rollups(members, v => v.length, s => s.conference)
+        .sort((a, b) => b[1] - a[1] || d3.ascending(a[0], b[0]));
+      return {
+        id,
+        size: members.length,
+        conferences,
+        dominant: conferences[0][0],
+        share: conferences[0][1] / members.length
+      };
+    })
+    .sort((a, b) => a.id - b.id);
+
+  const purity = schools.length ? d3.sum(clusters, c => c.conferences[0][1]) / schools.length : 0;
+
+  return { purity, clusters };
+}
@@ -0,0 +1,312 @@
+/**
+ * Comparison Drawer Module
+ * ========================
+ * Pins two to four schools side by side: metadata, an overlaid trope grid,
+ * a mini radar of normalized metrics and percentile-rank differences
+ */
+
+import { getConferenceColor, formatYear, percentileRank, TROPE_LABELS } from './utils.js';
+import { subscribe, getState, toggleComparison, clearComparison, selectSchool, hoverSchool, COMPARISON_LIMIT } from './state.js';
+
+/**
+ * Numeric fields on the radar and in the rank table
+ */
+const METRICS = [
+  { key: 'bpm', label: 'BPM' },
+  { key: 'sec_duration', label: 'Duration' },
+  { key: 'trope_count', label: 'Tropes' },
+  { key: 'number_fights', label: '"Fight" count' },
+  { key: 'year', label: 'Year' }
+];
+
+/**
+ * One color per drawer slot, so two schools from one conference stay apart
+ */
+const SLOT_COLORS = ['#4e79a7', '#f28e2b', '#59a14f', '#e15759'];
+
+/**
+ * Yes / No / Unknown for a nullable flag
+ */
+function formatFlag(value) {
+  if (value === null || value === undefined) return 'Unknown';
+  return value ? 'Yes' : 'No';
+}
+
+/**
+ * Signed percentile difference, e.g. "+18", "−4", "±0"
+ */
+function formatDifference(delta) {
+  const rounded = Math.round(delta);
+  if (rounded === 0) return '±0';
+  return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded)}`;
+}
+
+class ComparisonDrawer {
+  constructor(containerId, schools) {
+    this.container = document.getElementById(containerId);
+    this.schools = schools;
+
+    this.config = {
+      radarSize: 200,
+      radarMargin: 34
+    };
+
+    if (!this.container) return;
+
+    // Min-max ranges for the radar, over the whole dataset
+    this.ranges = new Map(METRICS.map(m => [m.key, d3.extent(schools, s => s[m.key])]));
+
+    this.init();
+    this.setupStateListeners();
+  }
+
+  /**
+   * Build the drawer shell
+   */
+  init() {
+    this.container.innerHTML = `
+      <header class="compare-header">
+        <h3 class="panel-title">Compare</h3>
+        <span class="control-label compare-count" aria-live="polite"></span>
+        <button type="button" class="control-button" data-compare="collapse" aria-expanded="true">Hide</button>
+        <button type="button" class="control-button" data-compare="clear">Clear</button>
+      </header>
+      <div class="compare-body">
+        <div class="compare-schools"></div>
+        <div class="compare-charts">
+          <figure class="compare-radar" aria-label="Normalized metrics"></figure>
+          <table class="compare-table compare-tropes"></table>
+          <table class="compare-table compare-ranks"></table>
+        </div>
+      </div>
+    `;
+
+    this.body = this.container.querySelector('.compare-body');
+
+    this.container.querySelector('[data-compare="clear"]')
+      .addEventListener('click', () => clearComparison());
+
+    const collapse = this.container.querySelector('[data-compare="collapse"]');
+    collapse.addEventListener('click', () => {
+      const open = this.body.hidden;
+      this.body.hidden = !open;
+      collapse.setAttribute('aria-expanded', String(open));
+      collapse.textContent = open ? 'Hide' : 'Show';
+    });
+
+    // Remove and focus buttons inside the school cards
+    this.container.querySelector('.compare-schools').addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-school]');
+      if (!button) return;
+      event.stopPropagation();
+
+      const school = this.schools.find(s => s.school === button.dataset.school);
+      if (button.dataset.action === 'remove') {
+        toggleComparison(school);
+      } else {
+        selectSchool(school);
+      }
+    });
+
+    this.setupKeyboard();
+    this.render(getState('comparison'));
+  }
+
+  /**
+   * "C" pins or unpins whichever school is under the pointer, in any module
+   */
+  setupKeyboard() {
+    document.addEventListener('keydown', (event) => {
+      if (event.key !== 'c' && event.key !== 'C') return;
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.target.closest?.('input, select, textarea, [contenteditable="true"]')) return;
+
+      const school = getState('hoveredSchool');
+      if (school) toggleComparison(school);
+    });
+  }
+
+  /**
+   * Render the drawer for the pinned schools
+   * @param {Object[]} pinned - Pinned schools
+   */
+  render(pinned) {
+    this.container.hidden = !pinned.length;
+    if (!pinned.length) return;
+
+    this.container.querySelector('.compare-count').textContent = pinned.length < 2
+      ? `1 of ${COMPARISON_LIMIT} pinned · pin another with "C" over any school`
+      : `${pinned.length} of ${COMPARISON_LIMIT} pinned`;
+
+    const slots = pinned.map((school, i) => ({ school, color: SLOT_COLORS[i] }));
+
+    this.renderCards(slots);
+    this.renderRadar(slots);
+    this.renderTropes(slots);
+    this.renderRanks(slots);
+  }
+
+  /**
+   * Metadata card per school
+   */
+  renderCards(slots) {
+    this.container.querySelector('.compare-schools').innerHTML = slots.map(({ school, color }) => `
+      <article class="compare-card" style="--slot-color: ${color}">
+        <header class="compare-card-header">
+          <span class="compare-dot" style="background: ${getConferenceColor(school.conference)}"></span>
+          <button type="button" class="compare-name" data-school="${school.school}" data-action="select">${school.school}</button>
+          <button type="button" class="compare-remove" data-school="${school.school}" data-action="remove" aria-label="Stop comparing ${school.school}">&times;</button>
+        </header>
+        <p class="compare-song">"${school.song_name}"</p>
+        <dl class="compare-meta">
+          <dt>Conference</dt><dd>${school.conference}</dd>
+          <dt>Writers</dt><dd>${school.writers || 'Unknown'}</dd>
+          <dt>Year</dt><dd>${formatYear(school.year)}</dd>
+          <dt>Student writer</dt><dd>${formatFlag(school.student_writer)}</dd>
+          <dt>Official song</dt><dd>${formatFlag(school.official_song)}</dd>
+          <dt>Contest</dt><dd>${formatFlag(school.contest)}</dd>
+        </dl>
+      </article>
+    `).join('');
+  }
+
+  /**
+   * Normalize a metric to [0, 1] over the dataset
+   */
+  normalize(school, key) {
+    const value = school[key];
+    if (value === null || value === undefined) return null;
+    const [min, max] = this.ranges.get(key);
+    return max > min ? (value - min) / (max - min) : 0.5;
+  }
+
+  /**
+   * Mini radar with one polygon per school
+   * Missing values (unknown years) leave a gap in the outline.
+   */
+  renderRadar(slots) {
+    const { radarSize: size, radarMargin: margin } = this.config;
+    const radius = size / 2 - margin;
+    const angle = i => (i / METRICS.length) * 2 * Math.PI;
+    const rScale = d3.scaleLinear().domain([0, 1]).range([0, radius]);
+
+    const figure = d3.select(this.container.querySelector('.compare-radar'));
+    figure.selectAll('*').remove();
+
+    const svg = figure.append('svg')
+      .attr('viewBox', `0 0 ${size} ${size}`)
+      .attr('width', size)
+      .attr('height', size);
+
+    const g = svg.append('g').attr('transform', `translate(${size / 2}, ${size / 2})`);
+
+    [0.25, 0.5, 0.75, 1].forEach(level => {
+      g.append('circle')
+        .attr('r', rScale(level))
+        .attr('fill', 'none')
+        .attr('stroke', 'rgba(255, 255, 255, 0.15)');
+    });
+
+    METRICS.forEach((metric, i) => {
+      const x = Math.sin(angle(i));
+      const y = -Math.cos(angle(i));
+
+      g.append('line')
+        .attr('x2', x * radius)
+        .attr('y2', y * radius)
+        .attr('stroke', 'rgba(255, 255, 255, 0.25)');
+
+      g.append('text')
+        .attr('x', x * (radius + 14))
+        .attr('y', y * (radius + 14))
+        .attr('text-anchor', Math.abs(x) < 0.1 ? 'middle' : (x > 0 ? 'start' : 'end'))
+        .attr('dy', '0.35em')
+        .attr('fill', '#ffffff')
+        .attr('font-size', '9px')
+        .text(metric.label);
+    });
+
+    const line = d3.lineRadial()
+      .angle((d, i) => angle(i))
+      .radius(d => rScale(d))
+      .defined(d => d !== null)
+      .curve(d3.curveLinearClosed);
+
+    g.selectAll('path.compare-polygon')
+      .data(slots)
+      .join('path')
+      .attr('class', 'compare-polygon')
+      .attr('d', ({ school }) => line(METRICS.map(m => this.normalize(school, m.key))))
+      .attr('fill', d => d.color)
+      .attr('fill-opacity', 0.15)
+      .attr('stroke', d => d.color)
+      .attr('stroke-width', 2)
+      .on('mouseenter', (event, d) => hoverSchool(d.school))
+      .on('mouseleave', () => hoverSchool(null))
+      .append('title')
+      .text(({ school }) => `${school.school}: ${METRICS.map(m => `${m.label} ${school[m.key] ?? '?'}`).join(', ')}`);
+  }
+
+  /**
+   * Trope grid: one row per trope, one column per school
+   */
+  renderTropes(slots) {
+    const header = slots.map(({ school, color }) =>
+      `<th scope="col" style="color: ${color}">${school.school}</th>`
+    ).join('');
+
+    const rows = Object.entries(TROPE_LABELS).map(([key, label]) => {
+      const shared = slots.every(({ school }) => school[key]);
+      const cells = slots.map(({ school, color }) => school[key]
+        ? `<td><span class="compare-flag" style="background: ${color}" aria-label="Yes"></span></td>`
+        : '<td><span class="compare-flag empty" aria-label="No"></span></td>'
+      ).join('');
+      return `<tr class="${shared ? 'shared' : ''}"><th scope="row">${label}</th>${cells}</tr>`;
+    }).join('');
+
+    this.container.querySelector('.compare-tropes').innerHTML = `
+      <caption>Tropes</caption>
+      <thead><tr><td></td>${header}</tr></thead>
+      <tbody>${rows}</tbody>
+    `;
+  }
+
+  /**
+   * Percentile ranks, each later school shown against the first
+   */
+  renderRanks(slots) {
+    const [base] = slots;
+    const header = slots.map(({ school, color }) =>
+      `<th scope="col" style="color: ${color}">${school.school}</th>`
+    ).join('');
+
+    const rows = METRICS.map(metric => {
+      const baseRank = percentileRank(base.school, this.schools, metric.key);
+      const cells = slots.map(({ school }, i) => {
+        const rank = percentileRank(school, this.schools, metric.key);
+        if (rank === null) return '<td>–</td>';
+
+        const difference = i > 0 && baseRank !== null
+          ? ` <span class="compare-delta">${formatDifference(rank - baseRank)}</span>`
+          : '';
+        return `<td title="${metric.label} ${school[metric.key]}">${Math.round(rank)}${difference}</td>`;
+      }).join('');
+      return `<tr><th scope="row">${metric.label}</th>${cells}</tr>`;
+    }).join('');
+
+    this.container.querySelector('.compare-ranks').innerHTML = `
+      <caption>Percentile rank (differences against ${base.school.school})</caption>
+      <thead><tr><td></td>${header}</tr></thead>
+      <tbody>${rows}</tbody>
+    `;
+  }
+
+  /**
+   * Setup state listeners
+   */
+  setupStateListeners() {
+    subscribe('comparison', (pinned) => this.render(pinned));
+  }
+}
+
+export default ComparisonDrawer;
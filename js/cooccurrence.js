@@ -0,0 +1,373 @@
+/**
+ * Trope Co-occurrence Module
+ * ==========================
+ * Which tropes turn up together: pairwise counts, lift and phi across the
+ * nine trope flags, overall or within one conference, as a symmetric
+ * heatmap or a chord diagram
+ */
+
+import { TROPE_LABELS } from './utils.js';
+import { subscribe, setSelection, getFilteredSchools } from './state.js';
+import { associationMatrix, ASSOCIATION_MEASURES } from './association.js';
+
+/**
+ * Ways to draw the pairs
+ */
+const LAYOUTS = {
+  heatmap: 'Heatmap',
+  chord: 'Chord'
+};
+
+/**
+ * Fill for pairs with no defined value
+ */
+const EMPTY_COLOR = '#1f2937';
+
+class TropeCooccurrence {
+  constructor(containerId, schools, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.measureSelect = options.measureId ? document.getElementById(options.measureId) : null;
+    this.conferenceSelect = options.conferenceId ? document.getElementById(options.conferenceId) : null;
+    this.layoutSelect = options.layoutId ? document.getElementById(options.layoutId) : null;
+    this.detail = options.detailId ? document.getElementById(options.detailId) : null;
+    this.schools = schools;
+    this.tropes = Object.keys(TROPE_LABELS);
+
+    this.measure = 'phi';
+    this.conference = 'all';
+    this.layout = 'heatmap';
+
+    // Configuration
+    this.config = {
+      margin: { top: 90, right: 20, bottom: 20, left: 90 },
+      maxCellSize: 44,
+      chordPadding: 80,
+      maxLogLift: 2              // lift colors saturate at 4× (or ¼×)
+    };
+
+    if (!this.container) return;
+
+    this.setupControls();
+    this.init();
+    this.setupResize();
+    this.setupStateListeners();
+  }
+
+  /**
+   * Measure, conference and layout pickers
+   */
+  setupControls() {
+    const fill = (select, options, value, onChange) => {
+      if (!select) return;
+      select.innerHTML = Object.entries(options)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+      select.value = value;
+      select.addEventListener('change', (e) => {
+        onChange(e.target.value);
+        this.render();
+      });
+    };
+
+    const conferences = [...new Set(this.schools.map(s => s.conference))].sort();
+
+    fill(this.measureSelect, ASSOCIATION_MEASURES, this.measure, value => { this.measure = value; });
+    fill(this.conferenceSelect,
+      Object.fromEntries([['all', 'All conferences'], ...conferences.map(c => [c, c])]),
+      this.conference,
+      value => { this.conference = value; });
+    fill(this.layoutSelect, LAYOUTS, this.layout, value => { this.layout = value; });
+  }
+
+  /**
+   * Schools the pairs are counted over: the filtered set, narrowed to the
+   * chosen conference
+   */
+  getScope() {
+    return getFilteredSchools()
+      .filter(s => this.conference === 'all' || s.conference === this.conference);
+  }
+
+  /**
+   * Initialize the chart
+   */
+  init() {
+    const rect = this.container.getBoundingClientRect();
+    this.width = rect.width || 600;
+
+    this.scope = this.getScope();
+    this.matrix = associationMatrix(this.scope, this.tropes);
+    this.colorScale = this.createColorScale();
+
+    this.showSummary();
+
+    if (this.scope.length < 2) {
+      this.container.innerHTML = '<p class="panel-note">Too few songs in this scope to compare tropes.</p>';
+      return;
+    }
+
+    if (this.layout === 'chord') {
+      this.drawChord();
+    } else {
+      this.drawHeatmap();
+    }
+  }
+
+  /**
+   * Re-render from scratch (controls, filters, resize)
+   */
+  render() {
+    this.container.innerHTML = '';
+    this.init();
+  }
+
+  /**
+   * Value of a pair under the current measure
+   */
+  getValue(pair) {
+    return pair[this.measure];
+  }
+
+  /**
+   * Color scale for the current measure: sequential for counts, diverging
+   * around "no association" (lift 1, on a log scale; phi 0) otherwise
+   */
+  createColorScale() {
+    if (this.measure === 'count') {
+      const max = d3.max(this.offDiagonalPairs(), p => p.count) || 1;
+      const scale = d3.scaleSequential(d3.interpolateViridis).domain([0, max]);
+      return value => scale(value);
+    }
+
+    if (this.measure === 'lift') {
+      const m = this.config.maxLogLift;
+      const scale = d3.scaleDiverging(d3.interpolateRdBu).domain([-m, 0, m]).clamp(true);
+      return value => (value === null ? EMPTY_COLOR : scale(value === 0 ? -m : Math.log2(value)));
+    }
+
+    const scale = d3.scaleDiverging(d3.interpolateRdBu).domain([-1, 0, 1]);
+    return value => (value === null ? EMPTY_COLOR : scale(value));
+  }
+
+  /**
+   * Each unordered pair of different tropes once
+   */
+  offDiagonalPairs() {
+    return this.matrix.flatMap((row, i) => row.filter((pair, j) => j > i));
+  }
+
+  /**
+   * Format a value of the current measure
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return '–';
+    return this.measure === 'count' ? String(value) : value.toFixed(2);
+  }
+
+  /**
+   * One-line description of a pair
+   */
+  describePair(pair) {
+    const label = pair.a === pair.b
+      ? TROPE_LABELS[pair.a]
+      : `${TROPE_LABELS[pair.a]} + ${TROPE_LABELS[pair.b]}`;
+    const lift = pair.lift === null ? '–' : pair.lift.toFixed(2);
+    const phi = pair.phi === null ? '–' : pair.phi.toFixed(2);
+    return `${label}: ${pair.count} of ${pair.n} songs · lift ${lift} · φ ${phi}`;
+  }
+
+  /**
+   * Detail line when no pair is hovered
+   */
+  showSummary() {
+    if (!this.detail) return;
+    const scope = this.conference === 'all' ? 'all conferences' : this.conference;
+    this.detail.textContent = `${this.scope.length} songs in ${scope}. Hover a pair for its numbers; click it to select the songs with both.`;
+  }
+
+  /**
+   * Hover and click behaviour shared by heatmap cells and chord ribbons
+   */
+  bindPair(selection) {
+    selection
+      .style('cursor', 'pointer')
+      .on('mouseenter', (event, d) => {
+        if (this.detail) this.detail.textContent = this.describePair(d.pair);
+        d3.select(event.currentTarget).attr('stroke', '#ffffff').attr('stroke-width', 2);
+      })
+      .on('mouseleave', (event) => {
+        this.showSummary();
+        d3.select(event.currentTarget).attr('stroke', null).attr('stroke-width', null);
+      })
+      .on('click', (event, d) => {
+        event.stopPropagation();
+        this.selectPair(d.pair);
+      });
+
+    selection.append('title').text(d => this.describePair(d.pair));
+  }
+
+  /**
+   * Select the songs in scope that have both tropes of a pair
+   */
+  selectPair(pair) {
+    setSelection(this.scope.filter(s => s[pair.a] && s[pair.b]));
+  }
+
+  /**
+   * Symmetric grid; the diagonal shows how many songs use each trope
+   */
+  drawHeatmap() {
+    const { margin, maxCellSize } = this.config;
+    const n = this.tropes.length;
+    const cellSize = Math.max(16, Math.min(maxCellSize, (this.width - margin.left - margin.right) / n));
+    const size = cellSize * n;
+    const width = size + margin.left + margin.right;
+    const height = size + margin.top + margin.bottom;
+
+    const svg = d3.select(this.container)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', height)
+      .attr('viewBox', `0 0 ${width} ${height}`)
+      .attr('preserveAspectRatio', 'xMidYMin meet');
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+    // Row and column labels
+    g.selectAll('text.row-label')
+      .data(this.tropes)
+      .join('text')
+      .attr('class', 'row-label')
+      .attr('x', -8)
+      .attr('y', (d, i) => (i + 0.5) * cellSize)
+      .attr('text-anchor', 'end')
+      .attr('dominant-baseline', 'middle')
+      .attr('fill', 'var(--text-secondary)')
+      .attr('font-size', '11px')
+      .text(d => TROPE_LABELS[d]);
+
+    g.selectAll('text.column-label')
+      .data(this.tropes)
+      .join('text')
+      .attr('class', 'column-label')
+      .attr('transform', (d, i) => `translate(${(i + 0.5) * cellSize}, -8) rotate(-45)`)
+      .attr('text-anchor', 'start')
+      .attr('fill', 'var(--text-secondary)')
+      .attr('font-size', '11px')
+      .text(d => TROPE_LABELS[d]);
+
+    const cells = this.matrix.flatMap((row, i) => row.map((pair, j) => ({ pair, row: i, column: j })));
+
+    const cell = g.selectAll('g.pair-cell')
+      .data(cells)
+      .join('g')
+      .attr('class', 'pair-cell')
+      .attr('transform', d => `translate(${d.column * cellSize}, ${d.row * cellSize})`);
+
+    cell.append('rect')
+      .attr('width', cellSize - 2)
+      .attr('height', cellSize - 2)
+      .attr('rx', 2)
+      .attr('fill', d => (d.row === d.column ? 'var(--bg-tertiary)' : this.colorScale(this.getValue(d.pair))))
+      .call(selection => this.bindPair(selection));
+
+    // Values in the cells when there is room
+    if (cellSize >= 28) {
+      cell.append('text')
+        .attr('x', (cellSize - 2) / 2)
+        .attr('y', (cellSize - 2) / 2)
+        .attr('text-anchor', 'middle')
+        .attr('dominant-baseline', 'middle')
+        .attr('font-size', '10px')
+        .attr('fill', '#ffffff')
+        .style('pointer-events', 'none')
+        .text(d => (d.row === d.column ? d.pair.count : this.formatValue(this.getValue(d.pair))));
+    }
+  }
+
+  /**
+   * Chord diagram: ribbon width is the number of songs with both tropes,
+   * ribbon color the chosen measure
+   */
+  drawChord() {
+    const size = Math.min(this.width, 520);
+    const outerRadius = size / 2 - this.config.chordPadding;
+    const innerRadius = outerRadius - 12;
+
+    const counts = this.matrix.map((row, i) => row.map((pair, j) => (i === j ? 0 : pair.count)));
+    const chords = d3.chord()
+      .padAngle(0.04)
+      .sortSubgroups(d3.descending)(counts);
+
+    const svg = d3.select(this.container)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', size)
+      .attr('viewBox', `${-size / 2} ${-size / 2} ${size} ${size}`)
+      .attr('preserveAspectRatio', 'xMidYMin meet');
+
+    const arc = d3.arc().innerRadius(innerRadius).outerRadius(outerRadius);
+
+    const group = svg.append('g')
+      .selectAll('g.trope-group')
+      .data(chords.groups)
+      .join('g')
+      .attr('class', 'trope-group');
+
+    group.append('path')
+      .attr('d', arc)
+      .attr('fill', 'var(--text-secondary)')
+      .attr('opacity', 0.8)
+      .append('title')
+      .text(d => `${TROPE_LABELS[this.tropes[d.index]]}: ${this.matrix[d.index][d.index].count} songs`);
+
+    group.append('text')
+      .each(d => { d.angle = (d.startAngle + d.endAngle) / 2; })
+      .attr('transform', d => `rotate(${d.angle * 180 / Math.PI - 90}) translate(${outerRadius + 6}) ${d.angle > Math.PI ? 'rotate(180)' : ''}`)
+      .attr('text-anchor', d => (d.angle > Math.PI ? 'end' : 'start'))
+      .attr('dominant-baseline', 'middle')
+      .attr('fill', 'var(--text-secondary)')
+      .attr('font-size', '11px')
+      .text(d => TROPE_LABELS[this.tropes[d.index]]);
+
+    svg.append('g')
+      .attr('fill-opacity', 0.75)
+      .selectAll('path.pair-ribbon')
+      .data(chords.map(chord => ({ chord, pair: this.matrix[chord.source.index][chord.target.index] })))
+      .join('path')
+      .attr('class', 'pair-ribbon')
+      .attr('d', d => d3.ribbon().radius(innerRadius)(d.chord))
+      .attr('fill', d => this.colorScale(this.getValue(d.pair)))
+      .call(selection => this.bindPair(selection));
+  }
+
+  /**
+   * Setup state listeners
+   */
+  setupStateListeners() {
+    // Counts follow the filtered set
+    subscribe('filteredSchools', () => this.render());
+  }
+
+  /**
+   * Setup resize handler
+   */
+  setupResize() {
+    const resizeObserver = new ResizeObserver(() => {
+      this.render();
+    });
+
+    resizeObserver.observe(this.container);
+  }
+
+  /**
+   * Update visualization
+   */
+  update() {
+    this.render();
+  }
+}
+
+export default TropeCooccurrence;
@@ -0,0 +1,175 @@
+/**
+ * Filter Panel Module
+ * ===================
+ * Form for building the composable field filter, generated from FILTER_FIELDS
+ */
+
+import { subscribe, getState, setFilter, getFilteredSchools } from './state.js';
+import { FILTER_FIELDS, EMPTY_FILTER } from './filters.js';
+
+class FilterPanel {
+  constructor(containerId, schools) {
+    this.container = document.getElementById(containerId);
+    this.toggle = document.querySelector(`[aria-controls="${containerId}"]`);
+    this.schools = schools;
+
+    if (!this.container) return;
+
+    this.init();
+    this.setupStateListeners();
+  }
+
+  /**
+   * Build the form
+   */
+  init() {
+    const fields = Object.entries(FILTER_FIELDS);
+
+    this.container.innerHTML = `
+      <div class="filter-panel-header">
+        <label class="control-label">
+          Show schools matching
+          <select class="control-select" data-filter="logic">
+            <option value="and">all</option>
+            <option value="or">any</option>
+          </select>
+          of these rules
+        </label>
+        <span class="control-label filter-count" aria-live="polite"></span>
+        <button type="button" class="control-button" data-filter="reset">Reset</button>
+      </div>
+      <div class="filter-fields">
+        ${fields.map(([key, spec]) => this.renderField(key, spec)).join('')}
+      </div>
+    `;
+
+    this.container.addEventListener('change', () => setFilter(this.readFilter()));
+    this.container.querySelector('[data-filter="reset"]')
+      .addEventListener('click', () => setFilter(EMPTY_FILTER));
+
+    if (this.toggle) {
+      this.toggle.addEventListener('click', () => {
+        const open = this.container.hidden;
+        this.container.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', String(open));
+      });
+    }
+
+    this.writeFilter(getState('filter'));
+    this.updateCount();
+  }
+
+  /**
+   * Markup for one field's inputs
+   */
+  renderField(key, spec) {
+    const id = `filter-${key}`;
+    const unknown = spec.nullable
+      ? `<label class="filter-unknown"><input type="checkbox" data-bound="unknown"> incl. unknown</label>`
+      : '';
+
+    if (spec.type === 'flag') {
+      return `
+        <div class="filter-field" data-field="${key}">
+          <label class="control-label" for="${id}">${spec.label}</label>
+          <select id="${id}" class="control-select" data-bound="value">
+            <option value="">Any</option>
+            <option value="yes">Yes</option>
+            <option value="no">No</option>
+          </select>
+          ${unknown}
+        </div>
+      `;
+    }
+
+    const [min, max] = d3.extent(this.schools, s => s[key]);
+    return `
+      <div class="filter-field" data-field="${key}">
+        <label class="control-label" for="${id}">${spec.label}</label>
+        <input id="${id}" type="number" class="control-input" data-bound="min" placeholder="${min}" aria-label="${spec.label} minimum">
+        <span class="control-label">–</span>
+        <input type="number" class="control-input" data-bound="max" placeholder="${max}" aria-label="${spec.label} maximum">
+        ${unknown}
+      </div>
+    `;
+  }
+
+  /**
+   * Build a filter model from the form
+   * Fields left blank (or at "Any") contribute no rule.
+   * @returns {Object}
+   */
+  readFilter() {
+    const rules = [];
+
+    this.container.querySelectorAll('.filter-field').forEach(row => {
+      const field = row.dataset.field;
+      const input = bound => row.querySelector(`[data-bound="${bound}"]`);
+      const unknown = input('unknown')?.checked ? 'include' : 'exclude';
+
+      if (FILTER_FIELDS[field].type === 'flag') {
+        const value = input('value').value;
+        if (value) rules.push({ field, value: value === 'yes', unknown });
+        return;
+      }
+
+      const [min, max] = ['min', 'max'].map(bound => {
+        const value = input(bound).value;
+        return value === '' ? null : Number(value);
+      });
+      if (min !== null || max !== null) rules.push({ field, min, max, unknown });
+    });
+
+    return {
+      logic: this.container.querySelector('[data-filter="logic"]').value,
+      rules
+    };
+  }
+
+  /**
+   * Show a filter model in the form
+   * @param {Object} filter - Filter model
+   */
+  writeFilter(filter) {
+    const rules = new Map(filter.rules.map(rule => [rule.field, rule]));
+
+    this.container.querySelector('[data-filter="logic"]').value = filter.logic;
+
+    this.container.querySelectorAll('.filter-field').forEach(row => {
+      const rule = rules.get(row.dataset.field);
+      const input = bound => row.querySelector(`[data-bound="${bound}"]`);
+
+      if (FILTER_FIELDS[row.dataset.field].type === 'flag') {
+        input('value').value = rule ? (rule.value ? 'yes' : 'no') : '';
+      } else {
+        input('min').value = rule?.min ?? '';
+        input('max').value = rule?.max ?? '';
+      }
+      if (input('unknown')) {
+        input('unknown').checked = rule?.unknown === 'include';
+      }
+    });
+
+    if (this.toggle) {
+      this.toggle.textContent = filter.rules.length ? `Filters (${filter.rules.length})` : 'Filters';
+    }
+  }
+
+  /**
+   * Show how many schools survive every filter
+   */
+  updateCount() {
+    this.container.querySelector('.filter-count').textContent =
+      `${getFilteredSchools().length} of ${this.schools.length} schools shown`;
+  }
+
+  /**
+   * Setup state listeners
+   */
+  setupStateListeners() {
+    subscribe('filter', (filter) => this.writeFilter(filter));
+    subscribe('filteredSchools', () => this.updateCount());
+  }
+}
+
+export default FilterPanel;
@@ -0,0 +1,151 @@
+/**
+ * Filter Engine
+ * =============
+ * Composable predicates over school records, combined with AND/OR logic
+ *
+ * A filter is { logic: 'and' | 'or', rules: [...] } where each rule is either
+ *   { field, min, max, unknown }   for range fields (min/max may be null)
+ *   { field, value, unknown }      for yes/no fields
+ * `unknown` decides whether schools with no value for the field (e.g. year
+ * "Unknown") pass the rule: 'include' or 'exclude' (the default).
+ */
+
+import { TROPE_LABELS } from './utils.js';
+
+/**
+ * Fields a filter can test
+ */
+export const FILTER_FIELDS = {
+  bpm: { label: 'BPM', type: 'range' },
+  sec_duration: { label: 'Duration (s)', type: 'range' },
+  year: { label: 'Year', type: 'range', nullable: true },
+  trope_count: { label: 'Trope count', type: 'range' },
+  number_fights: { label: '"Fight" count', type: 'range' },
+  ...Object.fromEntries(Object.entries(TROPE_LABELS).map(([key, label]) => [key, { label, type: 'flag' }])),
+  student_writer: { label: 'Student writer', type: 'flag', nullable: true },
+  official_song: { label: 'Official song', type: 'flag' },
+  contest: { label: 'Written for a contest', type: 'flag' }
+};
+
+/**
+ * Filter that lets every school through
+ */
+export const EMPTY_FILTER = Object.freeze({ logic: 'and', rules: Object.freeze([]) });
+
+/**
+ * Check one rule against a school
+ * @param {Object} school - School data object
+ * @param {Object} rule - Range or flag rule
+ * @returns {boolean}
+ */
+export function matchesRule(school, rule) {
+  const spec = FILTER_FIELDS[rule.field];
+  if (!spec) return true;
+
+  const value = school[rule.field];
+  if (value === null || value === undefined) {
+    return rule.unknown === 'include';
+  }
+
+  if (spec.type === 'flag') {
+    return value === rule.value;
+  }
+
+  return (rule.min === null || rule.min === undefined || value >= rule.min) &&
+    (rule.max === null || rule.max === undefined || value <= rule.max);
+}
+
+/**
+ * Check a whole filter against a school
+ * @param {Object} school - School data object
+ * @param {Object} filter - Filter model
+ * @returns {boolean}
+ */
+export function matchesFilter(school, filter) {
+  if (!filter || !filter.rules.length) return true;
+
+  return filter.logic === 'or'
+    ? filter.rules.some(rule => matchesRule(school, rule))
+    : filter.rules.every(rule => matchesRule(school, rule));
+}
+
+/**
+ * Schools that pass a filter
+ * @param {Object[]} schools - Array of school objects
+ * @param {Object} filter - Filter model
+ * @returns {Object[]}
+ */
+export function applyFilter(schools, filter) {
+  return schools.filter(school => matchesFilter(school, filter));
+}
+
+/**
+ * Check a school against parallel-coordinate brushes
+ * Yes/no fields brush as 1/0; a school with no value fails a brush on that field.
+ * @param {Object} school - School data object
+ * @param {Object} brushes - Field -> [min, max]
+ * @returns {boolean}
+ */
+export function matchesBrushes(school, brushes) {
+  return Object.entries(brushes).every(([field, [min, max]]) => {
+    const value = school[field];
+    if (value === null || value === undefined) return false;
+
+    const numeric = Number(value);
+    return numeric >= min && numeric <= max;
+  });
+}
+
+/**
+ * Encode a filter for a URL
+ * e.g. "or;bpm:120..160;year:..1930*;fight:yes" ("*" includes unknown values)
+ * @param {Object} filter - Filter model
+ * @returns {string|null} Null for an empty filter
+ */
+export function serializeFilter(filter) {
+  if (!filter || !filter.rules.length) return null;
+
+  const rules = filter.rules.map(rule => {
+    const spec = FILTER_FIELDS[rule.field];
+    const body = spec.type === 'flag'
+      ? (rule.value ? 'yes' : 'no')
+      : `${rule.min ?? ''}..${rule.max ?? ''}`;
+    return `${rule.field}:${body}${rule.unknown === 'include' ? '*' : ''}`;
+  });
+
+  return [filter.logic, ...rules].join(';');
+}
+
+/**
+ * Decode a filter from serializeFilter()
+ * @param {string} text - Encoded filter
+ * @returns {Object|undefined} Filter model, or undefined if malformed
+ */
+export function parseFilter(text) {
+  const [logic, ...parts] = text.split(';');
+  if (logic !== 'and' && logic !== 'or') return undefined;
+
+  const rules = [];
+  for (const part of parts) {
+    const match = part.match(/^(\w+):([^*]*)(\*?)$/);
+    const spec = match && FILTER_FIELDS[match[1]];
+    if (!spec) return undefined;
+
+    const rule = { field: match[1], unknown: match[3] ? 'include' : 'exclude' };
+
+    if (spec.type === 'flag') {
+      if (match[2] !== 'yes' && match[2] !== 'no') return undefined;
+      rule.value = match[2] === 'yes';
+    } else {
+      const range = match[2].match(/^(-?[\d.]*)\.\.(-?[\d.]*)$/);
+      if (!range) return undefined;
+      rule.min = range[1] === '' ? null : Number(range[1]);
+      rule.max = range[2] === '' ? null : Number(range[2]);
+      if (Number.isNaN(rule.min) || Number.isNaN(rule.max)) return undefined;
+    }
+
+    rules.push(rule);
+  }
+
+  return { logic, rules };
+}
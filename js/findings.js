@@ -0,0 +1,399 @@
+/**
+ * Key Findings Module
+ * ===================
+ * Ranked, templated insights computed from the dataset for the Act 3 poster
+ */
+
+import { getConferenceFullName } from './utils.js';
+import { getState } from './state.js';
+
+/**
+ * Metrics the findings can talk about
+ * `stat` is the generateConferenceStats() field, `value` reads one school
+ * (null when the dataset doesn't know). Rate metrics describe the share of
+ * songs with a feature, among the songs where it is known.
+ */
+const METRICS = {
+  bpm: {
+    stat: 'avgBpm',
+    value: s => s.bpm,
+    format: v => `${Math.round(v)} BPM`,
+    extremes: {
+      high: { title: '{conference} leads in tempo', word: 'fastest' },
+      low: { title: '{conference} keeps it slow', word: 'slowest' }
+    },
+    era: { higher: 'Older songs are faster', lower: 'Older songs are slower' },
+    outlier: {
+      high: { title: '{school} sets the pace', word: 'faster' },
+      low: { title: '{school} takes its time', word: 'slower' }
+    }
+  },
+  sec_duration: {
+    stat: 'avgDuration',
+    value: s => s.sec_duration,
+    format: v => `${Math.round(v)} seconds`,
+    extremes: {
+      high: { title: '{conference} plays it long', word: 'longest' },
+      low: { title: '{conference} keeps it short', word: 'shortest' }
+    },
+    era: { higher: 'Older songs run longer', lower: 'Older songs are shorter' },
+    outlier: {
+      high: { title: '{school} goes the distance', word: 'longer' },
+      low: { title: '{school} keeps it brief', word: 'shorter' }
+    }
+  },
+  trope_count: {
+    stat: 'avgTropes',
+    value: s => s.trope_count,
+    format: v => (Number.isInteger(v) ? `${v} trope${v === 1 ? '' : 's'}` : `${v.toFixed(1)} tropes`),
+    extremes: {
+      high: { title: '{conference} packs in the tropes', word: 'most trope-heavy' },
+      low: { title: '{conference} keeps it minimal', word: 'most minimal' }
+    },
+    era: { higher: 'Older songs are busier', lower: 'Older songs are simpler' },
+    outlier: {
+      high: { title: '{school} piles on the tropes', word: 'more trope-heavy' },
+      low: { title: '{school} skips the tropes', word: 'more minimal' }
+    }
+  },
+  fight: {
+    rate: true,
+    stat: 'fightRate',
+    value: s => (s.fight ? 1 : 0),
+    phrase: 'say "fight"',
+    extremes: {
+      high: { title: '{conference} loves "fight" words' },
+      low: { title: '{conference} avoids "fight"' }
+    },
+    era: { higher: '"Fight" was an early favorite', lower: '"Fight" caught on later' }
+  },
+  victory: {
+    rate: true,
+    stat: 'victoryRate',
+    value: s => (s.victory || s.win_won ? 1 : 0),
+    phrase: 'sing of victory or winning',
+    extremes: {
+      high: { title: '{conference} sings of victory' },
+      low: { title: '{conference} rarely sings of victory' }
+    },
+    era: { higher: 'Victory talk has faded', lower: 'Victory talk is a modern habit' }
+  },
+  spelling: {
+    rate: true,
+    stat: 'spellingRate',
+    value: s => (s.spelling ? 1 : 0),
+    phrase: 'spell something out',
+    extremes: {
+      high: { title: '{conference} spells it out' },
+      low: { title: '{conference} rarely spells' }
+    },
+    era: { higher: 'Spelling is an old tradition', lower: 'Spelling is a newer trick' }
+  },
+  rah: {
+    rate: true,
+    stat: 'rahRate',
+    value: s => (s.rah ? 1 : 0),
+    phrase: 'shout "rah"',
+    extremes: {
+      high: { title: '{conference} brings the "rah"' },
+      low: { title: '{conference} skips the "rah"' }
+    },
+    era: { higher: '"Rah" belongs to the old songs', lower: '"Rah" came later' }
+  },
+  student_writer: {
+    rate: true,
+    stat: 'studentWriterRate',
+    value: s => (s.student_writer === null || s.student_writer === undefined ? null : Number(s.student_writer)),
+    phrase: 'were written by students',
+    extremes: {
+      high: { title: '{conference} lets students write' },
+      low: { title: '{conference} hires the pros' }
+    },
+    era: { higher: 'Students wrote the early songs', lower: 'Student writers came later' }
+  }
+};
+
+/**
+ * Fill {placeholders} in a template
+ */
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * A metric's values for some schools, leaving out the unknown ones
+ */
+function knownValues(schools, metric) {
+  return schools.map(metric.value).filter(v => v !== null && v !== undefined);
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function deviation(values) {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - m) ** 2)));
+}
+
+/**
+ * z statistic for the difference between two group means
+ * Every insight type is scored this way so they rank on one scale.
+ */
+function groupScore(groupA, groupB, sd) {
+  if (!sd || !groupA.length || !groupB.length) return 0;
+  return (mean(groupA) - mean(groupB)) / (sd * Math.sqrt(1 / groupA.length + 1 / groupB.length));
+}
+
+function formatValue(metric, value) {
+  return metric.rate ? `${Math.round(value * 100)}%` : metric.format(value);
+}
+
+/**
+ * Conference extremes: the highest and lowest conference for each metric
+ */
+function findExtremes(schools, conferenceStats, config) {
+  const findings = [];
+
+  config.metrics.forEach(key => {
+    const metric = METRICS[key];
+    const all = knownValues(schools, metric);
+    if (!all.length) return;
+    const sd = deviation(all);
+    const overall = formatValue(metric, mean(all));
+
+    const ranked = Object.keys(conferenceStats)
+      .filter(conf => conferenceStats[conf].count >= config.minGroupSize && conferenceStats[conf][metric.stat] !== null)
+      .sort((a, b) => conferenceStats[b][metric.stat] - conferenceStats[a][metric.stat]);
+    if (ranked.length < 2) return;
+
+    [['high', ranked[0]], ['low', ranked[ranked.length - 1]]].forEach(([direction, conference]) => {
+      const inside = knownValues(schools.filter(s => s.conference === conference), metric);
+      const outside = knownValues(schools.filter(s => s.conference !== conference), metric);
+      const score = groupScore(inside, outside, sd);
+      if ((direction === 'high') !== (score > 0)) return;
+
+      const template = metric.extremes[direction];
+      const values = {
+        conference,
+        fullName: getConferenceFullName(conference),
+        value: formatValue(metric, conferenceStats[conference][metric.stat]),
+        overall,
+        word: template.word,
+        phrase: metric.phrase,
+        rank: direction === 'high' ? 'highest' : 'lowest'
+      };
+
+      findings.push({
+        type: 'extremes',
+        metric: key,
+        score: Math.abs(score),
+        title: fill(template.title, values),
+        text: fill(metric.rate ? config.templates.extremeRate : config.templates.extreme, values)
+      });
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Era comparisons: the earliest era against the latest for each metric
+ */
+function findEraContrasts(schools, conferenceStats, config) {
+  const dated = schools.filter(s => s.year !== null && s.year !== undefined);
+  const first = config.eraBreaks[0];
+  const last = config.eraBreaks[config.eraBreaks.length - 1];
+  const early = dated.filter(s => s.year < first);
+  const late = dated.filter(s => s.year >= last);
+  if (early.length < config.minGroupSize || late.length < config.minGroupSize) return [];
+
+  return config.metrics.map(key => {
+    const metric = METRICS[key];
+    const earlyValues = knownValues(early, metric);
+    const lateValues = knownValues(late, metric);
+    if (earlyValues.length < config.minGroupSize || lateValues.length < config.minGroupSize) return null;
+
+    const sd = deviation(knownValues(dated, metric));
+    const score = groupScore(earlyValues, lateValues, sd);
+    if (!score) return null;
+
+    const values = {
+      early: `before ${first}`,
+      late: `${last} and later`,
+      earlyCount: earlyValues.length,
+      lateCount: lateValues.length,
+      earlyValue: formatValue(metric, mean(earlyValues)),
+      lateValue: formatValue(metric, mean(lateValues)),
+      phrase: metric.phrase
+    };
+
+    return {
+      type: 'era',
+      metric: key,
+      score: Math.abs(score),
+      title: score > 0 ? metric.era.higher : metric.era.lower,
+      text: fill(metric.rate ? config.templates.eraRate : config.templates.era, values)
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Outliers: individual songs far from the average on a numeric metric
+ */
+function findOutliers(schools, conferenceStats, config) {
+  const findings = [];
+
+  config.metrics.filter(key => METRICS[key].outlier).forEach(key => {
+    const metric = METRICS[key];
+    const all = knownValues(schools, metric);
+    const avg = mean(all);
+    const sd = deviation(all);
+    if (!sd) return;
+
+    schools.forEach(school => {
+      if (metric.value(school) === null || metric.value(school) === undefined) return;
+      const z = (metric.value(school) - avg) / sd;
+      if (Math.abs(z) < config.outlierThreshold) return;
+
+      const template = metric.outlier[z > 0 ? 'high' : 'low'];
+      const values = {
+        school: school.school,
+        song: school.song_name,
+        value: formatValue(metric, metric.value(school)),
+        overall: formatValue(metric, avg),
+        deviations: Math.abs(z).toFixed(1),
+        word: template.word
+      };
+
+      findings.push({
+        type: 'outliers',
+        metric: key,
+        school: school.school,
+        score: Math.abs(z),
+        title: fill(template.title, values),
+        text: fill(config.templates.outlier, values)
+      });
+    });
+  });
+
+  return findings;
+}
+
+const INSIGHT_TYPES = {
+  extremes: findExtremes,
+  era: findEraContrasts,
+  outliers: findOutliers
+};
+
+/**
+ * Default findings configuration
+ */
+export const DEFAULT_FINDINGS_CONFIG = {
+  types: ['extremes', 'era', 'outliers'],
+  metrics: ['bpm', 'sec_duration', 'trope_count', 'fight', 'victory', 'spelling', 'rah', 'student_writer'],
+  limit: 3,
+  maxPerType: 1,
+  maxPerMetric: 1,
+  minGroupSize: 3,        // smallest conference or era worth generalizing about
+  minScore: 1.5,          // weakest z statistic worth reporting
+  eraBreaks: [1920, 1950],
+  outlierThreshold: 2,    // standard deviations from the mean
+  templates: {
+    extreme: 'With an average of {value}, {conference} fight songs are the {word} of any conference ({overall} overall).',
+    extremeRate: '{value} of {conference} fight songs {phrase} - the {rank} share among conferences ({overall} overall).',
+    era: 'Songs from {early} average {earlyValue} vs {lateValue} for songs from {late}.',
+    eraRate: '{earlyValue} of songs from {early} {phrase}, compared with {lateValue} of songs from {late}.',
+    outlier: 'At {value}, {school}\'s "{song}" is {deviations} standard deviations {word} than the average fight song ({overall}).'
+  }
+};
+
+/**
+ * Compute ranked findings
+ * @param {Object[]} schools - Array of school objects
+ * @param {Object} conferenceStats - Output of generateConferenceStats()
+ * @param {Object} config - Findings configuration (see DEFAULT_FINDINGS_CONFIG)
+ * @returns {Object[]} Findings ({type, metric, score, title, text}), strongest first
+ */
+export function generateFindings(schools, conferenceStats, config = DEFAULT_FINDINGS_CONFIG) {
+  const candidates = config.types
+    .filter(type => INSIGHT_TYPES[type])
+    .flatMap(type => INSIGHT_TYPES[type](schools, conferenceStats, config))
+    .filter(finding => finding.score >= config.minScore)
+    .sort((a, b) => b.score - a.score);
+
+  const perType = {};
+  const perMetric = {};
+  const selected = [];
+
+  candidates.forEach(finding => {
+    if (selected.length >= config.limit) return;
+    if ((perType[finding.type] || 0) >= config.maxPerType) return;
+    if ((perMetric[finding.metric] || 0) >= config.maxPerMetric) return;
+
+    perType[finding.type] = (perType[finding.type] || 0) + 1;
+    perMetric[finding.metric] = (perMetric[finding.metric] || 0) + 1;
+    selected.push(finding);
+  });
+
+  return selected;
+}
+
+class KeyFindings {
+  constructor(containerId, schools, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.schools = schools;
+
+    this.config = {
+      ...DEFAULT_FINDINGS_CONFIG,
+      ...options,
+      templates: { ...DEFAULT_FINDINGS_CONFIG.templates, ...options.templates }
+    };
+
+    this.findings = [];
+
+    this.init();
+  }
+
+  init() {
+    this.findings = generateFindings(this.schools, getState('conferences'), this.config);
+    this.render();
+  }
+
+  /**
+   * Render findings into the list using the poster's finding markup
+   */
+  render() {
+    const items = d3.select(this.container)
+      .selectAll('li.finding-item')
+      .data(this.findings)
+      .join(enter => {
+        const li = enter.append('li').attr('class', 'finding-item');
+        li.append('span').attr('class', 'finding-number');
+        const content = li.append('div').attr('class', 'finding-content');
+        content.append('strong');
+        content.append('p');
+        return li;
+      });
+
+    items.attr('data-type', d => d.type);
+    items.select('.finding-number').text((d, i) => i + 1);
+    items.select('strong').text(d => d.title);
+    items.select('p').text(d => d.text);
+  }
+
+  /**
+   * Change which insight types (or any other option) are shown
+   * @param {Object} options - Partial findings configuration
+   */
+  configure(options) {
+    this.config = {
+      ...this.config,
+      ...options,
+      templates: { ...this.config.templates, ...options.templates }
+    };
+    this.init();
+  }
+}
+
+export default KeyFindings;
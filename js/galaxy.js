@@ -2,11 +2,11 @@
  * Hero Map Module (was Energy Galaxy)
  * ====================================
  * Full-screen USA map with schools at their geographic locations
- * Purdue highlighted as the protagonist
+ * The featured school is highlighted as the protagonist
  */
 
-import { getConferenceColor, isPurdue, PURDUE_COLORS, calculateEnergyScore, getRelativeMousePosition, FONT_FAMILY } from './utils.js';
-import { subscribe, hoverSchool, selectSchool, getState } from './state.js';
+import { getConferenceColor, calculateEnergyScore, getRelativeMousePosition, FONT_FAMILY } from './utils.js';
+import { subscribe, hoverSchool, selectSchool, toggleSelection, isSchoolVisible, getState, isFeatured, getFeaturedColors } from './state.js';
 import tooltip from './tooltip.js';
 
 class EnergyGalaxy {
@@ -24,7 +24,7 @@ class EnergyGalaxy {
 
     // Configuration
     this.config = {
-      purdueRadius: 29,
+      featuredRadius: 29,
       baseRadius: 6,
       radiusMultiplier: 1.2,
       pulseIntensity: 0.25,
@@ -114,31 +114,37 @@ class EnergyGalaxy {
    * Create marker objects from school data
    */
   createMarkers() {
+    const featuredColors = getFeaturedColors();
+
     this.markers = this.schools.map(school => {
       const coords = this.projection([school.lng, school.lat]);
       const energy = calculateEnergyScore(school);
+      const featured = isFeatured(school);
 
       return {
         school,
         x: coords ? coords[0] : -1000,
         y: coords ? coords[1] : -1000,
-        size: isPurdue(school)
-          ? this.config.purdueRadius
+        size: featured
+          ? this.config.featuredRadius
           : this.config.baseRadius + school.trope_count * this.config.radiusMultiplier,
-        color: isPurdue(school) ? PURDUE_COLORS.gold : getConferenceColor(school.conference),
-        glowColor: isPurdue(school) ? PURDUE_COLORS.goldGlow : `${getConferenceColor(school.conference)}60`,
+        color: featured ? featuredColors.primary : getConferenceColor(school.conference),
+        glowColor: featured ? featuredColors.glow : `${getConferenceColor(school.conference)}60`,
         pulseSpeed: school.bpm / 60,
         energy,
-        isPurdue: isPurdue(school)
+        isFeatured: featured
       };
     });
 
-    // Sort so Purdue is drawn last (on top)
+    // Sort so the featured school is drawn last (on top)
     this.markers.sort((a, b) => {
-      if (a.isPurdue) return 1;
-      if (b.isPurdue) return -1;
+      if (a.isFeatured) return 1;
+      if (b.isFeatured) return -1;
       return 0;
     });
+
+    this.hoveredMarker = null;
+    this.selectedMarker = null;
   }
 
   /**
@@ -175,7 +181,7 @@ class EnergyGalaxy {
     // Click for selection
     this.canvas.addEventListener('click', (e) => {
       const pos = getRelativeMousePosition(e, this.canvas);
-      this.handleClick(pos.x, pos.y);
+      this.handleClick(pos.x, pos.y, e.shiftKey);
     });
   }
 
@@ -185,7 +191,7 @@ class EnergyGalaxy {
   handleHover(x, y, clientX, clientY) {
     let found = null;
 
-    // Check markers (reverse order so Purdue is checked first)
+    // Check markers (reverse order so the featured school is checked first)
     for (let i = this.markers.length - 1; i >= 0; i--) {
       const marker = this.markers[i];
       const dist = Math.hypot(x - marker.x, y - marker.y);
@@ -218,13 +224,19 @@ class EnergyGalaxy {
 
   /**
    * Handle click interaction
+   * Shift-click adds or removes the school from the selection set.
    */
-  handleClick(x, y) {
+  handleClick(x, y, shiftKey = false) {
     for (let i = this.markers.length - 1; i >= 0; i--) {
       const marker = this.markers[i];
       const dist = Math.hypot(x - marker.x, y - marker.y);
 
       if (dist < marker.size + 8) {
+        if (shiftKey) {
+          toggleSelection(marker.school);
+          return;
+        }
+
         this.selectedMarker = marker;
         selectSchool(marker.school);
         this.scrollToAct2();
@@ -266,8 +278,11 @@ class EnergyGalaxy {
       }
     });
 
-    subscribe('activeConference', (conference) => {
-      this.activeConference = conference;
+    // Rebuild markers around the new protagonist
+    subscribe('featuredSchool', () => {
+      if (this.markers.length > 0) {
+        this.createMarkers();
+      }
     });
   }
 
@@ -301,8 +316,8 @@ class EnergyGalaxy {
     // Draw markers
     this.drawMarkers(time);
 
-    // Draw Purdue spotlight
-    this.drawPurdueSpotlight(time);
+    // Draw featured school spotlight
+    this.drawFeaturedSpotlight(time);
   }
 
   /**
@@ -326,37 +341,34 @@ class EnergyGalaxy {
   }
 
   /**
-   * Draw subtle connection lines from Purdue to other schools
+   * Draw subtle connection lines from the featured school to other schools
    */
   drawConnectionLines(time) {
     const ctx = this.ctx;
-    const purdueMarker = this.markers.find(m => m.isPurdue);
-    if (!purdueMarker) return;
-
-    const activeConf = this.activeConference || 'all';
+    const featuredMarker = this.markers.find(m => m.isFeatured);
+    if (!featuredMarker) return;
 
-    ctx.lineWidth = 1.6;
-    ctx.strokeStyle = 'rgba(207, 185, 145, 0.08)';
+    const color = featuredMarker.color;
 
     this.markers.forEach(marker => {
-      if (marker.isPurdue) return;
+      if (marker.isFeatured) return;
 
-      // Only draw to same conference or all
-      if (activeConf !== 'all' && marker.school.conference !== activeConf) return;
+      // Only draw to schools in the filtered set
+      if (!isSchoolVisible(marker.school)) return;
 
       // Subtle glow layer
       ctx.beginPath();
-      ctx.strokeStyle = 'rgba(207, 185, 145, 0.12)';
+      ctx.strokeStyle = this.hexToRgba(color, 0.12);
       ctx.lineWidth = 2.4;
-      ctx.moveTo(purdueMarker.x, purdueMarker.y);
+      ctx.moveTo(featuredMarker.x, featuredMarker.y);
       ctx.lineTo(marker.x, marker.y);
       ctx.stroke();
 
       // Core line
       ctx.beginPath();
-      ctx.strokeStyle = 'rgba(207, 185, 145, 0.2)';
+      ctx.strokeStyle = this.hexToRgba(color, 0.2);
       ctx.lineWidth = 1.2;
-      ctx.moveTo(purdueMarker.x, purdueMarker.y);
+      ctx.moveTo(featuredMarker.x, featuredMarker.y);
       ctx.lineTo(marker.x, marker.y);
       ctx.stroke();
     });
@@ -367,13 +379,12 @@ class EnergyGalaxy {
    */
   drawMarkers(time) {
     const ctx = this.ctx;
-    const activeConf = this.activeConference || 'all';
 
     this.markers.forEach(marker => {
-      if (marker.isPurdue) return; // Draw Purdue separately
+      if (marker.isFeatured) return; // Draw featured school separately
 
-      // Dimming for conference filter
-      const isActive = activeConf === 'all' || marker.school.conference === activeConf;
+      // Dimming for the filtered set
+      const isActive = isSchoolVisible(marker.school);
       const isHovered = this.hoveredMarker === marker;
       const alpha = isActive ? (isHovered ? 1 : 0.85) : 0.15;
 
@@ -408,16 +419,17 @@ class EnergyGalaxy {
   }
 
   /**
-   * Draw Purdue marker with special spotlight effect
+   * Draw featured school marker with special spotlight effect
    */
-  drawPurdueSpotlight(time) {
+  drawFeaturedSpotlight(time) {
     const ctx = this.ctx;
-    const purdueMarker = this.markers.find(m => m.isPurdue);
-    if (!purdueMarker) return;
+    const featuredMarker = this.markers.find(m => m.isFeatured);
+    if (!featuredMarker) return;
 
-    const { x, y, pulseSpeed } = purdueMarker;
+    const { x, y, pulseSpeed, school } = featuredMarker;
+    const colors = getFeaturedColors();
     const pulse = Math.sin(time * pulseSpeed) * 0.2 + 0.8;
-    const isHovered = this.hoveredMarker === purdueMarker;
+    const isHovered = this.hoveredMarker === featuredMarker;
 
     // Large outer glow
     for (let i = 4; i >= 0; i--) {
@@ -425,7 +437,7 @@ class EnergyGalaxy {
       const layerAlpha = 0.15 - i * 0.025;
 
       const gradient = ctx.createRadialGradient(x, y, 0, x, y, layerRadius);
-      gradient.addColorStop(0, `rgba(207, 185, 145, ${layerAlpha})`);
+      gradient.addColorStop(0, this.hexToRgba(colors.primary, layerAlpha));
       gradient.addColorStop(1, 'transparent');
 
       ctx.fillStyle = gradient;
@@ -435,33 +447,36 @@ class EnergyGalaxy {
     }
 
     // Core circle
-    const coreRadius = this.config.purdueRadius * pulse * (isHovered ? 1.3 : 1);
+    const coreRadius = this.config.featuredRadius * pulse * (isHovered ? 1.3 : 1);
     const coreGradient = ctx.createRadialGradient(x, y, 0, x, y, coreRadius);
     coreGradient.addColorStop(0, '#fff');
-    coreGradient.addColorStop(0.3, PURDUE_COLORS.goldLight);
-    coreGradient.addColorStop(1, PURDUE_COLORS.gold);
+    coreGradient.addColorStop(0.3, colors.light);
+    coreGradient.addColorStop(1, colors.primary);
 
     ctx.fillStyle = coreGradient;
     ctx.beginPath();
     ctx.arc(x, y, coreRadius, 0, Math.PI * 2);
     ctx.fill();
 
-    // Gold border
-    ctx.strokeStyle = PURDUE_COLORS.goldLight;
+    // Accent border
+    ctx.strokeStyle = colors.light;
     ctx.lineWidth = 2;
     ctx.stroke();
 
-    // Label
-    ctx.fillStyle = '#0a0f1a';
+    // Label (shrunk so long names stay inside the core)
+    const label = school.school.toUpperCase();
     ctx.font = `bold 10px ${FONT_FAMILY}`;
+    const fontSize = Math.min(10, 10 * (coreRadius * 1.8) / ctx.measureText(label).width);
+    ctx.fillStyle = '#0a0f1a';
+    ctx.font = `bold ${fontSize}px ${FONT_FAMILY}`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText('PURDUE', x, y);
+    ctx.fillText(label, x, y);
 
-    // "Hail Purdue" label below
-    ctx.fillStyle = PURDUE_COLORS.gold;
+    // Song title label below
+    ctx.fillStyle = colors.primary;
     ctx.font = `300 11px ${FONT_FAMILY}`;
-    ctx.fillText('Hail Purdue', x, y + coreRadius + 15);
+    ctx.fillText(school.song_name, x, y + coreRadius + 15);
   }
 
   /**
@@ -476,10 +491,9 @@ class EnergyGalaxy {
 
   /**
    * Update visualization
+   * Filter dimming is read every frame, so there is nothing to push here.
    */
-  update(state) {
-    this.activeConference = state.activeConference;
-  }
+  update() {}
 
   /**
    * Cleanup
@@ -4,17 +4,25 @@
  * Orchestrates all visualization modules and handles global interactions
  */
 
-import { loadJSON, generateConferenceStats, CONFERENCE_COLORS, PURDUE_COLORS } from './utils.js';
-import { initializeState, subscribe, setConferenceFilter, setMatrixSort, registerModule, getState, getPurdue } from './state.js';
+import { loadJSON, generateConferenceStats, summarizeDataset, describeRank, applyConferenceMetadata, findConferenceStatDrift, getActiveTropes, formatYear, CONFERENCE_COLORS, TROPE_LABELS, DEFAULT_FEATURED_SCHOOL } from './utils.js';
+import { initializeState, subscribe, setConferenceFilter, setMatrixSort, setNetworkThreshold, setNetworkClustering, clearSelection, setIsolateSelection, setComparison, toggleComparison, isInComparison, COMPARISON_LIMIT, registerModule, getState, findSchool, setFeaturedSchool, getFeaturedSchool, getFeaturedColors, isFeatured } from './state.js';
 import EnergyGalaxy from './galaxy.js';
 import USAMap from './map.js';
 import RadarChart from './radar.js';
 import ScatterPlot from './scatter.js';
 import TropeMatrix from './matrix.js';
-import PosterGalaxy, { initPoster } from './poster.js';
+import TropeCooccurrence from './cooccurrence.js';
+import PosterGalaxy, { setupShareButtons } from './poster.js';
 import NetworkGraph from './network.js';
 import ParallelCoordinates from './parallel.js';
 import FightSongClock from './clock.js';
+import KeyFindings from './findings.js';
+import FilterPanel from './filter-panel.js';
+import SimilarityPanel from './similarity-panel.js';
+import SimilarSongs from './recommender.js';
+import SongSpace from './song-space.js';
+import ComparisonDrawer from './compare.js';
+import { readPermalink, initPermalink } from './permalink.js';
 
 /**
  * Application class
@@ -23,6 +31,7 @@ class FightSongViz {
   constructor() {
     this.schools = [];
     this.conferences = {};
+    this.schoolColors = {};
     this.modules = {};
     this.isLoaded = false;
   }
@@ -39,7 +48,12 @@ class FightSongViz {
       await this.loadData();
 
       // Initialize state
-      initializeState(this.schools, this.conferences);
+      initializeState(this.schools, this.conferences, this.schoolColors);
+
+      // Pick the featured school before any module draws
+      this.permalink = readPermalink();
+      setFeaturedSchool(this.resolveFeaturedSchool());
+      this.applyFeaturedTheme();
 
       // Initialize all visualization modules
       await this.initModules();
@@ -53,6 +67,9 @@ class FightSongViz {
       // Populate dynamic content
       this.populateContent();
 
+      // Restore the rest of a shared link now that every module is listening
+      initPermalink(this.permalink);
+
       // Hide loading, show content
       this.hideLoading();
 
@@ -72,15 +89,46 @@ class FightSongViz {
    * Load all required data
    */
   async loadData() {
-    // Load schools data
-    this.schools = await loadJSON('./data/schools.json');
-
-    // Generate conference stats from schools data
+    // Load schools data, school colors and conference metadata
+    let conferenceMeta;
+    [this.schools, this.schoolColors, conferenceMeta] = await Promise.all([
+      loadJSON('./data/schools.json'),
+      loadJSON('./data/school-colors.json'),
+      loadJSON('./data/conferences.json')
+    ]);
+
+    // Metadata supplies names and colors; every statistic is computed here
+    applyConferenceMetadata(conferenceMeta);
     this.conferences = generateConferenceStats(this.schools);
 
+    findConferenceStatDrift(conferenceMeta, this.conferences)
+      .forEach(message => console.warn(`conferences.json out of date - ${message}`));
+
     console.log(`Loaded ${this.schools.length} schools across ${Object.keys(this.conferences).length} conferences`);
   }
 
+  /**
+   * Resolve the featured school from the URL (?featured=Ohio%20State)
+   * Falls back to the default featured school, then the first school.
+   * @returns {Object|undefined}
+   */
+  resolveFeaturedSchool() {
+    return this.permalink.featuredSchool || findSchool(DEFAULT_FEATURED_SCHOOL) || this.schools[0];
+  }
+
+  /**
+   * Push the featured palette into the CSS accent variables
+   */
+  applyFeaturedTheme() {
+    const colors = getFeaturedColors();
+    const root = document.documentElement.style;
+
+    root.setProperty('--accent-featured', colors.primary);
+    root.setProperty('--accent-featured-light', colors.light);
+    root.setProperty('--accent-featured-dark', colors.dark);
+    root.setProperty('--accent-featured-glow', colors.glow);
+  }
+
   /**
    * Initialize all visualization modules
    */
@@ -95,23 +143,70 @@ class FightSongViz {
     registerModule('map', this.modules.map);
 
     // Conference Radar Charts
-    this.modules.radar = new RadarChart('radar-container', this.schools);
+    this.modules.radar = new RadarChart('radar-container', this.schools, {
+      schoolId: 'radar-school',
+      overlayId: 'radar-overlay',
+      dimensionListId: 'radar-dimension-list',
+      normalizationId: 'radar-normalization',
+      legendId: 'radar-legend',
+      layoutId: 'radar-layout'
+    });
     registerModule('radar', this.modules.radar);
 
     // Scatter Plot
-    this.modules.scatter = new ScatterPlot('scatter-container', this.schools);
+    this.modules.scatter = new ScatterPlot('scatter-container', this.schools, {
+      overlayListId: 'scatter-overlays',
+      encodingListId: 'scatter-encodings',
+      statsId: 'scatter-stats',
+      titleId: 'scatter-title',
+      toolId: 'scatter-tool',
+      selectionSummaryId: 'scatter-selection',
+      resetZoomId: 'scatter-reset-zoom'
+    });
     registerModule('scatter', this.modules.scatter);
 
     // Trope Matrix
-    this.modules.matrix = new TropeMatrix('matrix-container', this.schools);
+    this.modules.matrix = new TropeMatrix('matrix-container', this.schools, {
+      tropeOrderId: 'matrix-tropes',
+      layoutId: 'matrix-layout',
+      unitsId: 'matrix-units'
+    });
     registerModule('matrix', this.modules.matrix);
 
+    // Trope co-occurrence
+    this.modules.cooccurrence = new TropeCooccurrence('cooccurrence-container', this.schools, {
+      measureId: 'cooccurrence-measure',
+      conferenceId: 'cooccurrence-conference',
+      layoutId: 'cooccurrence-layout',
+      detailId: 'cooccurrence-detail'
+    });
+    registerModule('cooccurrence', this.modules.cooccurrence);
+
     // Similarity Network
-    this.modules.network = new NetworkGraph('network-container', this.schools);
+    this.modules.network = new NetworkGraph('network-container', this.schools, {
+      legendId: 'network-legend'
+    });
     registerModule('network', this.modules.network);
 
+    // Song Space projection
+    this.modules.songSpace = new SongSpace('song-space-container', this.schools, {
+      methodId: 'song-space-method'
+    });
+    registerModule('songSpace', this.modules.songSpace);
+
+    // Similar songs to the selected school
+    this.modules.similar = new SimilarSongs('similar-songs', this.schools, {
+      titleId: 'similar-songs-title',
+      countId: 'similar-count'
+    });
+    registerModule('similar', this.modules.similar);
+
     // Parallel Coordinates
-    this.modules.parallel = new ParallelCoordinates('parallel-container', this.schools);
+    this.modules.parallel = new ParallelCoordinates('parallel-container', this.schools, {
+      summaryId: 'parallel-brushes',
+      axisListId: 'parallel-axis-list',
+      scaleId: 'parallel-scale'
+    });
     registerModule('parallel', this.modules.parallel);
 
     // Tempo Clock
@@ -122,6 +217,15 @@ class FightSongViz {
     this.modules.posterGalaxy = new PosterGalaxy('mini-galaxy-container', this.schools);
     registerModule('posterGalaxy', this.modules.posterGalaxy);
 
+    // Comparison drawer, filled from any module
+    this.modules.compare = new ComparisonDrawer('compare-drawer', this.schools);
+    registerModule('compare', this.modules.compare);
+
+    // ACT 3: Key findings computed from the data
+    this.modules.findings = new KeyFindings('findings-list', this.schools, {
+      types: ['extremes', 'era', 'outliers']
+    });
+
     console.log('All visualization modules initialized');
   }
 
@@ -135,16 +239,69 @@ class FightSongViz {
       conferenceSelect.addEventListener('change', (e) => {
         setConferenceFilter(e.target.value);
       });
+      subscribe('activeConference', (conference) => {
+        conferenceSelect.value = conference;
+      });
     }
 
+    // Field filters (BPM range, tropes, ...) on top of the conference filter
+    this.filterPanel = new FilterPanel('filter-panel', this.schools);
+
+    // Featured school picker
+    this.setupFeaturedPicker();
+
     // Matrix sort dropdown
     const sortSelect = document.getElementById('matrix-sort');
     if (sortSelect) {
       sortSelect.addEventListener('change', (e) => {
         setMatrixSort(e.target.value);
       });
+      subscribe('matrixSort', (sortBy) => {
+        sortSelect.value = sortBy;
+      });
+    }
+
+    // Network similarity threshold
+    const thresholdInput = document.getElementById('network-threshold');
+    const thresholdValue = document.getElementById('network-threshold-value');
+    if (thresholdInput) {
+      const showThreshold = (threshold) => {
+        thresholdInput.value = threshold;
+        if (thresholdValue) thresholdValue.textContent = Number(threshold).toFixed(2);
+      };
+
+      showThreshold(getState('networkThreshold'));
+      thresholdInput.addEventListener('change', (e) => {
+        setNetworkThreshold(Number(e.target.value));
+      });
+      thresholdInput.addEventListener('input', (e) => {
+        if (thresholdValue) thresholdValue.textContent = Number(e.target.value).toFixed(2);
+      });
+      subscribe('networkThreshold', showThreshold);
+    }
+
+    // Network coloring: conference or detected community
+    const clusteringSelect = document.getElementById('network-clustering');
+    if (clusteringSelect) {
+      clusteringSelect.addEventListener('change', (e) => {
+        setNetworkClustering(e.target.value);
+      });
+      subscribe('networkClustering', (method) => {
+        clusteringSelect.value = method;
+      });
     }
 
+    // Network similarity metric, weights and link mode
+    this.similarityPanel = new SimilarityPanel('network-similarity', {
+      thresholdId: 'network-threshold'
+    });
+
+    // Selection set: count, isolate toggle and clear
+    this.setupSelectionControls();
+
+    // Share buttons copy a link to the current view
+    setupShareButtons();
+
     // Click outside to deselect
     document.addEventListener('click', (e) => {
       // Check if click is outside any visualization
@@ -161,6 +318,86 @@ class FightSongViz {
     console.log('UI controls initialized');
   }
 
+  /**
+   * Keep the selection set controls in step with the store
+   */
+  setupSelectionControls() {
+    const count = document.getElementById('selection-count');
+    const isolateBtn = document.getElementById('isolate-selection');
+    const clearBtn = document.getElementById('clear-selection');
+    const compareBtn = document.getElementById('compare-selection');
+    if (!count || !isolateBtn || !clearBtn) return;
+
+    const render = () => {
+      const selection = getState('selectionSet');
+      const isolate = getState('isolateSelection');
+
+      count.textContent = selection.length
+        ? `${selection.length} selected`
+        : 'Shift-click schools to select a group';
+      count.title = selection.map(s => s.school).join(', ');
+      isolateBtn.disabled = !selection.length;
+      clearBtn.disabled = !selection.length;
+      isolateBtn.setAttribute('aria-pressed', String(isolate));
+      if (compareBtn) {
+        compareBtn.disabled = selection.length < 2;
+        compareBtn.title = selection.length > COMPARISON_LIMIT
+          ? `Compares the first ${COMPARISON_LIMIT} selected schools`
+          : 'Compare the selected schools side by side';
+      }
+    };
+
+    isolateBtn.addEventListener('click', () => {
+      setIsolateSelection(!getState('isolateSelection'));
+    });
+    clearBtn.addEventListener('click', () => {
+      clearSelection();
+      setIsolateSelection(false);
+    });
+    compareBtn?.addEventListener('click', () => setComparison(getState('selectionSet')));
+
+    subscribe('selectionSet', render);
+    subscribe('isolateSelection', render);
+    render();
+  }
+
+  /**
+   * Populate the featured school picker and keep it, the URL and the
+   * page chrome in sync with the featured school
+   */
+  setupFeaturedPicker() {
+    const picker = document.getElementById('featured-school');
+
+    if (picker) {
+      const conferences = [...new Set(this.schools.map(s => s.conference))].sort();
+      picker.innerHTML = conferences.map(conf => `
+        <optgroup label="${conf}">
+          ${this.schools
+            .filter(s => s.conference === conf)
+            .map(s => s.school)
+            .sort()
+            .map(name => `<option value="${name}">${name}</option>`)
+            .join('')}
+        </optgroup>
+      `).join('');
+
+      picker.value = getFeaturedSchool()?.school || '';
+
+      picker.addEventListener('change', (e) => {
+        const school = findSchool(e.target.value);
+        if (school) setFeaturedSchool(school);
+      });
+    }
+
+    subscribe('featuredSchool', (school) => {
+      if (picker) picker.value = school.school;
+
+      this.applyFeaturedTheme();
+      this.populateGalaxyLegend();
+      this.populatePosterStats();
+    });
+  }
+
   /**
    * Setup scroll-based effects
    */
@@ -226,6 +463,9 @@ class FightSongViz {
    * Populate dynamic content
    */
   populateContent() {
+    // Fill headline counters from the dataset
+    this.populateHeadlineStats();
+
     // Populate galaxy legend
     this.populateGalaxyLegend();
 
@@ -239,6 +479,28 @@ class FightSongViz {
     this.populatePosterStats();
   }
 
+  /**
+   * Fill every [data-summary] element from summarizeDataset()
+   * Animated counters take the value as data-value, everything else as text.
+   */
+  populateHeadlineStats() {
+    const summary = summarizeDataset(this.schools);
+
+    document.querySelectorAll('[data-summary]').forEach(el => {
+      const value = summary[el.dataset.summary];
+      if (el.hasAttribute('data-value')) {
+        el.dataset.value = value;
+      } else {
+        el.textContent = value;
+      }
+    });
+
+    const canvas = document.getElementById('galaxy-canvas');
+    if (canvas) {
+      canvas.setAttribute('aria-label', `Interactive visualization showing ${summary.schoolCount} college fight songs as stars`);
+    }
+  }
+
   /**
    * Populate galaxy legend
    */
@@ -246,8 +508,14 @@ class FightSongViz {
     const legendList = document.getElementById('galaxy-legend-list');
     if (!legendList) return;
 
+    const featured = getFeaturedSchool();
+    const hint = document.querySelector('.galaxy-legend .hint-text');
+    if (hint && featured) {
+      hint.textContent = `${featured.school} at center`;
+    }
+
     const legendItems = [
-      { color: PURDUE_COLORS.gold, label: 'Purdue (Center)' },
+      { color: getFeaturedColors().primary, label: `${featured ? featured.school : 'Featured'} (Center)` },
       { color: CONFERENCE_COLORS['Big Ten'], label: 'Big Ten' },
       { color: CONFERENCE_COLORS['SEC'], label: 'SEC' },
       { color: CONFERENCE_COLORS['ACC'], label: 'ACC' },
@@ -300,7 +568,7 @@ class FightSongViz {
     card.classList.add('active');
     card.innerHTML = `
       <div class="school-info-active">
-        <h4 class="info-school-name" style="color: ${school.school === 'Purdue' ? PURDUE_COLORS.gold : ''}">${school.school}</h4>
+        <h4 class="info-school-name" style="color: ${isFeatured(school) ? getFeaturedColors().primary : ''}">${school.school}</h4>
         <p class="info-song-name">"${school.song_name}"</p>
         <div class="info-stats">
           <div class="info-stat">
@@ -317,6 +585,9 @@ class FightSongViz {
           </div>
         </div>
         <p class="info-year">${school.year ? `Est. ${school.year}` : 'Year Unknown'}</p>
+        <button type="button" class="control-button info-compare" data-school="${school.school}" aria-pressed="${isInComparison(school)}">
+          ${isInComparison(school) ? 'Comparing' : 'Compare'}
+        </button>
       </div>
     `;
   }
@@ -325,11 +596,24 @@ class FightSongViz {
    * Setup school info card subscription (call once)
    */
   setupSchoolCardSubscription() {
-    // Default school (Purdue or first school)
-    const defaultSchool = this.schools.find(s => s.school === 'Purdue') || this.schools[0];
+    // Default school (featured or first school)
+    let defaultSchool = getFeaturedSchool() || this.schools[0];
     let currentDisplayedSchool = null;
     let selectedSchool = null;
 
+    // Compare button on the card
+    const card = document.getElementById('school-info-card');
+    card?.addEventListener('click', (event) => {
+      const button = event.target.closest('.info-compare');
+      if (!button) return;
+      event.stopPropagation();
+      toggleComparison(findSchool(button.dataset.school));
+    });
+
+    subscribe('comparison', () => {
+      if (currentDisplayedSchool) this.populateSchoolCard(currentDisplayedSchool);
+    });
+
     // Show default school initially
     if (defaultSchool) {
       this.populateSchoolCard(defaultSchool);
@@ -363,57 +647,46 @@ class FightSongViz {
         currentDisplayedSchool = defaultSchool;
       }
     });
+
+    subscribe('featuredSchool', (school) => {
+      defaultSchool = school;
+      if (!selectedSchool) {
+        this.populateSchoolCard(school);
+        currentDisplayedSchool = school;
+      }
+    });
   }
 
   /**
-   * Populate poster statistics
+   * Populate poster statistics (featured school spotlight)
    */
   populatePosterStats() {
-    const purdue = getPurdue();
-    if (!purdue) return;
-
-    // Calculate Purdue's rankings
-    const bpmRank = this.schools.filter(s => s.bpm > purdue.bpm).length + 1;
-    const tropeRank = this.schools.filter(s => s.trope_count > purdue.trope_count).length + 1;
-    const bigTenSchools = this.schools.filter(s => s.conference === 'Big Ten');
-    const bigTenBpmRank = bigTenSchools.filter(s => s.bpm > purdue.bpm).length + 1;
-
-    // Update poster stats
-    const statsContainer = document.querySelector('.poster-stats');
-    if (statsContainer) {
-      statsContainer.innerHTML = `
-        <div class="poster-stat">
-          <span class="poster-stat-value" data-target="${purdue.bpm}">0</span>
-          <span class="poster-stat-label">BPM</span>
-          <span class="poster-stat-rank">#${bpmRank} Overall</span>
-        </div>
-        <div class="poster-stat">
-          <span class="poster-stat-value" data-target="${purdue.sec_duration}">0</span>
-          <span class="poster-stat-label">Seconds</span>
-          <span class="poster-stat-rank">Duration</span>
-        </div>
-        <div class="poster-stat">
-          <span class="poster-stat-value" data-target="${purdue.trope_count}">0</span>
-          <span class="poster-stat-label">Tropes</span>
-          <span class="poster-stat-rank">#${tropeRank} Overall</span>
-        </div>
-        <div class="poster-stat highlight">
-          <span class="poster-stat-value" data-target="${bigTenBpmRank}">0</span>
-          <span class="poster-stat-label">in Big Ten</span>
-          <span class="poster-stat-rank">Tempo Rank</span>
-        </div>
-      `;
-    }
+    const featured = getFeaturedSchool();
+    if (!featured) return;
 
-    // Update Purdue info in poster
-    const purdueInfo = document.querySelector('.purdue-poster-info');
-    if (purdueInfo) {
-      purdueInfo.innerHTML = `
-        <h3>"${purdue.song_name}"</h3>
-        <p class="song-year">Written ${purdue.year || 'Unknown'}</p>
-        <p class="song-writers">${purdue.writers || 'Unknown'}</p>
-      `;
-    }
+    const spotlight = document.querySelector('.featured-spotlight');
+    if (!spotlight) return;
+
+    const conferenceSchools = this.schools.filter(s => s.conference === featured.conference);
+
+    spotlight.querySelector('.spotlight-title').textContent = featured.song_name;
+    spotlight.querySelector('.spotlight-tagline').textContent = `${featured.school} \u00b7 ${featured.conference}`;
+
+    spotlight.querySelectorAll('.spotlight-stat[data-stat]').forEach(el => {
+      const key = el.dataset.stat;
+      el.querySelector('.stat-value').textContent = featured[key];
+      el.querySelector('.stat-rank').textContent = describeRank(featured, conferenceSchools, key, featured.conference);
+    });
+
+    const tropes = getActiveTropes(featured).map(t => TROPE_LABELS[t]);
+    const writers = featured.writers && featured.writers !== 'Unknown' ? featured.writers : 'an unknown writer';
+    const year = featured.year ? `in ${formatYear(featured.year)}` : 'in an unknown year';
+    spotlight.querySelector('.spotlight-description').textContent =
+      `Written by ${writers} ${year}, "${featured.song_name}" runs ${featured.sec_duration} seconds at ` +
+      `${featured.bpm} BPM` +
+      (tropes.length
+        ? ` and uses ${tropes.length} of the nine lyrical tropes: ${tropes.join(', ')}.`
+        : ' without any of the nine lyrical tropes.');
   }
 
   /**
@@ -4,8 +4,8 @@
  * D3-based map showing geographic distribution of schools
  */
 
-import { getConferenceColor, isPurdue, PURDUE_COLORS } from './utils.js';
-import { subscribe, hoverSchool, selectSchool, getState } from './state.js';
+import { getConferenceColor, SELECTION_COLOR } from './utils.js';
+import { subscribe, hoverSchool, selectSchool, toggleSelection, isInSelection, isSchoolVisible, isFeatured, getFeaturedColors } from './state.js';
 import tooltip from './tooltip.js';
 
 class USAMap {
@@ -21,7 +21,7 @@ class USAMap {
     this.config = {
       baseRadius: 5,
       radiusMultiplier: 1.5,
-      purdueRadius: 12,
+      featuredRadius: 12,
       transitionDuration: 300
     };
 
@@ -76,9 +76,9 @@ class USAMap {
   addDefs() {
     const defs = this.svg.append('defs');
 
-    // Glow filter for Purdue
+    // Glow filter for the featured school
     const glowFilter = defs.append('filter')
-      .attr('id', 'purdue-glow')
+      .attr('id', 'featured-glow')
       .attr('x', '-50%')
       .attr('y', '-50%')
       .attr('width', '200%')
@@ -139,10 +139,12 @@ class USAMap {
    * Draw school markers
    */
   drawSchools() {
-    // Sort schools so Purdue is drawn last (on top)
+    const featuredColors = getFeaturedColors();
+
+    // Sort schools so the featured school is drawn last (on top)
     const sortedSchools = [...this.schools].sort((a, b) => {
-      if (isPurdue(a)) return 1;
-      if (isPurdue(b)) return -1;
+      if (isFeatured(a)) return 1;
+      if (isFeatured(b)) return -1;
       return 0;
     });
 
@@ -150,7 +152,7 @@ class USAMap {
     const schoolGroups = this.schoolsGroup.selectAll('g.school')
       .data(sortedSchools, d => d.school)
       .join('g')
-      .attr('class', d => `school ${isPurdue(d) ? 'purdue' : ''}`)
+      .attr('class', d => `school ${isFeatured(d) ? 'featured' : ''}`)
       .attr('transform', d => {
         const coords = this.projection([d.lng, d.lat]);
         if (!coords) return 'translate(-1000, -1000)'; // Hide if outside projection
@@ -166,51 +168,84 @@ class USAMap {
     schoolGroups.append('circle')
       .attr('class', 'school-glow')
       .attr('r', d => this.getRadius(d) * 2)
-      .attr('fill', d => isPurdue(d) ? PURDUE_COLORS.goldGlow : `${getConferenceColor(d.conference)}33`)
-      .attr('opacity', d => isPurdue(d) ? 0.6 : 0.5);
+      .attr('fill', d => isFeatured(d) ? featuredColors.glow : `${getConferenceColor(d.conference)}33`)
+      .attr('opacity', d => isFeatured(d) ? 0.6 : 0.5);
 
     // Draw main circle
     schoolGroups.append('circle')
       .attr('class', 'school-core')
       .attr('r', d => this.getRadius(d))
-      .attr('fill', d => isPurdue(d) ? PURDUE_COLORS.gold : getConferenceColor(d.conference))
-      .attr('stroke', d => isPurdue(d) ? PURDUE_COLORS.goldLight : 'rgba(255,255,255,0.3)')
-      .attr('stroke-width', d => isPurdue(d) ? 2 : 1);
+      .attr('fill', d => isFeatured(d) ? featuredColors.primary : getConferenceColor(d.conference))
+      .attr('stroke', d => isFeatured(d) ? featuredColors.light : 'rgba(255,255,255,0.3)')
+      .attr('stroke-width', d => isFeatured(d) ? 2 : 1);
+
+    // Apply featured glow filter
+    this.schoolsGroup.selectAll('g.school.featured')
+      .attr('filter', 'url(#featured-glow)');
+
+    // Outline the selection set
+    this.styleSelection();
+
+    // Animate featured pulse
+    this.animateFeaturedPulse();
+  }
 
-    // Apply Purdue glow filter
-    this.schoolsGroup.selectAll('g.school.purdue')
-      .attr('filter', 'url(#purdue-glow)');
+  /**
+   * Outline markers in the selection set
+   */
+  styleSelection() {
+    const featuredColors = getFeaturedColors();
 
-    // Animate Purdue pulse
-    this.animatePurduePulse();
+    this.schoolsGroup.selectAll('g.school')
+      .classed('in-selection', d => isInSelection(d))
+      .select('.school-core')
+      .attr('stroke', d => {
+        if (isInSelection(d)) return SELECTION_COLOR;
+        return isFeatured(d) ? featuredColors.light : 'rgba(255,255,255,0.3)';
+      })
+      .attr('stroke-width', d => {
+        if (isInSelection(d)) return 2.5;
+        return isFeatured(d) ? 2 : 1;
+      });
+  }
+
+  /**
+   * Redraw markers around a newly featured school
+   */
+  redrawSchools() {
+    // Stop the pulse loop before dropping the old markers
+    this.schoolsGroup.selectAll('circle').interrupt();
+    this.schoolsGroup.selectAll('g.school').remove();
+    this.drawSchools();
+    this.filterSchools();
   }
 
   /**
    * Get radius for a school marker
    */
   getRadius(school) {
-    if (isPurdue(school)) {
-      return this.config.purdueRadius;
+    if (isFeatured(school)) {
+      return this.config.featuredRadius;
     }
     return this.config.baseRadius + school.trope_count * this.config.radiusMultiplier;
   }
 
   /**
-   * Animate Purdue marker pulse
+   * Animate featured marker pulse
    */
-  animatePurduePulse() {
-    const purdueGlow = this.schoolsGroup.select('g.school.purdue .school-glow');
+  animateFeaturedPulse() {
+    const featuredGlow = this.schoolsGroup.select('g.school.featured .school-glow');
 
-    if (!purdueGlow.empty()) {
+    if (!featuredGlow.empty()) {
       const pulseAnimation = () => {
-        purdueGlow
+        featuredGlow
           .transition()
           .duration(1000)
-          .attr('r', this.config.purdueRadius * 3)
+          .attr('r', this.config.featuredRadius * 3)
           .attr('opacity', 0.3)
           .transition()
           .duration(1000)
-          .attr('r', this.config.purdueRadius * 2)
+          .attr('r', this.config.featuredRadius * 2)
           .attr('opacity', 0.6)
           .on('end', pulseAnimation);
       };
@@ -259,6 +294,13 @@ class USAMap {
    */
   handleClick(event, school) {
     event.stopPropagation();
+
+    // Shift-click builds up the selection set
+    if (event.shiftKey) {
+      toggleSelection(school);
+      return;
+    }
+
     this.selectedSchool = school;
     selectSchool(school);
   }
@@ -271,7 +313,7 @@ class USAMap {
       .filter(d => d.school === school.school);
 
     // Apply hover filter
-    if (!isPurdue(school)) {
+    if (!isFeatured(school)) {
       group.attr('filter', 'url(#hover-glow)');
     }
 
@@ -302,8 +344,8 @@ class USAMap {
     const group = this.schoolsGroup.selectAll('g.school')
       .filter(d => d.school === school.school);
 
-    // Remove hover filter (keep Purdue filter)
-    if (!isPurdue(school)) {
+    // Remove hover filter (keep featured filter)
+    if (!isFeatured(school)) {
       group.attr('filter', null);
     }
 
@@ -317,23 +359,21 @@ class USAMap {
       .transition()
       .duration(150)
       .attr('r', this.getRadius(school) * 2)
-      .attr('opacity', isPurdue(school) ? 0.6 : 0.5);
+      .attr('opacity', isFeatured(school) ? 0.6 : 0.5);
 
     // Restore other schools
     this.schoolsGroup.selectAll('g.school')
       .transition()
       .duration(150)
-      .style('opacity', 1);
+      .style('opacity', d => isSchoolVisible(d) ? 1 : 0.15);
   }
 
   /**
    * Setup state listeners
    */
   setupStateListeners() {
-    // Listen for conference filter changes
-    subscribe('activeConference', (conference) => {
-      this.filterByConference(conference);
-    });
+    // Listen for filter changes
+    subscribe('filteredSchools', () => this.filterSchools());
 
     // Listen for external hover
     subscribe('hoveredSchool', (school) => {
@@ -348,21 +388,35 @@ class USAMap {
     subscribe('selectedSchool', (school) => {
       this.selectedSchool = school;
     });
+
+    // Listen for featured school changes
+    subscribe('featuredSchool', () => {
+      if (this.projection) {
+        this.redrawSchools();
+      }
+    });
+
+    // Listen for selection set changes
+    subscribe('selectionSet', () => this.updateSelection());
   }
 
   /**
-   * Filter schools by conference
+   * Dim schools outside the filtered set
    */
-  filterByConference(conference) {
-    const isAll = conference === 'all';
-
+  filterSchools() {
+    if (!this.schoolsGroup) return;
     this.schoolsGroup.selectAll('g.school')
       .transition()
       .duration(this.config.transitionDuration)
-      .style('opacity', d => {
-        if (isAll || d.conference === conference) return 1;
-        return 0.15;
-      });
+      .style('opacity', d => isSchoolVisible(d) ? 1 : 0.15);
+  }
+
+  /**
+   * Restyle after the selection set changes
+   */
+  updateSelection() {
+    if (!this.schoolsGroup) return;
+    this.styleSelection();
   }
 
   /**
@@ -390,8 +444,7 @@ class USAMap {
    */
   externalUnhighlight() {
     // Restore all schools based on current filter
-    const conference = getState('activeConference') || 'all';
-    this.filterByConference(conference);
+    this.filterSchools();
 
     // Reset sizes
     this.schoolsGroup.selectAll('g.school')
@@ -435,10 +488,8 @@ class USAMap {
   /**
    * Update visualization
    */
-  update(state) {
-    if (state.activeConference) {
-      this.filterByConference(state.activeConference);
-    }
+  update() {
+    this.filterSchools();
   }
 }
 
@@ -1,24 +1,70 @@
 /**
  * Trope DNA Matrix Module
  * =======================
- * Heatmap showing which tropes appear in each fight song
+ * Heatmap showing which tropes appear in each fight song. Schools run across
+ * as columns or down as scrolling rows, or are pooled into one unit per
+ * conference showing the share of its songs with each trope. Units can be
+ * clustered by trope profile (dendrogram alongside), tropes ordered by
+ * co-occurrence, and marginal bars total every school and every trope.
  */
 
-import { getConferenceColor, isPurdue, PURDUE_COLORS, TROPE_LABELS, sortSchools } from './utils.js';
-import { subscribe, hoverSchool, selectSchool, getState } from './state.js';
+import { getConferenceColor, TROPE_LABELS, SELECTION_COLOR, sortSchools } from './utils.js';
+import { subscribe, hoverSchool, selectSchool, toggleSelection, setSelection, isInSelection, isSchoolVisible, isFeatured, getFeaturedColors, getFilteredSchools } from './state.js';
+import { jaccardSimilarity } from './similarity.js';
+import { hierarchicalCluster, leafOrder, cooccurrenceDistance } from './seriation.js';
 import tooltip from './tooltip.js';
 
+/**
+ * Trope orders
+ */
+const TROPE_ORDERS = {
+  standard: 'Standard',
+  cooccurrence: 'Co-occurrence'
+};
+
+/**
+ * Which way the schools run
+ */
+const MATRIX_LAYOUTS = {
+  columns: 'Schools across',
+  rows: 'Schools down'
+};
+
+/**
+ * What each column (or row) stands for
+ */
+const MATRIX_UNITS = {
+  schools: 'Each school',
+  conferences: 'Conference share'
+};
+
+/**
+ * Fill for a trope a song does not use
+ */
+const EMPTY_COLOR = '#1f2937';
+
 class TropeMatrix {
-  constructor(containerId, schools) {
+  constructor(containerId, schools, options = {}) {
     this.container = document.getElementById(containerId);
+    this.tropeOrderSelect = options.tropeOrderId ? document.getElementById(options.tropeOrderId) : null;
+    this.layoutSelect = options.layoutId ? document.getElementById(options.layoutId) : null;
+    this.unitsSelect = options.unitsId ? document.getElementById(options.unitsId) : null;
     this.schools = schools;
-    this.sortedSchools = sortSchools(schools, 'conference');
     this.svg = null;
     this.hoveredSchool = null;
     this.currentSort = 'conference';
+    this.layout = 'columns';
+    this.units = 'schools';
 
     // Trope keys
-    this.tropes = ['fight', 'victory', 'win_won', 'rah', 'nonsense', 'colors', 'men', 'opponents', 'spelling'];
+    this.standardTropes = ['fight', 'victory', 'win_won', 'rah', 'nonsense', 'colors', 'men', 'opponents', 'spelling'];
+    this.tropes = this.standardTropes;
+    this.tropeOrder = 'standard';
+
+    // Clustering of the schools by trope profile, built on first use;
+    // this.tree is the one drawn (schools or conferences), null unless clustered
+    this.schoolTree = null;
+    this.tree = null;
 
     // Configuration
     this.config = {
@@ -26,33 +72,254 @@ class TropeMatrix {
       cellHeight: 22,
       cellGap: 2,
       minCellWidth: 12,
+      maxCellWidth: 80,
+      rowHeight: 16,             // per school when schools run down
+      rowLabelWidth: 120,
+      dendrogramHeight: 60,      // extra space beside the units when clustered
+      dendrogramGap: 24,         // between the tree's leaves and the cells
+      marginalSize: 40,          // longest marginal bar
+      marginalGap: 6,
       transitionDuration: 500
     };
 
+    this.unitList = this.buildUnits();
+
+    this.setupControls();
     this.init();
     this.setupStateListeners();
   }
 
+  /**
+   * Trope order, layout and unit pickers
+   */
+  setupControls() {
+    const fill = (select, options, value, onChange) => {
+      if (!select) return;
+      select.innerHTML = Object.entries(options)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+      select.value = value;
+      select.addEventListener('change', (e) => onChange(e.target.value));
+    };
+
+    fill(this.tropeOrderSelect, TROPE_ORDERS, this.tropeOrder, value => this.reorderTropes(value));
+    fill(this.layoutSelect, MATRIX_LAYOUTS, this.layout, value => {
+      this.layout = value;
+      this.init();
+      this.filterSchools();
+    });
+    fill(this.unitsSelect, MATRIX_UNITS, this.units, value => {
+      this.units = value;
+      this.unitList = this.buildUnits();
+      this.init();
+      this.filterSchools();
+    });
+  }
+
+  /**
+   * Whether units are pooled conferences rather than schools
+   */
+  isAggregate() {
+    return this.units === 'conferences';
+  }
+
+  /**
+   * Whether schools run down the page
+   */
+  isTransposed() {
+    return this.layout === 'rows';
+  }
+
+  /**
+   * Schools in column order for a sort mode
+   * 'cluster' is the leaf order of average-linkage clustering on
+   * Jaccard distance between trope profiles.
+   */
+  orderSchools(sortBy) {
+    if (sortBy !== 'cluster') return sortSchools(this.schools, sortBy);
+
+    if (!this.schoolTree) {
+      this.schoolTree = hierarchicalCluster(this.schools, (a, b) => 1 - jaccardSimilarity(a, b));
+    }
+    return leafOrder(this.schoolTree);
+  }
+
+  /**
+   * The units in display order: schools, or one pooled unit per conference
+   * over the filtered set, ordered the way the sort orders schools
+   */
+  buildUnits() {
+    if (!this.isAggregate()) {
+      const schools = this.orderSchools(this.currentSort);
+      this.tree = this.currentSort === 'cluster' ? this.schoolTree : null;
+      return schools;
+    }
+
+    const units = d3.groups(getFilteredSchools(), d => d.conference).map(([conference, members]) => ({
+      conference,
+      schools: members,
+      shares: Object.fromEntries(this.standardTropes.map(t => [t, members.filter(s => s[t]).length / members.length])),
+      meanTropes: d3.mean(members, s => s.trope_count),
+      meanBpm: d3.mean(members, s => s.bpm),
+      medianYear: d3.median(members, s => s.year)
+    }));
+
+    this.tree = null;
+    switch (this.currentSort) {
+      case 'trope_count':
+        return units.sort((a, b) => b.meanTropes - a.meanTropes);
+      case 'year':
+        return units.sort((a, b) => (a.medianYear ?? Infinity) - (b.medianYear ?? Infinity));
+      case 'bpm':
+        return units.sort((a, b) => b.meanBpm - a.meanBpm);
+      case 'cluster':
+        // Mean absolute difference in trope shares
+        this.tree = hierarchicalCluster(units, (a, b) =>
+          d3.mean(this.standardTropes, t => Math.abs(a.shares[t] - b.shares[t])));
+        return leafOrder(this.tree);
+      default:
+        return units.sort((a, b) => a.conference.localeCompare(b.conference));
+    }
+  }
+
+  /**
+   * Key a unit is joined by
+   */
+  unitKey(d) {
+    return this.isAggregate() ? d.conference : d.school;
+  }
+
+  /**
+   * A unit's value for a trope: 1 / 0 for a school, the share of songs for a conference
+   */
+  tropeValue(d, trope) {
+    return this.isAggregate() ? d.shares[trope] : (d[trope] ? 1 : 0);
+  }
+
+  /**
+   * Tropes per song for a unit (its marginal bar)
+   */
+  unitTotal(d) {
+    return this.isAggregate() ? d.meanTropes : d.trope_count;
+  }
+
+  /**
+   * Whether a unit stands for (or contains) a school
+   */
+  matchesSchool(d, school) {
+    return this.isAggregate() ? d.conference === school.conference : d.school === school.school;
+  }
+
+  /**
+   * Margins for the current layout, with room for the dendrogram and marginal bars
+   */
+  getMargins() {
+    const { margin, dendrogramHeight, marginalSize, marginalGap, rowLabelWidth } = this.config;
+    const clustered = !!this.tree;
+    const totalSpace = marginalSize + marginalGap + 28;
+
+    if (this.isTransposed()) {
+      return {
+        top: 8,
+        right: margin.right + totalSpace,
+        bottom: 10,
+        left: rowLabelWidth + (clustered ? dendrogramHeight + 10 : 0)
+      };
+    }
+
+    return {
+      top: margin.top + (clustered ? dendrogramHeight : 0),
+      right: margin.right + totalSpace,
+      bottom: margin.bottom + marginalSize + marginalGap,
+      left: margin.left
+    };
+  }
+
+  /**
+   * Offset of the i-th unit along the unit axis
+   */
+  unitOffset(i) {
+    return i * (this.unitSize + this.config.cellGap);
+  }
+
+  /**
+   * Offset of a trope along the trope axis
+   */
+  tropeOffset(trope) {
+    return this.tropes.indexOf(trope) * (this.tropeSize + this.config.cellGap);
+  }
+
+  /**
+   * Transform placing the i-th unit's group
+   */
+  unitTransform(i) {
+    return this.isTransposed()
+      ? `translate(0, ${this.unitOffset(i)})`
+      : `translate(${this.unitOffset(i)}, 0)`;
+  }
+
+  /**
+   * Place cells (a selection or a transition) within their unit
+   */
+  positionCells(cells) {
+    const transposed = this.isTransposed();
+    cells
+      .attr('x', d => (transposed ? this.tropeOffset(d.trope) : 0))
+      .attr('y', d => (transposed ? 0 : this.tropeOffset(d.trope)))
+      .attr('width', transposed ? this.tropeSize : this.unitSize)
+      .attr('height', transposed ? this.unitSize : this.tropeSize);
+  }
+
   /**
    * Initialize the matrix
    */
   init() {
     // Clear container
     this.container.innerHTML = '';
+    this.container.classList.toggle('is-transposed', this.isTransposed());
 
     // Get container dimensions
     const rect = this.container.getBoundingClientRect();
     this.width = rect.width || 1000;
 
-    const innerWidth = this.width - this.config.margin.left - this.config.margin.right;
-    const cellWidth = Math.max(this.config.minCellWidth, innerWidth / this.schools.length - this.config.cellGap);
+    const { cellGap, cellHeight, rowHeight, minCellWidth, maxCellWidth } = this.config;
+    const n = this.unitList.length;
+    this.margins = this.getMargins();
+    const innerWidth = this.width - this.margins.left - this.margins.right;
+
+    if (this.isTransposed()) {
+      this.unitSize = this.isAggregate() ? cellHeight : rowHeight;
+      this.tropeSize = Math.max(minCellWidth, innerWidth / this.tropes.length - cellGap);
+    } else {
+      this.unitSize = Math.min(maxCellWidth, Math.max(minCellWidth, innerWidth / n - cellGap));
+      this.tropeSize = cellHeight;
+    }
 
-    this.cellWidth = cellWidth;
-    this.innerHeight = this.tropes.length * (this.config.cellHeight + this.config.cellGap);
-    this.height = this.innerHeight + this.config.margin.top + this.config.margin.bottom;
+    this.unitLength = n * (this.unitSize + cellGap);
+    this.tropeLength = this.tropes.length * (this.tropeSize + cellGap);
+    this.innerHeight = this.isTransposed() ? this.unitLength : this.tropeLength;
+    this.height = this.innerHeight + this.margins.top + this.margins.bottom;
+
+    // Schools down: trope labels and totals in a header that stays put
+    // while the rows scroll beneath it
+    let body = this.container;
+    if (this.isTransposed()) {
+      const headerHeight = this.config.marginalSize + this.config.marginalGap + 34;
+      this.headerSvg = d3.select(this.container)
+        .append('svg')
+        .attr('class', 'matrix-header')
+        .attr('width', '100%')
+        .attr('height', headerHeight)
+        .attr('viewBox', `0 0 ${this.width} ${headerHeight}`)
+        .attr('preserveAspectRatio', 'xMinYMid meet');
+      this.headerG = this.headerSvg.append('g')
+        .attr('transform', `translate(${this.margins.left}, ${headerHeight})`);
+
+      body = d3.select(this.container).append('div').attr('class', 'matrix-scroll').node();
+    }
 
     // Create SVG
-    this.svg = d3.select(this.container)
+    this.svg = d3.select(body)
       .append('svg')
       .attr('width', '100%')
       .attr('height', this.height)
@@ -61,36 +328,159 @@ class TropeMatrix {
 
     // Create main group
     this.g = this.svg.append('g')
-      .attr('transform', `translate(${this.config.margin.left}, ${this.config.margin.top})`);
+      .attr('transform', `translate(${this.margins.left}, ${this.margins.top})`);
+
+    if (!this.isTransposed()) this.headerG = this.g;
 
-    // Draw row labels (tropes)
-    this.drawRowLabels();
+    // Dendrogram beside the units (clustered order only)
+    this.dendrogramGroup = this.g.append('g').attr('class', 'dendrogram');
+    this.drawDendrogram();
 
-    // Draw cells
+    // Draw trope labels
+    this.drawTropeLabels();
+
+    // Draw cells, with each unit's total bar
     this.drawCells();
 
-    // Draw Purdue highlight
-    this.drawPurdueHighlight();
+    // Trope totals
+    this.tropeTotalsGroup = this.headerG.append('g').attr('class', 'trope-totals');
+    this.drawTropeTotals(0);
+
+    // Draw featured school highlight
+    this.drawFeaturedHighlight();
 
-    // Draw column labels (schools - shown on hover)
+    // Draw column labels (conference runs)
     this.drawColumnLabels();
   }
 
   /**
-   * Draw row labels (trope names)
+   * Dendrogram of the unit clustering, leaves centred on their units
+   * Clicking a branch selects every school under it.
+   */
+  drawDendrogram() {
+    this.dendrogramGroup.selectAll('*').remove();
+    if (this.currentSort !== 'cluster' || !this.tree) return;
+
+    const { dendrogramHeight, dendrogramGap, rowLabelWidth } = this.config;
+    const center = new Map(this.unitList.map((d, i) => [this.unitKey(d), this.unitOffset(i) + this.unitSize / 2]));
+    const depth = d3.scaleLinear()
+      .domain([0, this.tree.height || 1])
+      .range(this.isTransposed()
+        ? [-rowLabelWidth - 4, -rowLabelWidth - 4 - dendrogramHeight]
+        : [-dendrogramGap, -dendrogramGap - dendrogramHeight]);
+
+    // Unit position and depth to x, y
+    const point = (u, h) => (this.isTransposed() ? [depth(h), u] : [u, depth(h)]);
+    const schoolsOf = d => (this.isAggregate() ? d.schools : [d]);
+
+    // Position every node: leaves at their unit, merges over the middle of their children
+    const branches = [];
+    const place = node => {
+      if (!node.children) {
+        return { u: center.get(this.unitKey(node.item)), h: 0, schools: schoolsOf(node.item) };
+      }
+      const [left, right] = node.children.map(place);
+      const merged = { u: (left.u + right.u) / 2, h: node.height, schools: [...left.schools, ...right.schools] };
+      branches.push({ ...merged, left, right });
+      return merged;
+    };
+    place(this.tree);
+
+    this.dendrogramGroup.selectAll('path.dendrogram-branch')
+      .data(branches)
+      .join('path')
+      .attr('class', 'dendrogram-branch')
+      .attr('d', d => `M${point(d.left.u, d.left.h)}L${point(d.left.u, d.h)}L${point(d.right.u, d.h)}L${point(d.right.u, d.right.h)}`)
+      .attr('fill', 'none')
+      .attr('stroke', 'rgba(255, 255, 255, 0.45)')
+      .attr('stroke-width', 1)
+      .style('cursor', 'pointer')
+      .on('mouseenter', function() { d3.select(this).attr('stroke', SELECTION_COLOR).attr('stroke-width', 2); })
+      .on('mouseleave', function() { d3.select(this).attr('stroke', 'rgba(255, 255, 255, 0.45)').attr('stroke-width', 1); })
+      .on('click', (event, d) => {
+        event.stopPropagation();
+        setSelection(d.schools);
+      })
+      .append('title')
+      .text(d => `${d.schools.length} schools · distance ${d.h.toFixed(2)} · click to select`);
+
+    this.dendrogramGroup
+      .attr('opacity', 0)
+      .transition()
+      .duration(200)
+      .attr('opacity', 1);
+  }
+
+  /**
+   * Reorder the tropes
+   * @param {string} order - Key of TROPE_ORDERS; 'cooccurrence' puts tropes
+   *   that appear in the same songs next to each other
    */
-  drawRowLabels() {
-    this.g.selectAll('text.row-label')
-      .data(this.tropes)
+  reorderTropes(order) {
+    this.tropeOrder = TROPE_ORDERS[order] ? order : 'standard';
+    this.tropes = this.tropeOrder === 'cooccurrence'
+      ? leafOrder(hierarchicalCluster(this.standardTropes, cooccurrenceDistance(this.schools)))
+      : this.standardTropes;
+
+    const duration = this.config.transitionDuration;
+
+    this.positionTropeLabels(this.headerG.selectAll('text.row-label').transition().duration(duration));
+    this.positionCells(this.g.selectAll('rect.cell').transition().duration(duration));
+    this.g.selectAll('text.cell-value')
+      .transition()
+      .duration(duration)
+      .call(text => this.positionCellValues(text));
+    this.drawTropeTotals(duration);
+  }
+
+  /**
+   * Draw trope labels: rows on the left, or column headings when schools run down
+   */
+  drawTropeLabels() {
+    this.headerG.selectAll('text.row-label')
+      .data(this.tropes, d => d)
       .join('text')
       .attr('class', 'row-label')
-      .attr('x', -10)
-      .attr('y', (d, i) => i * (this.config.cellHeight + this.config.cellGap) + this.config.cellHeight / 2)
-      .attr('text-anchor', 'end')
+      .attr('text-anchor', this.isTransposed() ? 'middle' : 'end')
       .attr('dominant-baseline', 'middle')
       .attr('fill', 'var(--text-secondary)')
       .attr('font-size', '11px')
-      .text(d => TROPE_LABELS[d]);
+      .text(d => TROPE_LABELS[d])
+      .call(labels => this.positionTropeLabels(labels));
+  }
+
+  /**
+   * Place trope labels (a selection or a transition)
+   */
+  positionTropeLabels(labels) {
+    if (this.isTransposed()) {
+      labels
+        .attr('x', d => this.tropeOffset(d) + this.tropeSize / 2)
+        .attr('y', -10);
+    } else {
+      labels
+        .attr('x', -10)
+        .attr('y', d => this.tropeOffset(d) + this.tropeSize / 2);
+    }
+  }
+
+  /**
+   * Place the percentages in pooled cells (a selection or a transition)
+   */
+  positionCellValues(text) {
+    const transposed = this.isTransposed();
+    text
+      .attr('x', d => (transposed ? this.tropeOffset(d.trope) + this.tropeSize / 2 : this.unitSize / 2))
+      .attr('y', d => (transposed ? this.unitSize / 2 : this.tropeOffset(d.trope) + this.tropeSize / 2));
+  }
+
+  /**
+   * Resting opacity of a cell
+   */
+  cellOpacity(d, emphasized = false) {
+    if (this.isAggregate()) return Math.min(1, 0.12 + d.value * 0.8 + (emphasized ? 0.15 : 0));
+    if (emphasized) return d.value ? 1 : 0.7;
+    return d.value ? 0.85 : 0.5;
   }
 
   /**
@@ -98,159 +488,356 @@ class TropeMatrix {
    */
   drawCells() {
     const self = this;
+    const featuredColors = getFeaturedColors();
+    const aggregate = this.isAggregate();
+    const transposed = this.isTransposed();
 
-    // Create column groups for each school
+    // Create a group per unit (a column, or a row when transposed)
     const columns = this.g.selectAll('g.column')
-      .data(this.sortedSchools, d => d.school)
+      .data(this.unitList, d => this.unitKey(d))
       .join('g')
-      .attr('class', d => `column ${isPurdue(d) ? 'purdue' : ''}`)
-      .attr('transform', (d, i) => `translate(${i * (this.cellWidth + this.config.cellGap)}, 0)`)
+      .attr('class', d => `column ${!aggregate && isFeatured(d) ? 'featured' : ''}`)
+      .attr('transform', (d, i) => this.unitTransform(i))
       .style('cursor', 'pointer')
       .on('mouseenter', function(event, d) { self.handleMouseEnter(event, d, this); })
       .on('mousemove', (event, d) => this.handleMouseMove(event, d))
       .on('mouseleave', function(event, d) { self.handleMouseLeave(event, d, this); })
       .on('click', (event, d) => this.handleClick(event, d));
 
-    // Draw cells within each column
-    columns.selectAll('rect.cell')
-      .data(d => this.tropes.map((trope, i) => ({
-        school: d,
+    // Draw cells within each unit
+    const cells = columns.selectAll('rect.cell')
+      .data(d => this.tropes.map(trope => ({
+        unit: d,
         trope,
-        value: d[trope],
-        rowIndex: i
+        value: this.tropeValue(d, trope)
       })))
       .join('rect')
       .attr('class', 'cell')
-      .attr('x', 0)
-      .attr('y', d => d.rowIndex * (this.config.cellHeight + this.config.cellGap))
-      .attr('width', this.cellWidth)
-      .attr('height', this.config.cellHeight)
       .attr('rx', 2)
       .attr('fill', d => {
-        if (!d.value) return '#1f2937';
-        if (isPurdue(d.school)) return PURDUE_COLORS.gold;
-        return getConferenceColor(d.school.conference);
+        if (aggregate) return getConferenceColor(d.unit.conference);
+        if (!d.value) return EMPTY_COLOR;
+        if (isFeatured(d.unit)) return featuredColors.primary;
+        return getConferenceColor(d.unit.conference);
       })
-      .attr('opacity', d => d.value ? 0.85 : 0.5);
+      .attr('opacity', d => this.cellOpacity(d))
+      .call(rects => this.positionCells(rects));
+
+    if (aggregate) {
+      // A pooled cell selects its conference's songs with that trope
+      cells
+        .on('click', (event, d) => {
+          event.stopPropagation();
+          setSelection(d.unit.schools.filter(s => s[d.trope]));
+        })
+        .append('title')
+        .text(d => `${d.unit.conference}: ${Math.round(d.value * 100)}% of ${d.unit.schools.length} songs use ${TROPE_LABELS[d.trope]} · click to select them`);
+
+      // Percentages where they fit
+      const width = transposed ? this.tropeSize : this.unitSize;
+      const height = transposed ? this.unitSize : this.tropeSize;
+      if (width >= 26 && height >= 14) {
+        columns.selectAll('text.cell-value')
+          .data(d => this.tropes.map(trope => ({ unit: d, trope, value: this.tropeValue(d, trope) })))
+          .join('text')
+          .attr('class', 'cell-value')
+          .attr('text-anchor', 'middle')
+          .attr('dominant-baseline', 'middle')
+          .attr('fill', '#ffffff')
+          .attr('font-size', '9px')
+          .style('pointer-events', 'none')
+          .text(d => `${Math.round(d.value * 100)}%`)
+          .call(text => this.positionCellValues(text));
+      }
+    }
+
+    // Row labels when units run down the page
+    if (transposed) {
+      columns.append('text')
+        .attr('class', 'unit-label')
+        .attr('x', -10)
+        .attr('y', this.unitSize / 2)
+        .attr('text-anchor', 'end')
+        .attr('dominant-baseline', 'middle')
+        .attr('fill', d => (!aggregate && isFeatured(d) ? featuredColors.primary : getConferenceColor(d.conference)))
+        .attr('font-size', '10px')
+        .attr('font-weight', d => (!aggregate && isFeatured(d) ? '600' : null))
+        .text(d => (aggregate ? d.conference : d.school));
+    }
+
+    this.drawUnitTotals(columns);
+
+    // Marker beside each school, shown for schools in the selection set
+    if (!aggregate) {
+      columns.append('rect')
+        .attr('class', 'selection-marker')
+        .attr('x', transposed ? -6 : 0)
+        .attr('y', transposed ? 0 : -8)
+        .attr('width', transposed ? 3 : this.unitSize)
+        .attr('height', transposed ? this.unitSize : 3)
+        .attr('rx', 1.5)
+        .attr('fill', SELECTION_COLOR);
+    }
+
+    this.styleSelection();
+  }
+
+  /**
+   * Marginal bar per unit: how many tropes the song uses (or the average
+   * across a conference's songs), past the end of the trope axis
+   */
+  drawUnitTotals(columns) {
+    const { marginalSize, marginalGap } = this.config;
+    const transposed = this.isTransposed();
+    const scale = d3.scaleLinear()
+      .domain([0, d3.max(this.unitList, d => this.unitTotal(d)) || 1])
+      .range([0, marginalSize]);
+
+    const bars = columns.append('g').attr('class', 'unit-total');
+
+    bars.append('rect')
+      .attr('x', transposed ? this.tropeLength + marginalGap : 0)
+      .attr('y', transposed ? 0 : this.tropeLength + marginalGap)
+      .attr('width', d => (transposed ? scale(this.unitTotal(d)) : this.unitSize))
+      .attr('height', d => (transposed ? this.unitSize : scale(this.unitTotal(d))))
+      .attr('fill', d => getConferenceColor(d.conference))
+      .attr('opacity', 0.6)
+      .append('title')
+      .text(d => (this.isAggregate()
+        ? `${d.conference}: ${this.unitTotal(d).toFixed(1)} tropes per song`
+        : `${d.school}: ${d.trope_count} tropes`));
+
+    // Values beside the bars when schools run down (there is room)
+    if (transposed) {
+      bars.append('text')
+        .attr('x', d => this.tropeLength + marginalGap + scale(this.unitTotal(d)) + 4)
+        .attr('y', this.unitSize / 2)
+        .attr('dominant-baseline', 'middle')
+        .attr('fill', 'var(--text-secondary)')
+        .attr('font-size', '9px')
+        .text(d => (this.isAggregate() ? this.unitTotal(d).toFixed(1) : this.unitTotal(d)));
+    }
+  }
+
+  /**
+   * Marginal bar per trope: how many of the filtered songs use it (or the
+   * share of them, for pooled conferences), past the end of the unit axis,
+   * or above the column headings when schools run down
+   */
+  drawTropeTotals(duration = this.config.transitionDuration) {
+    const { marginalSize, marginalGap } = this.config;
+    const transposed = this.isTransposed();
+    const songs = getFilteredSchools();
+    const totals = this.tropes.map(trope => {
+      const count = songs.filter(s => s[trope]).length;
+      return { trope, count, share: songs.length ? count / songs.length : 0 };
+    });
+
+    const value = d => (this.isAggregate() ? d.share : d.count);
+    const scale = d3.scaleLinear()
+      .domain([0, this.isAggregate() ? 1 : Math.max(1, songs.length)])
+      .range([0, marginalSize]);
+    const format = d => (this.isAggregate() ? `${Math.round(d.share * 100)}%` : d.count);
+
+    // Bars start past the grid, or grow up from above the headings
+    const base = transposed ? -22 : this.unitLength + marginalGap;
+
+    const groups = this.tropeTotalsGroup.selectAll('g.trope-total')
+      .data(totals, d => d.trope)
+      .join(enter => {
+        const group = enter.append('g').attr('class', 'trope-total');
+        group.append('rect')
+          .attr('fill', 'var(--text-secondary)')
+          .attr('opacity', 0.6);
+        group.append('text')
+          .attr('fill', 'var(--text-secondary)')
+          .attr('font-size', '9px');
+        group.append('title');
+        return group;
+      });
+
+    groups.select('title')
+      .text(d => `${TROPE_LABELS[d.trope]}: ${d.count} of ${songs.length} songs`);
+
+    const rects = groups.select('rect').transition().duration(duration);
+    const labels = groups.select('text').text(format).transition().duration(duration);
+
+    if (transposed) {
+      rects
+        .attr('x', d => this.tropeOffset(d.trope))
+        .attr('y', d => base - scale(value(d)))
+        .attr('width', this.tropeSize)
+        .attr('height', d => scale(value(d)));
+      labels
+        .attr('x', d => this.tropeOffset(d.trope) + this.tropeSize / 2)
+        .attr('y', d => base - scale(value(d)) - 4)
+        .attr('text-anchor', 'middle');
+    } else {
+      rects
+        .attr('x', base)
+        .attr('y', d => this.tropeOffset(d.trope))
+        .attr('width', d => scale(value(d)))
+        .attr('height', this.tropeSize);
+      labels
+        .attr('x', d => base + scale(value(d)) + 4)
+        .attr('y', d => this.tropeOffset(d.trope) + this.tropeSize / 2)
+        .attr('dominant-baseline', 'middle')
+        .attr('text-anchor', 'start');
+    }
   }
 
   /**
-   * Draw Purdue column highlight
+   * Show markers for schools in the selection set
    */
-  drawPurdueHighlight() {
-    const purdueIndex = this.sortedSchools.findIndex(s => isPurdue(s));
-    if (purdueIndex === -1) return;
+  styleSelection() {
+    if (this.isAggregate()) return;
 
-    const x = purdueIndex * (this.cellWidth + this.config.cellGap) - 3;
-    const width = this.cellWidth + 6;
-    const height = this.innerHeight + 6;
+    this.g.selectAll('g.column')
+      .classed('in-selection', d => isInSelection(d))
+      .select('.selection-marker')
+      .attr('opacity', d => isInSelection(d) ? 1 : 0);
+  }
+
+  /**
+   * Draw featured school highlight, inside its unit so it moves with it
+   */
+  drawFeaturedHighlight() {
+    if (this.isAggregate()) return;
+
+    const featuredColors = getFeaturedColors();
+    const column = this.g.selectAll('g.column').filter(d => isFeatured(d));
+    if (column.empty()) return;
+
+    const transposed = this.isTransposed();
 
-    this.g.append('rect')
-      .attr('class', 'purdue-highlight-box')
-      .attr('x', x)
+    column.append('rect')
+      .attr('class', 'featured-highlight-box')
+      .attr('x', -3)
       .attr('y', -3)
-      .attr('width', width)
-      .attr('height', height)
+      .attr('width', (transposed ? this.tropeLength : this.unitSize) + 6)
+      .attr('height', (transposed ? this.unitSize : this.tropeLength) + 6)
       .attr('fill', 'none')
-      .attr('stroke', PURDUE_COLORS.gold)
+      .attr('stroke', featuredColors.primary)
       .attr('stroke-width', 2)
       .attr('rx', 4)
       .attr('opacity', 0.8);
 
-    // Purdue label above
-    this.g.append('text')
-      .attr('class', 'purdue-label')
-      .attr('x', x + width / 2)
-      .attr('y', -12)
-      .attr('text-anchor', 'middle')
-      .attr('fill', PURDUE_COLORS.gold)
-      .attr('font-size', '10px')
-      .attr('font-weight', '600')
-      .text('PURDUE');
+    // Featured school label above its column (rows carry their own names)
+    if (!transposed) {
+      column.append('text')
+        .attr('class', 'featured-label')
+        .attr('x', this.unitSize / 2)
+        .attr('y', -12)
+        .attr('text-anchor', 'middle')
+        .attr('fill', featuredColors.primary)
+        .attr('font-size', '10px')
+        .attr('font-weight', '600')
+        .text(d => d.school.toUpperCase());
+    }
+
+    column.raise();
   }
 
   /**
-   * Draw column labels (school names)
+   * Draw conference labels under runs of columns (schools across only)
+   * @param {boolean} [fade] - Fade the labels in (after a resort)
    */
-  drawColumnLabels() {
+  drawColumnLabels(fade = false) {
+    this.g.selectAll('.conf-label').remove();
+    if (this.isTransposed()) return;
+
     // Conference divider labels
     let currentConf = null;
     const confStarts = [];
 
-    this.sortedSchools.forEach((school, i) => {
-      if (school.conference !== currentConf) {
-        confStarts.push({ conference: school.conference, index: i });
-        currentConf = school.conference;
+    this.unitList.forEach((unit, i) => {
+      if (unit.conference !== currentConf) {
+        confStarts.push({ conference: unit.conference, index: i });
+        currentConf = unit.conference;
       }
     });
 
-    // Draw conference labels at bottom
+    // Draw conference labels at bottom, under the total bars
+    const y = this.tropeLength + this.config.marginalSize + this.config.marginalGap + 20;
+
     confStarts.forEach((conf, idx) => {
       const nextConf = confStarts[idx + 1];
-      const endIndex = nextConf ? nextConf.index : this.sortedSchools.length;
+      const endIndex = nextConf ? nextConf.index : this.unitList.length;
       const midIndex = (conf.index + endIndex) / 2;
-      const x = midIndex * (this.cellWidth + this.config.cellGap);
+      const x = midIndex * (this.unitSize + this.config.cellGap);
 
-      this.g.append('text')
+      const label = this.g.append('text')
         .attr('class', 'conf-label')
         .attr('x', x)
-        .attr('y', this.innerHeight + 20)
+        .attr('y', y)
         .attr('text-anchor', 'middle')
         .attr('fill', getConferenceColor(conf.conference))
         .attr('font-size', '10px')
         .attr('font-weight', '500')
         .text(conf.conference);
+
+      if (fade) {
+        label.attr('opacity', 0)
+          .transition()
+          .duration(200)
+          .attr('opacity', 1);
+      }
     });
   }
 
   /**
    * Handle mouse enter
    */
-  handleMouseEnter(event, school, element) {
-    this.hoveredSchool = school;
-    hoverSchool(school);
-
-    // Highlight this column
-    d3.select(element).selectAll('rect.cell')
+  handleMouseEnter(event, unit, element) {
+    // Dim other units
+    this.g.selectAll('g.column')
+      .filter(d => d !== unit)
       .transition()
       .duration(100)
-      .attr('opacity', d => d.value ? 1 : 0.7);
+      .attr('opacity', 0.3);
 
-    // Dim other columns
-    this.g.selectAll('g.column')
-      .filter(d => d.school !== school.school)
+    // Highlight this unit
+    d3.select(element).selectAll('rect.cell')
       .transition()
       .duration(100)
-      .attr('opacity', 0.3);
+      .attr('opacity', d => this.cellOpacity(d, true));
+
+    if (this.isAggregate()) return;
+
+    this.hoveredSchool = unit;
+    hoverSchool(unit);
 
     // Show tooltip
-    tooltip.show(school, event.clientX, event.clientY);
+    tooltip.show(unit, event.clientX, event.clientY);
   }
 
   /**
    * Handle mouse move
    */
-  handleMouseMove(event, school) {
+  handleMouseMove(event, unit) {
+    if (this.isAggregate()) return;
     tooltip.move(event.clientX, event.clientY);
   }
 
   /**
    * Handle mouse leave
    */
-  handleMouseLeave(event, school, element) {
-    this.hoveredSchool = null;
-    hoverSchool(null);
-
-    // Restore all columns
+  handleMouseLeave(event, unit, element) {
+    // Restore all units
     this.g.selectAll('g.column')
       .transition()
       .duration(100)
-      .attr('opacity', 1);
+      .attr('opacity', d => this.unitOpacity(d));
 
     d3.select(element).selectAll('rect.cell')
       .transition()
       .duration(100)
-      .attr('opacity', d => d.value ? 0.85 : 0.5);
+      .attr('opacity', d => this.cellOpacity(d));
+
+    if (this.isAggregate()) return;
+
+    this.hoveredSchool = null;
+    hoverSchool(null);
 
     // Hide tooltip
     tooltip.hide();
@@ -259,74 +846,62 @@ class TropeMatrix {
   /**
    * Handle click
    */
-  handleClick(event, school) {
+  handleClick(event, unit) {
     event.stopPropagation();
-    selectSchool(school);
+
+    // Pooled conferences select from their cells
+    if (this.isAggregate()) return;
+
+    // Shift-click builds up the selection set
+    if (event.shiftKey) {
+      toggleSelection(unit);
+      return;
+    }
+
+    selectSchool(unit);
   }
 
   /**
    * Resort the matrix
    */
   resort(sortBy) {
+    const wasClustered = !!this.tree;
     this.currentSort = sortBy;
-    this.sortedSchools = sortSchools(this.schools, sortBy);
+    this.unitList = this.buildUnits();
 
-    // Animate columns to new positions
-    this.g.selectAll('g.column')
-      .data(this.sortedSchools, d => d.school)
-      .transition()
-      .duration(this.config.transitionDuration)
-      .attr('transform', (d, i) => `translate(${i * (this.cellWidth + this.config.cellGap)}, 0)`);
-
-    // Update Purdue highlight position
-    const purdueIndex = this.sortedSchools.findIndex(s => isPurdue(s));
-    const x = purdueIndex * (this.cellWidth + this.config.cellGap) - 3;
+    // Room for the dendrogram changes the width when schools run down
+    if (this.isTransposed() && wasClustered !== !!this.tree) {
+      this.init();
+      this.filterSchools();
+      return;
+    }
 
-    this.g.select('.purdue-highlight-box')
+    // Make room for (or reclaim it from) the dendrogram
+    this.margins = this.getMargins();
+    this.height = this.innerHeight + this.margins.top + this.margins.bottom;
+    this.svg
+      .attr('height', this.height)
+      .attr('viewBox', `0 0 ${this.width} ${this.height}`);
+    this.g
       .transition()
       .duration(this.config.transitionDuration)
-      .attr('x', x);
+      .attr('transform', `translate(${this.margins.left}, ${this.margins.top})`);
+    this.dendrogramGroup.selectAll('*').remove();
 
-    this.g.select('.purdue-label')
+    // Animate units to new positions
+    this.g.selectAll('g.column')
+      .data(this.unitList, d => this.unitKey(d))
       .transition()
       .duration(this.config.transitionDuration)
-      .attr('x', x + this.cellWidth / 2 + 3);
+      .attr('transform', (d, i) => this.unitTransform(i));
 
     // Update conference labels
     this.g.selectAll('.conf-label').remove();
 
     setTimeout(() => {
-      // Redraw conference labels after animation
-      let currentConf = null;
-      const confStarts = [];
-
-      this.sortedSchools.forEach((school, i) => {
-        if (school.conference !== currentConf) {
-          confStarts.push({ conference: school.conference, index: i });
-          currentConf = school.conference;
-        }
-      });
-
-      confStarts.forEach((conf, idx) => {
-        const nextConf = confStarts[idx + 1];
-        const endIndex = nextConf ? nextConf.index : this.sortedSchools.length;
-        const midIndex = (conf.index + endIndex) / 2;
-        const labelX = midIndex * (this.cellWidth + this.config.cellGap);
-
-        this.g.append('text')
-          .attr('class', 'conf-label')
-          .attr('x', labelX)
-          .attr('y', this.innerHeight + 20)
-          .attr('text-anchor', 'middle')
-          .attr('fill', getConferenceColor(conf.conference))
-          .attr('font-size', '10px')
-          .attr('font-weight', '500')
-          .attr('opacity', 0)
-          .text(conf.conference)
-          .transition()
-          .duration(200)
-          .attr('opacity', 1);
-      });
+      // Redraw conference labels and the dendrogram after animation
+      this.drawColumnLabels(true);
+      this.drawDendrogram();
     }, this.config.transitionDuration);
   }
 
@@ -341,9 +916,15 @@ class TropeMatrix {
       }
     });
 
-    // Listen for conference filter
-    subscribe('activeConference', (conference) => {
-      this.filterByConference(conference);
+    // Listen for filter changes
+    subscribe('filteredSchools', () => {
+      // Pooled conferences are recounted from the filtered set
+      if (this.isAggregate()) {
+        this.unitList = this.buildUnits();
+        this.init();
+        return;
+      }
+      this.filterSchools();
     });
 
     // Listen for external hover
@@ -354,21 +935,34 @@ class TropeMatrix {
         this.externalUnhighlight();
       }
     });
+
+    // Redraw cell colors and highlight box around the new featured school
+    subscribe('featuredSchool', () => {
+      this.init();
+      this.filterSchools();
+    });
+
+    // Listen for selection set changes
+    subscribe('selectionSet', () => this.styleSelection());
   }
 
   /**
-   * Filter by conference
+   * Resting opacity of a unit: schools outside the filtered set are dimmed
    */
-  filterByConference(conference) {
-    const isAll = conference === 'all';
+  unitOpacity(d) {
+    return this.isAggregate() || isSchoolVisible(d) ? 1 : 0.2;
+  }
 
+  /**
+   * Dim units outside the filtered set and recount the trope totals
+   */
+  filterSchools() {
     this.g.selectAll('g.column')
       .transition()
       .duration(this.config.transitionDuration)
-      .attr('opacity', d => {
-        if (isAll || d.conference === conference) return 1;
-        return 0.2;
-      });
+      .attr('opacity', d => this.unitOpacity(d));
+
+    this.drawTropeTotals();
   }
 
   /**
@@ -378,15 +972,14 @@ class TropeMatrix {
     this.g.selectAll('g.column')
       .transition()
       .duration(100)
-      .attr('opacity', d => d.school === school.school ? 1 : 0.3);
+      .attr('opacity', d => this.matchesSchool(d, school) ? 1 : 0.3);
   }
 
   /**
    * Remove external highlight
    */
   externalUnhighlight() {
-    const conference = getState('activeConference') || 'all';
-    this.filterByConference(conference);
+    this.filterSchools();
   }
 
   /**
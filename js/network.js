@@ -4,25 +4,31 @@
  * Force-directed network showing similarity relationships between schools
  */
 
-import { getConferenceColor, isPurdue, PURDUE_COLORS } from './utils.js';
-import { subscribe, hoverSchool, selectSchool, getState } from './state.js';
+import { getConferenceColor, SELECTION_COLOR } from './utils.js';
+import { subscribe, hoverSchool, selectSchool, toggleSelection, isInSelection, isSchoolVisible, getState, isFeatured, getFeaturedColors } from './state.js';
+import { createSimilarity, buildLinks } from './similarity.js';
+import { detectCommunities, compareWithConferences, COMMUNITY_METHODS } from './community.js';
 import tooltip from './tooltip.js';
 
 class NetworkGraph {
-  constructor(containerId, schools) {
+  constructor(containerId, schools, options = {}) {
     this.container = document.getElementById(containerId);
+    this.legend = options.legendId ? document.getElementById(options.legendId) : null;
     this.schools = schools;
     this.svg = null;
     this.simulation = null;
     this.nodes = [];
     this.links = [];
+    this.communities = null;    // school name -> cluster number, when clustering
 
     this.config = {
       nodeRadius: 6,
-      purdueRadius: 10,
+      featuredRadius: 10,
       linkDistance: 80,
       chargeStrength: -150,
-      similarityThreshold: 0.7
+      clusterColors: d3.schemeTableau10,
+      unclusteredColor: 'rgba(255, 255, 255, 0.35)',
+      hullPadding: 14
     };
 
     this.init();
@@ -77,32 +83,73 @@ class NetworkGraph {
       y: this.height / 2 + (Math.random() - 0.5) * 100
     }));
 
-    this.links = [];
-    for (let i = 0; i < this.schools.length; i++) {
-      for (let j = i + 1; j < this.schools.length; j++) {
-        const similarity = this.calculateSimilarity(this.schools[i], this.schools[j]);
-        if (similarity > this.config.similarityThreshold) {
-          this.links.push({
-            source: this.schools[i].school,
-            target: this.schools[j].school,
-            similarity: similarity
-          });
-        }
-      }
-    }
+    this.similarity = createSimilarity(this.schools, getState('similarityModel'));
+    this.links = this.computeLinks();
   }
 
-  calculateSimilarity(s1, s2) {
-    const bpmDiff = Math.abs(s1.bpm - s2.bpm);
-    const durationDiff = Math.abs(s1.sec_duration - s2.sec_duration);
-    const tropeDiff = Math.abs(s1.trope_count - s2.trope_count);
+  /**
+   * Communities of the current links, or null when coloring by conference
+   * @returns {Map<string, number>|null}
+   */
+  computeCommunities() {
+    const method = getState('networkClustering');
+    if (!COMMUNITY_METHODS[method]) return null;
+    return detectCommunities(this.nodes.map(n => n.id), this.links, method);
+  }
+
+  /**
+   * Recompute communities and restyle nodes, hulls and legend
+   */
+  updateCommunities() {
+    this.communities = this.computeCommunities();
+    this.clusterSizes = this.communities ? d3.rollup([...this.communities.values()], v => v.length, c => c) : null;
+    this.styleNodes();
+    this.drawHulls();
+    this.renderLegend();
+  }
 
-    const bpmSim = 1 - Math.min(bpmDiff / 100, 1);
-    const durationSim = 1 - Math.min(durationDiff / 60, 1);
-    const tropeSim = 1 - Math.min(tropeDiff / 10, 1);
-    const confSim = s1.conference === s2.conference ? 0.3 : 0;
+  /**
+   * Color of a school's cluster; schools alone in their cluster stay neutral
+   */
+  getClusterColor(school) {
+    const cluster = this.communities.get(school.school);
+    if (this.clusterSizes.get(cluster) < 2) return this.config.unclusteredColor;
+    return this.config.clusterColors[cluster % this.config.clusterColors.length];
+  }
 
-    return (bpmSim * 0.3 + durationSim * 0.2 + tropeSim * 0.2 + confSim) / 0.7;
+  /**
+   * Links under the current similarity model and link mode
+   * @returns {Object[]} Links ({source, target, similarity})
+   */
+  computeLinks() {
+    return buildLinks(this.schools, this.similarity, {
+      ...getState('networkLinkMode'),
+      threshold: getState('networkThreshold')
+    });
+  }
+
+  /**
+   * Rebuild links after the model, threshold or link mode changes, keeping node positions
+   */
+  rebuildLinks() {
+    this.links = this.computeLinks();
+
+    this.linkElements = this.linkGroup.selectAll('line')
+      .data(this.links)
+      .join('line')
+      .attr('stroke', '#ffffff')
+      .attr('stroke-opacity', d => d.similarity * 0.3)
+      .attr('stroke-width', d => d.similarity * 2);
+
+    this.simulation.force('link').links(this.links);
+    this.simulation.alpha(0.5).restart();
+
+    this.updateCommunities();
+    this.filterSchools();
+  }
+
+  calculateSimilarity(s1, s2) {
+    return this.similarity(s1, s2);
   }
 
   createSimulation() {
@@ -117,10 +164,11 @@ class NetworkGraph {
   }
 
   draw() {
-    const linkGroup = this.g.append('g').attr('class', 'links');
+    this.hullGroup = this.g.append('g').attr('class', 'hulls');
+    this.linkGroup = this.g.append('g').attr('class', 'links');
     const nodeGroup = this.g.append('g').attr('class', 'nodes');
 
-    this.linkElements = linkGroup.selectAll('line')
+    this.linkElements = this.linkGroup.selectAll('line')
       .data(this.links)
       .join('line')
       .attr('stroke', '#ffffff')
@@ -142,14 +190,9 @@ class NetworkGraph {
       .on('click', (event, d) => this.handleClick(event, d));
 
     this.nodeElements.append('circle')
-      .attr('r', d => isPurdue(d.school) ? this.config.purdueRadius : this.config.nodeRadius)
-      .attr('fill', d => isPurdue(d.school) ? PURDUE_COLORS.gold : getConferenceColor(d.school.conference))
-      .attr('stroke', d => isPurdue(d.school) ? PURDUE_COLORS.goldLight : '#ffffff')
-      .attr('stroke-width', d => isPurdue(d.school) ? 2 : 1)
       .attr('opacity', 0.9);
 
-    this.nodeElements.filter(d => isPurdue(d.school))
-      .attr('filter', 'url(#network-glow)');
+    this.styleNodes();
 
     this.simulation.on('tick', () => {
       this.linkElements
@@ -160,7 +203,127 @@ class NetworkGraph {
 
       this.nodeElements
         .attr('transform', d => `translate(${d.x}, ${d.y})`);
+
+      this.drawHulls();
     });
+
+    this.updateCommunities();
+  }
+
+  /**
+   * Outline each cluster of two or more schools with a padded convex hull
+   */
+  drawHulls() {
+    const clusters = this.communities
+      ? d3.groups(this.nodes, n => this.communities.get(n.id)).filter(([, members]) => members.length > 1)
+      : [];
+
+    // Pad every node with a ring of points so small clusters still get a shape
+    const pad = this.config.hullPadding;
+    const ring = d3.range(8).map(i => [Math.cos(i * Math.PI / 4) * pad, Math.sin(i * Math.PI / 4) * pad]);
+    const outline = d3.line().curve(d3.curveCatmullRomClosed.alpha(0.5));
+
+    this.hullGroup.selectAll('path.cluster-hull')
+      .data(clusters, ([cluster]) => cluster)
+      .join('path')
+      .attr('class', 'cluster-hull')
+      .attr('fill', ([cluster]) => this.config.clusterColors[cluster % this.config.clusterColors.length])
+      .attr('fill-opacity', 0.08)
+      .attr('stroke', ([cluster]) => this.config.clusterColors[cluster % this.config.clusterColors.length])
+      .attr('stroke-opacity', 0.4)
+      .attr('stroke-width', 1)
+      .attr('d', ([, members]) => {
+        const points = members.flatMap(n => ring.map(([dx, dy]) => [n.x + dx, n.y + dy]));
+        return outline(d3.polygonHull(points));
+      });
+  }
+
+  /**
+   * Legend comparing each cluster's conference mix, with overall purity
+   */
+  renderLegend() {
+    if (!this.legend) return;
+
+    const legend = d3.select(this.legend);
+    legend.attr('hidden', this.communities ? null : '');
+    if (!this.communities) return;
+
+    const { purity, clusters } = compareWithConferences(this.schools, this.communities);
+    const grouped = clusters.filter(c => c.size > 1);
+    const alone = clusters.length - grouped.length;
+
+    legend.select('.cluster-summary')
+      .text(`${grouped.length} clusters · purity ${Math.round(purity * 100)}%` +
+        (alone ? ` · ${alone} unclustered` : ''))
+      .attr('title', 'Purity: share of schools in their cluster\'s most common conference');
+
+    const rows = legend.select('.cluster-rows')
+      .selectAll('li')
+      .data(grouped, c => c.id)
+      .join(enter => {
+        const li = enter.append('li').attr('class', 'cluster-row');
+        li.append('span').attr('class', 'cluster-swatch');
+        li.append('span').attr('class', 'cluster-name');
+        li.append('span').attr('class', 'cluster-mix');
+        li.append('span').attr('class', 'cluster-dominant');
+        return li;
+      })
+      .on('mouseenter', (event, cluster) => this.highlightCluster(cluster.id))
+      .on('mouseleave', () => this.filterSchools());
+
+    rows.select('.cluster-swatch')
+      .style('background', c => this.config.clusterColors[c.id % this.config.clusterColors.length]);
+    rows.select('.cluster-name')
+      .text(c => `${c.size} schools`);
+    rows.select('.cluster-dominant')
+      .text(c => `${Math.round(c.share * 100)}% ${c.dominant}`);
+
+    // Stacked bar of the cluster's conferences
+    rows.select('.cluster-mix')
+      .selectAll('span')
+      .data(c => c.conferences.map(([conference, count]) => ({ conference, share: count / c.size })))
+      .join('span')
+      .style('width', d => `${d.share * 100}%`)
+      .style('background', d => getConferenceColor(d.conference))
+      .attr('title', d => `${d.conference}: ${Math.round(d.share * 100)}%`);
+  }
+
+  /**
+   * Dim every node outside one cluster
+   */
+  highlightCluster(cluster) {
+    this.nodeElements
+      .transition().duration(150)
+      .style('opacity', d => this.communities.get(d.id) === cluster ? 1 : 0.15);
+  }
+
+  /**
+   * Apply featured/selection/conference styling to node circles
+   */
+  styleNodes() {
+    const featuredColors = getFeaturedColors();
+
+    this.nodeElements.select('circle')
+      .attr('r', d => isFeatured(d.school) ? this.config.featuredRadius : this.config.nodeRadius)
+      .attr('fill', d => {
+        if (isFeatured(d.school)) return featuredColors.primary;
+        return this.communities ? this.getClusterColor(d.school) : getConferenceColor(d.school.conference);
+      })
+      .attr('stroke', d => {
+        if (isInSelection(d.school)) return SELECTION_COLOR;
+        return isFeatured(d.school) ? featuredColors.light : '#ffffff';
+      })
+      .attr('stroke-width', d => {
+        if (isInSelection(d.school)) return 3;
+        return isFeatured(d.school) ? 2 : 1;
+      });
+
+    this.nodeElements.classed('in-selection', d => isInSelection(d.school));
+
+    this.nodeElements
+      .attr('filter', d => isFeatured(d.school) ? 'url(#network-glow)' : null);
+
+    this.nodeElements.filter(d => isFeatured(d.school)).raise();
   }
 
   dragStarted(event, d) {
@@ -198,6 +361,13 @@ class NetworkGraph {
 
   handleClick(event, d) {
     event.stopPropagation();
+
+    // Shift-click builds up the selection set
+    if (event.shiftKey) {
+      toggleSelection(d.school);
+      return;
+    }
+
     selectSchool(d.school);
   }
 
@@ -219,24 +389,11 @@ class NetworkGraph {
   }
 
   unhighlightNode(node) {
-    const conference = getState('activeConference') || 'all';
-
-    this.nodeElements
-      .transition().duration(150)
-      .style('opacity', d => {
-        if (conference === 'all' || d.school.conference === conference) return 0.9;
-        return 0.2;
-      });
-
-    this.linkElements
-      .transition().duration(150)
-      .attr('stroke-opacity', d => d.similarity * 0.3);
+    this.filterSchools();
   }
 
   setupStateListeners() {
-    subscribe('activeConference', (conference) => {
-      this.filterByConference(conference);
-    });
+    subscribe('filteredSchools', () => this.filterSchools());
 
     subscribe('hoveredSchool', (school) => {
       if (school) {
@@ -244,23 +401,38 @@ class NetworkGraph {
         if (node) this.highlightNode(node);
       }
     });
-  }
 
-  filterByConference(conference) {
-    const isAll = conference === 'all';
+    subscribe('featuredSchool', () => {
+      this.styleNodes();
+    });
+
+    subscribe('networkThreshold', () => this.rebuildLinks());
+    subscribe('networkLinkMode', () => this.rebuildLinks());
 
+    subscribe('networkClustering', () => this.updateCommunities());
+
+    subscribe('similarityModel', (model) => {
+      this.similarity = createSimilarity(this.schools, model);
+      this.rebuildLinks();
+    });
+
+    // Listen for selection set changes
+    subscribe('selectionSet', () => this.styleNodes());
+  }
+
+  /**
+   * Dim nodes outside the filtered set, and links touching them
+   */
+  filterSchools() {
     this.nodeElements
       .transition().duration(300)
-      .style('opacity', d => {
-        if (isAll || d.school.conference === conference) return 0.9;
-        return 0.2;
-      });
+      .style('opacity', d => isSchoolVisible(d.school) ? 0.9 : 0.2);
 
     this.linkElements
       .transition().duration(300)
       .attr('stroke-opacity', d => {
-        const sourceMatch = isAll || d.source.school.conference === conference;
-        const targetMatch = isAll || d.target.school.conference === conference;
+        const sourceMatch = isSchoolVisible(d.source.school);
+        const targetMatch = isSchoolVisible(d.target.school);
         return (sourceMatch && targetMatch) ? d.similarity * 0.3 : 0.05;
       });
   }
@@ -280,10 +452,8 @@ class NetworkGraph {
     resizeObserver.observe(this.container);
   }
 
-  update(state) {
-    if (state.activeConference) {
-      this.filterByConference(state.activeConference);
-    }
+  update() {
+    this.filterSchools();
   }
 }
 
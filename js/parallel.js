@@ -4,27 +4,73 @@
  * Multi-dimensional visualization showing all metrics simultaneously
  */
 
-import { getConferenceColor, isPurdue, PURDUE_COLORS } from './utils.js';
-import { subscribe, hoverSchool, selectSchool, getState } from './state.js';
+import { getConferenceColor, clamp, lerp, SELECTION_COLOR, TROPE_LABELS } from './utils.js';
+import { subscribe, hoverSchool, selectSchool, toggleSelection, isInSelection, isSchoolVisible, getState, setParallelBrushes, isFeatured, getFeaturedColors } from './state.js';
+import { matchesBrushes } from './filters.js';
 import tooltip from './tooltip.js';
 
+const whole = d => Math.round(d);
+const yesNo = d => d ? 'Yes' : 'No';
+
+/**
+ * Every dimension an axis can show (and so every field a brush can hold)
+ */
+export const DIMENSIONS = [
+  { key: 'bpm', label: 'BPM', format: whole, isBoolean: false },
+  { key: 'sec_duration', label: 'Duration (s)', format: whole, isBoolean: false },
+  { key: 'year', label: 'Year', format: whole, isBoolean: false },
+  { key: 'number_fights', label: '"Fight" count', format: whole, isBoolean: false },
+  { key: 'trope_count', label: 'Tropes', format: whole, isBoolean: false },
+  ...Object.entries(TROPE_LABELS).map(([key, label]) => ({ key, label, format: yesNo, isBoolean: true }))
+];
+
+const DEFAULT_AXES = ['bpm', 'sec_duration', 'year', 'fight', 'victory'];
+
+/**
+ * Stable pseudo-random offset in [-0.5, 0.5) for a school, so jitter
+ * does not reshuffle on every redraw
+ */
+function jitter(school) {
+  let hash = 0;
+  for (const char of school.school) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return ((hash >>> 0) % 1000) / 1000 - 0.5;
+}
+
 class ParallelCoordinates {
-  constructor(containerId, schools) {
+  constructor(containerId, schools, options = {}) {
     this.container = document.getElementById(containerId);
+    this.summary = options.summaryId ? document.getElementById(options.summaryId) : null;
+    this.axisList = options.axisListId ? document.getElementById(options.axisListId) : null;
+    this.scaleSelect = options.scaleId ? document.getElementById(options.scaleId) : null;
     this.schools = schools;
     this.svg = null;
     this.dimensions = [];
     this.scales = {};
     this.axes = {};
-    this.brushes = {};
+    this.brushes = {};          // dimension key -> [min, max] in data units
+    this.brushBehaviors = {};   // dimension key -> { brush, group }
+
+    // Axis layout (user configurable)
+    this.axisKeys = [...DEFAULT_AXES];
+    this.flipped = new Set();   // keys of axes drawn high-to-low
+    this.scaleType = 'linear';  // 'linear' or 'quantile'
+    this.dragging = {};         // key -> x of an axis being dragged
 
     this.config = {
       margin: { top: 40, right: 40, bottom: 20, left: 50 },
       lineOpacity: 0.3,
-      lineOpacityHover: 0.8
+      lineOpacityHover: 0.8,
+      bandHeight: 24,           // spread of jittered lines on yes/no axes
+      minAxes: 2,
+      transitionDuration: 250
     };
 
     this.init();
+    this.renderBrushSummary();
+    this.setupControls();
+    this.setupResize();
     this.setupStateListeners();
   }
 
@@ -46,51 +92,86 @@ class ParallelCoordinates {
     this.g = this.svg.append('g')
       .attr('transform', `translate(${this.config.margin.left}, ${this.config.margin.top})`);
 
-    this.dimensions = [
-      { key: 'bpm', label: 'BPM', format: d => Math.round(d), isBoolean: false },
-      { key: 'sec_duration', label: 'Duration (s)', format: d => Math.round(d), isBoolean: false },
-      { key: 'year', label: 'Year', format: d => Math.round(d), isBoolean: false },
-      { key: 'fight', label: 'Fight', format: d => d ? 'Yes' : 'No', isBoolean: true },
-      { key: 'victory', label: 'Victory', format: d => d ? 'Yes' : 'No', isBoolean: true }
-    ];
+    this.dimensions = this.axisKeys.map(key => DIMENSIONS.find(dim => dim.key === key));
 
     this.xScale = d3.scalePoint()
-      .domain(this.dimensions.map(d => d.key))
+      .domain(this.axisKeys)
       .range([0, innerWidth]);
 
+    this.scales = {};
     this.dimensions.forEach(dim => {
-      if (dim.isBoolean) {
-        // Boolean dimensions: 0 (No) at bottom, 1 (Yes) at top
-        this.scales[dim.key] = d3.scaleLinear()
-          .domain([0, 1])
-          .range([innerHeight, 0]);
-      } else if (dim.key === 'year') {
-        // Year: filter out null values and get proper extent
-        const validYears = this.schools.filter(s => s.year != null).map(s => s.year);
-        const extent = d3.extent(validYears);
-        this.scales[dim.key] = d3.scaleLinear()
-          .domain(extent)
-          .range([innerHeight, 0]);
-      } else {
-        const extent = d3.extent(this.schools, s => s[dim.key] || 0);
-        this.scales[dim.key] = d3.scaleLinear()
-          .domain(extent)
-          .range([innerHeight, 0]);
-      }
+      this.scales[dim.key] = this.createScale(dim, innerHeight);
     });
 
     this.draw();
-    this.setupResize();
+  }
+
+  /**
+   * Build the y scale for a dimension
+   * Yes/no axes are inset so their jittered bands stay on the axis. Quantile
+   * scales are piecewise linear through each distinct value's mean rank, so
+   * they spread crowded ranges and can still invert brush positions.
+   */
+  createScale(dim, height) {
+    const flipped = this.flipped.has(dim.key);
+    const [bottom, top] = flipped ? [0, height] : [height, 0];
+
+    if (dim.isBoolean) {
+      const inset = this.config.bandHeight / 2 * (flipped ? -1 : 1);
+      return d3.scaleLinear()
+        .domain([0, 1])
+        .range([bottom - inset, top + inset]);
+    }
+
+    const values = this.getSortedValues(dim);
+    const distinct = [...new Set(values)];
+
+    if (this.scaleType === 'quantile' && distinct.length > 1) {
+      const ranks = distinct.map(value =>
+        (d3.bisectLeft(values, value) + d3.bisectRight(values, value) - 1) / 2 / (values.length - 1));
+      return d3.scaleLinear()
+        .domain(distinct)
+        .range(ranks.map(rank => lerp(bottom, top, rank)));
+    }
+
+    return d3.scaleLinear()
+      .domain(d3.extent(values))
+      .range([bottom, top]);
+  }
+
+  /**
+   * Known values of a dimension, ascending (schools without a year are left out)
+   */
+  getSortedValues(dim) {
+    return this.schools
+      .map(s => s[dim.key])
+      .filter(value => value != null)
+      .map(Number)
+      .sort(d3.ascending);
+  }
+
+  /**
+   * Re-render from scratch (resize, featured school change, axis changes)
+   */
+  render() {
+    this.container.innerHTML = '';
+    this.brushBehaviors = {};
+    this.dragging = {};
+    this.showBrushedAxes(getState('parallelBrushes'));
+    this.init();
+    this.applyBrushes(getState('parallelBrushes'));
+    this.renderAxisPicker();
   }
 
   draw() {
     const innerHeight = this.height - this.config.margin.top - this.config.margin.bottom;
 
     const linesGroup = this.g.append('g').attr('class', 'lines');
+    const featuredColors = getFeaturedColors();
 
     const sortedSchools = [...this.schools].sort((a, b) => {
-      if (isPurdue(a)) return 1;
-      if (isPurdue(b)) return -1;
+      if (isFeatured(a)) return 1;
+      if (isFeatured(b)) return -1;
       return 0;
     });
 
@@ -99,20 +180,24 @@ class ParallelCoordinates {
       .join('path')
       .attr('class', 'parallel-line')
       .attr('d', d => this.path(d))
-      .attr('stroke', d => isPurdue(d) ? PURDUE_COLORS.gold : getConferenceColor(d.conference))
-      .attr('stroke-width', d => isPurdue(d) ? 2.5 : 1.5)
+      .attr('stroke', d => isFeatured(d) ? featuredColors.primary : getConferenceColor(d.conference))
+      .attr('stroke-width', d => isFeatured(d) ? 2.5 : 1.5)
       .attr('fill', 'none')
-      .attr('opacity', d => isPurdue(d) ? 0.8 : this.config.lineOpacity)
+      .attr('opacity', d => isFeatured(d) ? 0.8 : this.config.lineOpacity)
       .style('cursor', 'pointer')
       .on('mouseenter', (event, d) => this.handleMouseEnter(event, d))
       .on('mousemove', (event, d) => this.handleMouseMove(event, d))
       .on('mouseleave', (event, d) => this.handleMouseLeave(event, d))
       .on('click', (event, d) => this.handleClick(event, d));
 
-    const axesGroup = this.g.append('g').attr('class', 'axes');
+    this.styleSelection();
+
+    this.axesGroup = this.g.append('g').attr('class', 'axes');
 
     this.dimensions.forEach(dim => {
-      const axisGroup = axesGroup.append('g')
+      const scale = this.scales[dim.key];
+      const axisGroup = this.axesGroup.append('g')
+        .datum(dim)
         .attr('class', 'axis')
         .attr('transform', `translate(${this.xScale(dim.key)}, 0)`);
 
@@ -124,12 +209,29 @@ class ParallelCoordinates {
 
       let axis;
       if (dim.isBoolean) {
-        // Boolean axis: only show Yes (1) and No (0)
-        axis = d3.axisLeft(this.scales[dim.key])
+        // Boolean axis: a band for Yes (1) and No (0) holding the jittered lines
+        [0, 1].forEach(value => {
+          axisGroup.append('rect')
+            .attr('class', 'axis-band')
+            .attr('x', -8)
+            .attr('y', scale(value) - this.config.bandHeight / 2)
+            .attr('width', 16)
+            .attr('height', this.config.bandHeight)
+            .attr('rx', 3)
+            .attr('fill', 'rgba(255, 255, 255, 0.08)');
+        });
+
+        axis = d3.axisLeft(scale)
           .tickValues([0, 1])
           .tickFormat(d => d === 1 ? 'Yes' : 'No');
+      } else if (this.scaleType === 'quantile') {
+        // Quartile ticks, since even spacing means nothing on a rank scale
+        const values = this.getSortedValues(dim);
+        axis = d3.axisLeft(scale)
+          .tickValues([...new Set([0, 0.25, 0.5, 0.75, 1].map(p => d3.quantileSorted(values, p)))])
+          .tickFormat(d => dim.format(d));
       } else {
-        axis = d3.axisLeft(this.scales[dim.key])
+        axis = d3.axisLeft(scale)
           .ticks(5)
           .tickFormat(d => dim.format(d));
       }
@@ -146,31 +248,212 @@ class ParallelCoordinates {
           g.select('.domain').remove();
         });
 
+      // Title doubles as the drag handle for reordering
       axisGroup.append('text')
+        .attr('class', 'axis-title')
         .attr('y', -10)
         .attr('text-anchor', 'middle')
         .attr('fill', '#ffffff')
         .attr('font-size', '11px')
         .attr('font-weight', '600')
-        .text(dim.label);
+        .style('cursor', 'grab')
+        .text(dim.label)
+        .call(this.createAxisDrag(innerHeight));
+
+      axisGroup.append('text')
+        .attr('class', 'axis-flip')
+        .attr('y', innerHeight + 15)
+        .attr('text-anchor', 'middle')
+        .attr('fill', this.flipped.has(dim.key) ? featuredColors.primary : 'rgba(255, 255, 255, 0.6)')
+        .attr('font-size', '11px')
+        .style('cursor', 'pointer')
+        .text('⇅')
+        .on('click', (event) => {
+          event.stopPropagation();
+          this.flipAxis(dim.key);
+        })
+        .append('title')
+        .text(`Flip ${dim.label}`);
 
       this.setupBrush(dim.key, axisGroup, innerHeight);
     });
   }
 
+  /**
+   * Drag behavior that moves an axis sideways and reorders on release
+   */
+  createAxisDrag(height) {
+    return d3.drag()
+      .container(this.g.node())
+      .subject((event, dim) => ({ x: this.xScale(dim.key) }))
+      .on('start', (event, dim) => {
+        this.dragging[dim.key] = this.xScale(dim.key);
+        this.axesGroup.selectAll('g.axis').filter(d => d === dim).raise();
+      })
+      .on('drag', (event, dim) => {
+        this.dragging[dim.key] = event.x;
+
+        // Reorder as the axis passes its neighbours
+        const x = key => (key in this.dragging ? this.dragging[key] : this.xScale(key));
+        this.axisKeys.sort((a, b) => x(a) - x(b));
+        this.dimensions = this.axisKeys.map(key => DIMENSIONS.find(d => d.key === key));
+        this.xScale.domain(this.axisKeys);
+
+        this.positionAxes();
+      })
+      .on('end', (event, dim) => {
+        delete this.dragging[dim.key];
+        this.positionAxes(this.config.transitionDuration);
+        this.renderAxisPicker();
+      });
+  }
+
+  /**
+   * Horizontal position of an axis, following the pointer while dragged
+   */
+  position(key) {
+    if (!(key in this.dragging)) return this.xScale(key);
+
+    const [left, right] = this.xScale.range();
+    return clamp(this.dragging[key], left, right);
+  }
+
+  /**
+   * Move axes and lines to their current positions
+   * @param {number} [duration] - Animate when given
+   */
+  positionAxes(duration) {
+    const axes = this.axesGroup.selectAll('g.axis');
+    const lines = this.lines;
+
+    (duration ? axes.transition().duration(duration) : axes)
+      .attr('transform', dim => `translate(${this.position(dim.key)}, 0)`);
+    (duration ? lines.transition('layout').duration(duration) : lines)
+      .attr('d', d => this.path(d));
+  }
+
+  /**
+   * Reverse an axis
+   */
+  flipAxis(key) {
+    if (this.flipped.has(key)) {
+      this.flipped.delete(key);
+    } else {
+      this.flipped.add(key);
+    }
+    this.render();
+  }
+
+  /**
+   * Show or hide an axis; hiding one clears its brush
+   */
+  toggleAxis(key) {
+    if (this.axisKeys.includes(key)) {
+      if (this.axisKeys.length <= this.config.minAxes) return;
+      this.axisKeys = this.axisKeys.filter(k => k !== key);
+    } else {
+      this.axisKeys = [...this.axisKeys, key];
+    }
+
+    if (this.brushes[key] && !this.axisKeys.includes(key)) {
+      const { [key]: removed, ...rest } = this.brushes;
+      setParallelBrushes(rest);
+    }
+
+    this.render();
+  }
+
+  /**
+   * Add axes for brushes on dimensions not currently shown (e.g. from a link)
+   * @returns {boolean} Whether any axis was added
+   */
+  showBrushedAxes(brushes) {
+    const missing = Object.keys(brushes).filter(key =>
+      !this.axisKeys.includes(key) && DIMENSIONS.some(dim => dim.key === key));
+    this.axisKeys = [...this.axisKeys, ...missing];
+    return missing.length > 0;
+  }
+
+  /**
+   * Wire the axis picker and scale switch
+   */
+  setupControls() {
+    this.renderAxisPicker();
+
+    if (this.scaleSelect) {
+      this.scaleSelect.value = this.scaleType;
+      this.scaleSelect.addEventListener('change', (e) => {
+        this.scaleType = e.target.value;
+        this.render();
+      });
+    }
+  }
+
+  /**
+   * One checkbox per dimension; the last remaining axes cannot be removed
+   */
+  renderAxisPicker() {
+    if (!this.axisList) return;
+
+    const atMinimum = this.axisKeys.length <= this.config.minAxes;
+
+    const items = d3.select(this.axisList)
+      .selectAll('label.axis-option')
+      .data(DIMENSIONS, dim => dim.key)
+      .join(enter => {
+        const label = enter.append('label').attr('class', 'axis-option');
+        label.append('input')
+          .attr('type', 'checkbox')
+          .on('change', (event, dim) => this.toggleAxis(dim.key));
+        label.append('span').text(dim => dim.label);
+        return label;
+      });
+
+    items.select('input')
+      .property('checked', dim => this.axisKeys.includes(dim.key))
+      .property('disabled', dim => atMinimum && this.axisKeys.includes(dim.key));
+  }
+
+  /**
+   * Draw lines in the selection set in the selection color, on top
+   */
+  styleSelection() {
+    const featuredColors = getFeaturedColors();
+
+    this.lines
+      .classed('in-selection', d => isInSelection(d))
+      .attr('stroke', d => {
+        if (isInSelection(d)) return SELECTION_COLOR;
+        return isFeatured(d) ? featuredColors.primary : getConferenceColor(d.conference);
+      });
+
+    this.lines.filter(d => isInSelection(d)).raise();
+  }
+
+  /**
+   * Value of a school on a dimension, as plotted
+   */
+  getValue(d, dim) {
+    if (dim.isBoolean) {
+      return d[dim.key] ? 1 : 0;
+    }
+    if (dim.key === 'year') {
+      // For schools without year, use median year (they still fail a year brush)
+      return d.year != null ? d.year : 1930;
+    }
+    return d[dim.key] || 0;
+  }
+
+  /**
+   * Vertical position of a school on an axis, spread within the band on yes/no axes
+   */
+  getY(d, dim) {
+    const y = this.scales[dim.key](this.getValue(d, dim));
+    return dim.isBoolean ? y + jitter(d) * this.config.bandHeight : y;
+  }
+
   path(d) {
-    const points = this.dimensions.map(dim => {
-      let value;
-      if (dim.isBoolean) {
-        value = d[dim.key] ? 1 : 0;
-      } else if (dim.key === 'year') {
-        // For schools without year, use median year
-        value = d.year != null ? d.year : 1930;
-      } else {
-        value = d[dim.key] || 0;
-      }
-      return [this.xScale(dim.key), this.scales[dim.key](value)];
-    });
+    const points = this.dimensions.map(dim => [this.position(dim.key), this.getY(d, dim)]);
     return d3.line()(points);
   }
 
@@ -178,47 +461,58 @@ class ParallelCoordinates {
     const brush = d3.brushY()
       .extent([[-10, 0], [10, height]])
       .on('brush end', (event) => {
+        // Programmatic moves (applyBrushes) have no source event
+        if (!event.sourceEvent) return;
+
         if (event.selection) {
-          const [y0, y1] = event.selection;
-          this.brushes[dimKey] = [y0, y1];
-          this.filterLines();
+          const scale = this.scales[dimKey];
+          const extent = event.selection.map(y => scale.invert(y)).sort(d3.ascending);
+          this.brushes = { ...this.brushes, [dimKey]: extent };
         } else {
-          delete this.brushes[dimKey];
-          this.filterLines();
+          const { [dimKey]: removed, ...rest } = this.brushes;
+          this.brushes = rest;
         }
+
+        // Every module dims against the brushed set as the brush moves
+        setParallelBrushes(this.brushes);
       });
 
-    axisGroup.append('g')
+    const group = axisGroup.append('g')
       .attr('class', 'brush')
       .call(brush);
+
+    this.brushBehaviors[dimKey] = { brush, group };
   }
 
-  filterLines() {
-    const activeFilters = Object.keys(this.brushes);
+  /**
+   * Move the brushes to match data-space extents (e.g. restored from a link)
+   * @param {Object} brushes - Dimension key -> [min, max]
+   */
+  applyBrushes(brushes) {
+    this.brushes = { ...brushes };
+
+    Object.entries(this.brushBehaviors).forEach(([dimKey, { brush, group }]) => {
+      const extent = this.brushes[dimKey];
+      const scale = this.scales[dimKey];
+      group.call(brush.move, extent ? extent.map(scale).sort(d3.ascending) : null);
+    });
 
-    this.lines
-      .transition().duration(150)
-      .attr('opacity', d => {
-        if (isPurdue(d)) return 0.8;
-
-        const isVisible = activeFilters.every(dimKey => {
-          const [y0, y1] = this.brushes[dimKey];
-          const dim = this.dimensions.find(dim => dim.key === dimKey);
-          let value;
-          if (dim.isBoolean) {
-            value = d[dimKey] ? 1 : 0;
-          } else if (dimKey === 'year') {
-            value = d.year != null ? d.year : 1930;
-          } else {
-            value = d[dimKey] || 0;
-          }
-
-          const yPos = this.scales[dimKey](value);
-          return yPos >= y0 && yPos <= y1;
-        });
+    this.filterLines();
+  }
 
-        return isVisible ? this.config.lineOpacity : 0.05;
-      });
+  /**
+   * Resting opacity of a line: faded when brushed out, dimmed outside the filtered set
+   */
+  getLineOpacity(d) {
+    if (isFeatured(d)) return 0.8;
+    if (!matchesBrushes(d, this.brushes)) return 0.05;
+    return isSchoolVisible(d) ? this.config.lineOpacity : 0.1;
+  }
+
+  filterLines(duration = 150) {
+    this.lines
+      .transition().duration(duration)
+      .attr('opacity', d => this.getLineOpacity(d));
   }
 
   handleMouseEnter(event, school) {
@@ -239,6 +533,13 @@ class ParallelCoordinates {
 
   handleClick(event, school) {
     event.stopPropagation();
+
+    // Shift-click builds up the selection set
+    if (event.shiftKey) {
+      toggleSelection(school);
+      return;
+    }
+
     selectSchool(school);
   }
 
@@ -247,71 +548,105 @@ class ParallelCoordinates {
       .transition().duration(150)
       .attr('opacity', d => {
         if (d.school === school.school) return this.config.lineOpacityHover;
-        if (isPurdue(d)) return 0.3;
+        if (isFeatured(d)) return 0.3;
         return 0.1;
       })
       .attr('stroke-width', d => {
         if (d.school === school.school) return 3;
-        return isPurdue(d) ? 2.5 : 1.5;
+        return isFeatured(d) ? 2.5 : 1.5;
       });
 
     this.lines.filter(d => d.school === school.school).raise();
   }
 
   unhighlightLine(school) {
-    const conference = getState('activeConference') || 'all';
-
     this.lines
       .transition().duration(150)
-      .attr('opacity', d => {
-        if (isPurdue(d)) return 0.8;
-        if (conference === 'all' || d.conference === conference) {
-          return this.config.lineOpacity;
-        }
-        return 0.1;
-      })
-      .attr('stroke-width', d => isPurdue(d) ? 2.5 : 1.5);
+      .attr('opacity', d => this.getLineOpacity(d))
+      .attr('stroke-width', d => isFeatured(d) ? 2.5 : 1.5);
   }
 
   setupStateListeners() {
-    subscribe('activeConference', (conference) => {
-      this.filterByConference(conference);
-    });
+    subscribe('filteredSchools', () => this.filterLines(300));
 
     subscribe('hoveredSchool', (school) => {
       if (school) {
         this.highlightLine(school);
       }
     });
-  }
 
-  filterByConference(conference) {
-    const isAll = conference === 'all';
+    subscribe('featuredSchool', () => {
+      this.render();
+    });
 
-    this.lines
-      .transition().duration(300)
-      .attr('opacity', d => {
-        if (isPurdue(d)) return 0.8;
-        if (isAll || d.conference === conference) {
-          return this.config.lineOpacity;
+    subscribe('parallelBrushes', (brushes) => {
+      if (brushes !== this.brushes) {
+        if (this.showBrushedAxes(brushes)) {
+          this.render();
+        } else {
+          this.applyBrushes(brushes);
         }
-        return 0.1;
+      }
+      this.renderBrushSummary();
+    });
+
+    // Listen for selection set changes
+    subscribe('selectionSet', () => this.styleSelection());
+  }
+
+  /**
+   * Describe a brushed range in the dimension's own terms
+   */
+  formatBrush(dim, [min, max]) {
+    if (dim.isBoolean) {
+      const values = [1, 0].filter(v => v >= min && v <= max).map(dim.format);
+      return values.join(' or ') || 'None';
+    }
+    return `${dim.format(min)}–${dim.format(max)}`;
+  }
+
+  /**
+   * List the active brushes with a clear button each, plus reset-all
+   */
+  renderBrushSummary() {
+    if (!this.summary) return;
+
+    const active = this.dimensions.filter(dim => this.brushes[dim.key]);
+    const summary = d3.select(this.summary);
+    summary.attr('hidden', active.length ? null : '');
+
+    summary.selectAll('button.brush-chip')
+      .data(active, dim => dim.key)
+      .join('button')
+      .attr('type', 'button')
+      .attr('class', 'control-button brush-chip')
+      .attr('aria-label', dim => `Clear ${dim.label} brush`)
+      .text(dim => `${dim.label}: ${this.formatBrush(dim, this.brushes[dim.key])} ×`)
+      .on('click', (event, dim) => {
+        const { [dim.key]: removed, ...rest } = this.brushes;
+        setParallelBrushes(rest);
       });
+
+    summary.selectAll('button.brush-reset')
+      .data(active.length ? [null] : [])
+      .join('button')
+      .attr('type', 'button')
+      .attr('class', 'control-button brush-reset')
+      .text('Reset all')
+      .on('click', () => setParallelBrushes({}))
+      .raise();
   }
 
   setupResize() {
     const resizeObserver = new ResizeObserver(() => {
-      this.container.innerHTML = '';
-      this.init();
+      this.render();
     });
 
     resizeObserver.observe(this.container);
   }
 
-  update(state) {
-    if (state.activeConference) {
-      this.filterByConference(state.activeConference);
-    }
+  update() {
+    this.filterLines(300);
   }
 }
 
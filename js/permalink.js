@@ -0,0 +1,259 @@
+/**
+ * Permalink Module
+ * ================
+ * Mirrors shareable state in the query string so a link reopens the same view,
+ * and records each change in history so back/forward step through them
+ */
+
+import { DEFAULT_FEATURED_SCHOOL, debounce } from './utils.js';
+import { subscribe, getState, setState, findSchool, setFeaturedSchool, COMPARISON_LIMIT } from './state.js';
+import { serializeFilter, parseFilter } from './filters.js';
+import { serializeSimilarity, parseSimilarity } from './similarity.js';
+import { COMMUNITY_METHODS } from './community.js';
+import { DIMENSIONS as PARALLEL_DIMENSIONS } from './parallel.js';
+
+/**
+ * Matrix sort orders a link may ask for
+ */
+const MATRIX_SORTS = ['conference', 'trope_count', 'year', 'bpm', 'cluster'];
+
+/**
+ * Look up a school by name, ignoring case
+ */
+function findSchoolByName(name) {
+  const lower = name.toLowerCase();
+  return getState('schools').find(s => s.school.toLowerCase() === lower);
+}
+
+/**
+ * Round a number for display in a URL
+ */
+function compact(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Serialized state fields
+ * `read` returns undefined for values it cannot use; `apply` pushes a value
+ * into the store. Fields without a param in the URL fall back to their default.
+ */
+const FIELDS = [
+  {
+    key: 'featuredSchool',
+    param: 'featured',
+    write: school => (school ? school.school : null),
+    read: findSchoolByName,
+    apply: setFeaturedSchool,
+    alwaysWrite: true
+  },
+  {
+    key: 'selectedSchool',
+    param: 'school',
+    write: school => (school ? school.school : null),
+    read: findSchoolByName
+  },
+  {
+    key: 'selectionSet',
+    param: 'selection',
+    write: schools => schools.map(s => s.school).join(',') || null,
+    read: value => {
+      const schools = value.split(',').map(findSchoolByName);
+      return schools.every(Boolean) ? schools : undefined;
+    }
+  },
+  {
+    key: 'comparison',
+    param: 'compare',
+    write: schools => schools.map(s => s.school).join(',') || null,
+    read: value => {
+      const schools = value.split(',').map(findSchoolByName);
+      return schools.every(Boolean) && schools.length <= COMPARISON_LIMIT ? schools : undefined;
+    }
+  },
+  {
+    key: 'isolateSelection',
+    param: 'isolate',
+    write: isolate => (isolate ? '1' : null),
+    read: value => (value === '1' || value === '0' ? value === '1' : undefined)
+  },
+  {
+    key: 'activeConference',
+    param: 'conference',
+    write: conference => conference,
+    read: value => (value === 'all' || getState('conferences')[value] ? value : undefined)
+  },
+  {
+    key: 'filter',
+    param: 'filter',
+    // or;bpm:120..160;year:..1930*;fight:yes
+    write: serializeFilter,
+    read: parseFilter
+  },
+  {
+    key: 'matrixSort',
+    param: 'sort',
+    write: sortBy => sortBy,
+    read: value => (MATRIX_SORTS.includes(value) ? value : undefined)
+  },
+  {
+    key: 'parallelBrushes',
+    param: 'brush',
+    // bpm:120..160,year:1900..1930
+    write: brushes => Object.entries(brushes)
+      .map(([key, [min, max]]) => `${key}:${compact(min)}..${compact(max)}`)
+      .join(',') || null,
+    // Only axes the parallel plot can draw, so every brush can be cleared;
+    // a part whose bound overflows to Infinity is dropped
+    read: value => {
+      const brushes = {};
+      for (const part of value.split(',')) {
+        const match = part.match(/^(\w+):(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/);
+        if (!match || !PARALLEL_DIMENSIONS.some(dim => dim.key === match[1])) return undefined;
+        const [min, max] = [Number(match[2]), Number(match[3])].sort((a, b) => a - b);
+        if (Number.isFinite(min) && Number.isFinite(max)) brushes[match[1]] = [min, max];
+      }
+      return brushes;
+    }
+  },
+  {
+    key: 'networkThreshold',
+    param: 'threshold',
+    write: threshold => String(compact(threshold)),
+    read: value => {
+      const threshold = Number(value);
+      return value !== '' && threshold >= 0 && threshold <= 1 ? threshold : undefined;
+    }
+  },
+  {
+    key: 'similarityModel',
+    param: 'similarity',
+    // cosine;bpm:0.3;sec_duration:0.2;trope_count:0.2;conference:0.3
+    write: serializeSimilarity,
+    read: parseSimilarity
+  },
+  {
+    key: 'networkLinkMode',
+    param: 'links',
+    // knn:3
+    write: linkMode => `${linkMode.mode}:${linkMode.k}`,
+    read: value => {
+      // k within the #network-k slider's range
+      const match = value.match(/^(threshold|knn):(\d+)$/);
+      const k = match ? Number(match[2]) : NaN;
+      return k >= 1 && k <= 10 ? { mode: match[1], k } : undefined;
+    }
+  },
+  {
+    key: 'networkClustering',
+    param: 'clusters',
+    write: method => method,
+    read: value => (value === 'none' || COMMUNITY_METHODS[value] ? value : undefined)
+  }
+];
+
+const defaults = {};
+let restoring = false;
+
+/**
+ * Decode the shareable state in a query string
+ * Unknown or malformed values are reported and left out.
+ * @param {string} [search] - Query string (defaults to the current URL)
+ * @returns {Object} State values keyed by state key
+ */
+export function readPermalink(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const values = {};
+
+  FIELDS.forEach(field => {
+    if (!params.has(field.param)) return;
+
+    const value = field.read(params.get(field.param));
+    if (value === undefined) {
+      console.warn(`Ignoring unknown ${field.param} "${params.get(field.param)}" in link`);
+    } else {
+      values[field.key] = value;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Build a link to the current state
+ * Values equal to their defaults are left out, except fields marked alwaysWrite.
+ * @returns {string} Absolute URL
+ */
+export function getPermalink() {
+  const url = new URL(window.location.href);
+
+  FIELDS.forEach(field => {
+    const value = getState(field.key);
+    const encoded = field.write(value);
+    const isDefault = !field.alwaysWrite && encoded === field.write(defaults[field.key]);
+
+    if (encoded === null || isDefault) {
+      url.searchParams.delete(field.param);
+    } else {
+      url.searchParams.set(field.param, encoded);
+    }
+  });
+
+  return url.toString();
+}
+
+/**
+ * Apply decoded values, resetting fields missing from the link to their defaults
+ * @param {Object} values - Output of readPermalink()
+ */
+function restore(values) {
+  restoring = true;
+  try {
+    FIELDS.forEach(field => {
+      const value = field.key in values ? values[field.key] : defaults[field.key];
+
+      if (field.apply) {
+        field.apply(value);
+      } else {
+        setState(field.key, value);
+      }
+    });
+  } finally {
+    restoring = false;
+  }
+}
+
+/**
+ * Push one history entry per burst of changes (e.g. a whole brush drag)
+ */
+const pushPermalink = debounce(() => {
+  const url = getPermalink();
+  if (url !== window.location.href) {
+    window.history.pushState(null, '', url);
+  }
+}, 250);
+
+function schedulePush() {
+  if (!restoring) pushPermalink();
+}
+
+/**
+ * Restore state from the current URL and keep the URL in sync from then on
+ * Call once every module is listening, so restored values reach them.
+ * @param {Object} [values] - Already decoded link values
+ */
+export function initPermalink(values = readPermalink()) {
+  // Whatever the store holds before the link is applied counts as default
+  FIELDS.forEach(field => {
+    defaults[field.key] = getState(field.key);
+  });
+  defaults.featuredSchool = findSchool(DEFAULT_FEATURED_SCHOOL) || getState('schools')[0];
+
+  restore(values);
+
+  // Canonicalize the entry we landed on so back returns to exactly this view
+  window.history.replaceState(null, '', getPermalink());
+
+  FIELDS.forEach(field => subscribe(field.key, schedulePush));
+
+  window.addEventListener('popstate', () => restore(readPermalink()));
+}
@@ -1,11 +1,12 @@
 /**
  * Poster Module
  * =============
- * Final summary poster with mini galaxy and Purdue spotlight
+ * Final summary poster with mini galaxy and featured school spotlight
  */
 
-import { isPurdue, PURDUE_COLORS, getConferenceColor, calculateEnergyScore } from './utils.js';
-import { subscribe, getState } from './state.js';
+import { getConferenceColor, calculateEnergyScore, hexToRgba } from './utils.js';
+import { subscribe, getState, isFeatured, getFeaturedSchool, getFeaturedColors } from './state.js';
+import { getPermalink } from './permalink.js';
 
 class PosterGalaxy {
   constructor(containerId, schools) {
@@ -22,7 +23,7 @@ class PosterGalaxy {
     // Configuration
     this.config = {
       particleCount: 100,
-      purdueSize: 20,
+      featuredSize: 20,
       starMinSize: 1,
       starMaxSize: 4,
       rotationSpeed: 0.0003,
@@ -30,11 +31,12 @@ class PosterGalaxy {
     };
 
     this.particles = [];
-    this.purdue = null;
+    this.featured = null;
     this.time = 0;
 
     this.init();
     this.setupVisibilityObserver();
+    this.setupStateListeners();
   }
 
   /**
@@ -50,8 +52,8 @@ class PosterGalaxy {
     // Set size
     this.resize();
 
-    // Find Purdue
-    this.purdue = this.schools.find(s => isPurdue(s));
+    // Find featured school
+    this.featured = getFeaturedSchool();
 
     // Create particles
     this.createParticles();
@@ -91,7 +93,7 @@ class PosterGalaxy {
 
     // Create school particles
     this.schools.forEach(school => {
-      if (isPurdue(school)) return; // Skip Purdue, it's special
+      if (isFeatured(school)) return; // Skip featured school, it's special
 
       const energy = calculateEnergyScore(school);
       const angle = Math.random() * Math.PI * 2;
@@ -122,6 +124,17 @@ class PosterGalaxy {
     }
   }
 
+  /**
+   * Setup state listeners
+   */
+  setupStateListeners() {
+    // Put the new featured school at the center
+    subscribe('featuredSchool', (school) => {
+      this.featured = school;
+      this.createParticles();
+    });
+  }
+
   /**
    * Setup visibility observer
    */
@@ -167,8 +180,8 @@ class PosterGalaxy {
     // Draw particles
     this.drawParticles();
 
-    // Draw Purdue center
-    this.drawPurdue();
+    // Draw featured school center
+    this.drawFeatured();
   }
 
   /**
@@ -222,22 +235,23 @@ class PosterGalaxy {
   }
 
   /**
-   * Draw Purdue as central star
+   * Draw featured school as central star
    */
-  drawPurdue() {
-    if (!this.purdue) return;
+  drawFeatured() {
+    if (!this.featured) return;
 
     const ctx = this.ctx;
+    const colors = getFeaturedColors();
     const pulse = 1 + Math.sin(this.time * this.config.pulseSpeed) * 0.15;
-    const size = this.config.purdueSize * pulse;
+    const size = this.config.featuredSize * pulse;
 
     // Outer glow
     const gradient = ctx.createRadialGradient(
       this.centerX, this.centerY, 0,
       this.centerX, this.centerY, size * 3
     );
-    gradient.addColorStop(0, PURDUE_COLORS.goldGlow);
-    gradient.addColorStop(0.5, 'rgba(207, 185, 145, 0.2)');
+    gradient.addColorStop(0, colors.glow);
+    gradient.addColorStop(0.5, hexToRgba(colors.primary, 0.2));
     gradient.addColorStop(1, 'transparent');
 
     ctx.beginPath();
@@ -251,8 +265,8 @@ class PosterGalaxy {
       this.centerX, this.centerY, size
     );
     coreGradient.addColorStop(0, '#fff');
-    coreGradient.addColorStop(0.3, PURDUE_COLORS.goldLight);
-    coreGradient.addColorStop(1, PURDUE_COLORS.gold);
+    coreGradient.addColorStop(0.3, colors.light);
+    coreGradient.addColorStop(1, colors.primary);
 
     ctx.beginPath();
     ctx.arc(this.centerX, this.centerY, size, 0, Math.PI * 2);
@@ -264,7 +278,7 @@ class PosterGalaxy {
   }
 
   /**
-   * Draw decorative rays from Purdue
+   * Draw decorative rays from the featured school
    */
   drawRays(size) {
     const ctx = this.ctx;
@@ -272,7 +286,7 @@ class PosterGalaxy {
     const rayLength = size * 2;
     const rotation = this.time * 0.0002;
 
-    ctx.strokeStyle = PURDUE_COLORS.gold;
+    ctx.strokeStyle = getFeaturedColors().primary;
     ctx.lineWidth = 1;
     ctx.globalAlpha = 0.3;
 
@@ -313,7 +327,7 @@ export function initPoster(schools, conferences) {
   const miniGalaxy = new PosterGalaxy('poster-galaxy', schools);
 
   // Setup Spotify embed if available
-  setupSpotifyEmbed(schools);
+  setupSpotifyEmbed();
 
   // Setup share buttons
   setupShareButtons();
@@ -322,18 +336,18 @@ export function initPoster(schools, conferences) {
 }
 
 /**
- * Setup Spotify embed for Purdue fight song
+ * Setup Spotify embed for the featured school's fight song
  */
-function setupSpotifyEmbed(schools) {
-  const purdue = schools.find(s => isPurdue(s));
-  if (!purdue || !purdue.spotify_id) return;
+function setupSpotifyEmbed() {
+  const featured = getFeaturedSchool();
+  if (!featured || !featured.spotify_id) return;
 
   const embedContainer = document.getElementById('spotify-embed');
   if (!embedContainer) return;
 
   // Create Spotify embed iframe
   const iframe = document.createElement('iframe');
-  iframe.src = `https://open.spotify.com/embed/track/${purdue.spotify_id}?theme=0`;
+  iframe.src = `https://open.spotify.com/embed/track/${featured.spotify_id}?theme=0`;
   iframe.width = '100%';
   iframe.height = '80';
   iframe.frameBorder = '0';
@@ -345,15 +359,20 @@ function setupSpotifyEmbed(schools) {
 
 /**
  * Setup share functionality
+ * Shared links carry the current view (see permalink.js).
  */
-function setupShareButtons() {
+export function setupShareButtons() {
   const shareButtons = document.querySelectorAll('.share-btn');
 
   shareButtons.forEach(btn => {
     btn.addEventListener('click', (e) => {
       const platform = btn.dataset.platform;
-      const url = encodeURIComponent(window.location.href);
-      const title = encodeURIComponent('College Fight Songs Data Visualization - Hail Purdue!');
+      const link = getPermalink();
+      const url = encodeURIComponent(link);
+      const featured = getFeaturedSchool();
+      const title = encodeURIComponent(featured
+        ? `College Fight Songs Data Visualization - ${featured.song_name}!`
+        : 'College Fight Songs Data Visualization');
 
       let shareUrl = '';
 
@@ -365,7 +384,7 @@ function setupShareButtons() {
           shareUrl = `https://www.linkedin.com/sharing/share-offsite/?url=${url}`;
           break;
         case 'copy':
-          navigator.clipboard.writeText(window.location.href).then(() => {
+          navigator.clipboard.writeText(link).then(() => {
             btn.textContent = 'Copied!';
             setTimeout(() => {
               btn.textContent = 'Copy Link';
@@ -0,0 +1,299 @@
+/**
+ * Projections
+ * ===========
+ * 2D embeddings of each school's full feature vector: PCA, classical MDS
+ * and t-SNE, all computed in the browser
+ *
+ * Every method returns { points: Map<school name, [x, y]>, ... }; PCA also
+ * returns per-feature loadings and the variance each component explains.
+ */
+
+import { TROPE_LABELS } from './utils.js';
+
+/**
+ * Features in the vector
+ * Unknown years are filled with the mean year.
+ */
+export const PROJECTION_FEATURES = [
+  { key: 'bpm', label: 'BPM' },
+  { key: 'sec_duration', label: 'Duration' },
+  { key: 'year', label: 'Year' },
+  { key: 'trope_count', label: 'Trope count' },
+  { key: 'number_fights', label: '"Fight" count' },
+  ...Object.entries(TROPE_LABELS).map(([key, label]) => ({ key, label, flag: true }))
+];
+
+/**
+ * Available methods
+ */
+export const PROJECTION_METHODS = {
+  pca: 'PCA',
+  mds: 'Classical MDS',
+  tsne: 't-SNE'
+};
+
+/**
+ * Raw feature matrix, one row per school, flags as 0/1 and missing values imputed
+ * @returns {number[][]}
+ */
+function featureMatrix(schools) {
+  const means = PROJECTION_FEATURES.map(f => d3.mean(schools, s => Number(s[f.key] ?? NaN)) || 0);
+
+  return schools.map(school => PROJECTION_FEATURES.map((f, j) => {
+    const value = school[f.key];
+    return value === null || value === undefined ? means[j] : Number(value);
+  }));
+}
+
+/**
+ * Z-score each column (constant columns become 0)
+ */
+function standardize(rows) {
+  const columns = rows[0].map((_, j) => rows.map(row => row[j]));
+  const stats = columns.map(column => ({
+    mean: d3.mean(column),
+    deviation: d3.deviation(column) || 1
+  }));
+
+  return rows.map(row => row.map((value, j) => (value - stats[j].mean) / stats[j].deviation));
+}
+
+/**
+ * Leading eigenpairs of a symmetric matrix by power iteration with deflation
+ * Power iteration finds the eigenvalue of largest magnitude, so the matrix is
+ * first shifted past a bound on its spectrum (largest absolute row sum) to make
+ * every eigenvalue positive; the largest one then comes out first even
+ * when MDS leaves big negative eigenvalues.
+ * Each eigenvector's largest component is made positive so results are stable.
+ * @param {number[][]} matrix - Symmetric matrix
+ * @param {number} count - How many eigenpairs
+ * @returns {{value: number, vector: number[]}[]}
+ */
+export function topEigenpairs(matrix, count, iterations = 500) {
+  const n = matrix.length;
+  // Twice the bound keeps every shifted eigenvalue clear of 0
+  const shift = 2 * (d3.max(matrix, row => d3.sum(row, v => Math.abs(v))) || 0);
+  const a = matrix.map((row, i) => row.map((v, j) => (i === j ? v + shift : v)));
+  const pairs = [];
+
+  for (let c = 0; c < count; c++) {
+    let vector = d3.range(n).map(i => 1 + i / n);
+    let value = 0;
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const next = a.map(row => d3.sum(row, (v, j) => v * vector[j]));
+      const norm = Math.hypot(...next);
+      if (!norm) break;
+      const converged = next.every((v, i) => Math.abs(v / norm - vector[i]) < 1e-10);
+      vector = next.map(v => v / norm);
+      value = norm;
+      if (converged) break;
+    }
+
+    // Rayleigh quotient of the shifted matrix
+    value = d3.sum(a, (row, i) => vector[i] * d3.sum(row, (v, j) => v * vector[j]));
+
+    const largest = d3.greatestIndex(vector, v => Math.abs(v));
+    if (vector[largest] < 0) vector = vector.map(v => -v);
+
+    pairs.push({ value: value - shift, vector });
+
+    // Deflate the shifted matrix, so the found direction drops to 0, below
+    // every eigenvalue still to come
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        a[i][j] -= value * vector[i] * vector[j];
+      }
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Principal component analysis of the standardized features
+ * Loadings are feature–component correlations, so an arrow of length 1 means
+ * the feature lies entirely along that direction.
+ * @param {Object[]} schools - Array of school objects
+ * @returns {{points: Map, loadings: Object[], explained: number[]}}
+ */
+export function projectPCA(schools) {
+  const z = standardize(featureMatrix(schools));
+  const p = PROJECTION_FEATURES.length;
+  const n = z.length;
+
+  const covariance = d3.range(p).map(i => d3.range(p).map(j =>
+    d3.sum(z, row => row[i] * row[j]) / (n - 1)
+  ));
+  const totalVariance = d3.sum(covariance, (row, i) => row[i]) || 1;
+  const components = topEigenpairs(covariance, 2);
+
+  return {
+    points: new Map(schools.map((school, i) => [
+      school.school,
+      components.map(c => d3.sum(z[i], (v, j) => v * c.vector[j]))
+    ])),
+    loadings: PROJECTION_FEATURES.map((feature, j) => ({
+      ...feature,
+      x: components[0].vector[j] * Math.sqrt(Math.max(components[0].value, 0)),
+      y: components[1].vector[j] * Math.sqrt(Math.max(components[1].value, 0))
+    })),
+    explained: components.map(c => c.value / totalVariance)
+  };
+}
+
+/**
+ * Gower distances: numeric features scaled by their range, flags as
+ * mismatches, averaged over features
+ */
+function gowerDistances(schools) {
+  const rows = featureMatrix(schools);
+  const ranges = PROJECTION_FEATURES.map((_, j) => {
+    const [min, max] = d3.extent(rows, row => row[j]);
+    return max - min || 1;
+  });
+
+  return rows.map(a => rows.map(b =>
+    d3.mean(a, (v, j) => Math.abs(v - b[j]) / ranges[j])
+  ));
+}
+
+/**
+ * Classical (Torgerson) MDS on Gower distances
+ * With Euclidean distances this would reproduce PCA; Gower weighs every
+ * feature equally and treats flags as matches rather than magnitudes.
+ * @param {Object[]} schools - Array of school objects
+ * @returns {{points: Map}}
+ */
+export function projectMDS(schools) {
+  const distances = gowerDistances(schools);
+  const n = distances.length;
+
+  // Double-centre the squared distances
+  const squared = distances.map(row => row.map(d => d * d));
+  const rowMeans = squared.map(row => d3.mean(row));
+  const grandMean = d3.mean(rowMeans);
+  const b = squared.map((row, i) => row.map((d, j) => -0.5 * (d - rowMeans[i] - rowMeans[j] + grandMean)));
+
+  const components = topEigenpairs(b, 2);
+
+  return {
+    points: new Map(schools.map((school, i) => [
+      school.school,
+      components.map(c => c.vector[i] * Math.sqrt(Math.max(c.value, 0)))
+    ]))
+  };
+}
+
+/**
+ * Symmetric t-SNE affinities for a target perplexity
+ */
+function tsneAffinities(distances, perplexity) {
+  const n = distances.length;
+  const target = Math.log(perplexity);
+  const conditional = distances.map((row, i) => {
+    let beta = 1;
+    let low = 0;
+    let high = Infinity;
+    let probabilities = [];
+
+    // Binary search the precision that hits the target entropy
+    for (let step = 0; step < 50; step++) {
+      probabilities = row.map((d, j) => (i === j ? 0 : Math.exp(-d * beta)));
+      const sum = d3.sum(probabilities) || 1e-12;
+      const entropy = Math.log(sum) + beta * d3.sum(row, (d, j) => d * probabilities[j]) / sum;
+      probabilities = probabilities.map(p => p / sum);
+
+      if (Math.abs(entropy - target) < 1e-5) break;
+      if (entropy > target) {
+        low = beta;
+        beta = high === Infinity ? beta * 2 : (beta + high) / 2;
+      } else {
+        high = beta;
+        beta = (beta + low) / 2;
+      }
+    }
+
+    return probabilities;
+  });
+
+  return conditional.map((row, i) => row.map((p, j) =>
+    Math.max((p + conditional[j][i]) / (2 * n), 1e-12)
+  ));
+}
+
+/**
+ * t-SNE of the standardized features
+ * Seeded, so the same data always gives the same layout.
+ * @param {Object[]} schools - Array of school objects
+ * @param {Object} [options] - { perplexity, iterations, seed }
+ * @returns {{points: Map}}
+ */
+export function projectTSNE(schools, { perplexity = 15, iterations = 500, seed = 42 } = {}) {
+  const z = standardize(featureMatrix(schools));
+  const n = z.length;
+  const distances = z.map(a => z.map(b => d3.sum(a, (v, j) => (v - b[j]) ** 2)));
+  const p = tsneAffinities(distances, Math.min(perplexity, (n - 1) / 3));
+
+  const random = d3.randomNormal.source(d3.randomLcg(seed))(0, 1e-4);
+  const y = d3.range(n).map(() => [random(), random()]);
+  const velocity = y.map(() => [0, 0]);
+  const gains = y.map(() => [1, 1]);
+  const learningRate = 100;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const exaggeration = iteration < 100 ? 4 : 1;
+    const momentum = iteration < 250 ? 0.5 : 0.8;
+
+    // Student-t affinities in the embedding
+    const num = y.map((a, i) => y.map((b, j) =>
+      (i === j ? 0 : 1 / (1 + (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2))
+    ));
+    const sum = d3.sum(num, row => d3.sum(row)) || 1e-12;
+
+    const gradients = y.map((a, i) => {
+      const gradient = [0, 0];
+      for (let j = 0; j < n; j++) {
+        if (i === j) continue;
+        const force = 4 * (exaggeration * p[i][j] - Math.max(num[i][j] / sum, 1e-12)) * num[i][j];
+        gradient[0] += force * (a[0] - y[j][0]);
+        gradient[1] += force * (a[1] - y[j][1]);
+      }
+      return gradient;
+    });
+
+    // Step with momentum and per-coordinate gains
+    gradients.forEach((gradient, i) => {
+      for (let d = 0; d < 2; d++) {
+        gains[i][d] = Math.sign(gradient[d]) === Math.sign(velocity[i][d])
+          ? Math.max(gains[i][d] * 0.8, 0.01)
+          : gains[i][d] + 0.2;
+        velocity[i][d] = momentum * velocity[i][d] - learningRate * gains[i][d] * gradient[d];
+        y[i][d] += velocity[i][d];
+      }
+    });
+
+    // Keep the embedding centred
+    const mean = [d3.mean(y, point => point[0]), d3.mean(y, point => point[1])];
+    y.forEach(point => {
+      point[0] -= mean[0];
+      point[1] -= mean[1];
+    });
+  }
+
+  return {
+    points: new Map(schools.map((school, i) => [school.school, y[i]]))
+  };
+}
+
+/**
+ * Project schools with a named method
+ * @param {Object[]} schools - Array of school objects
+ * @param {string} method - Key of PROJECTION_METHODS
+ * @returns {Object} See projectPCA / projectMDS / projectTSNE
+ */
+export function project(schools, method) {
+  if (method === 'mds') return projectMDS(schools);
+  if (method === 'tsne') return projectTSNE(schools);
+  return projectPCA(schools);
+}
@@ -4,24 +4,61 @@
  * Small multiple radar charts showing conference fingerprints
  */
 
-import { CONFERENCE_COLORS, generateConferenceStats } from './utils.js';
-import { subscribe, hoverSchool, setConferenceFilter } from './state.js';
+import { CONFERENCE_COLORS, SELECTION_COLOR, getConferenceFullName, generateConferenceStats, getSchoolStats } from './utils.js';
+import { subscribe, setConferenceFilter, getState } from './state.js';
+import { applyFilter } from './filters.js';
+
+/**
+ * Every conference statistic a radar axis can show
+ * `max` is the outer ring under fixed-max normalization.
+ */
+const RADAR_DIMENSIONS = [
+  { key: 'studentWriterRate', label: 'Student', max: 1, format: d3.format('.0%') },
+  { key: 'spellingRate', label: 'Spelling', max: 1, format: d3.format('.0%') },
+  { key: 'winWonRate', label: 'Win/Won', max: 1, format: d3.format('.0%') },
+  { key: 'rahRate', label: 'Rah', max: 1, format: d3.format('.0%') },
+  { key: 'avgTropes', label: 'Tropes', max: 8, format: d3.format('.1f') },
+  { key: 'fightRate', label: 'Fight', max: 1, format: d3.format('.0%') },
+  { key: 'victoryRate', label: 'Victory', max: 1, format: d3.format('.0%') },
+  { key: 'avgBpm', label: 'BPM', max: 200, format: v => `${Math.round(v)} BPM` },
+  { key: 'avgDuration', label: 'Duration', max: 180, format: v => `${Math.round(v)} s` }
+];
+
+/**
+ * Ways to map a statistic onto its axis
+ */
+export const RADAR_NORMALIZATIONS = {
+  fixed: 'Fixed max',
+  minmax: 'Min–max across conferences',
+  zscore: 'Z-score across conferences'
+};
 
 class RadarChart {
-  constructor(containerId, schools) {
+  constructor(containerId, schools, options = {}) {
     this.container = document.getElementById(containerId);
+    this.schoolContainer = options.schoolId ? document.getElementById(options.schoolId) : null;
+    this.overlaySelect = options.overlayId ? document.getElementById(options.overlayId) : null;
+    this.dimensionList = options.dimensionListId ? document.getElementById(options.dimensionListId) : null;
+    this.normalizationSelect = options.normalizationId ? document.getElementById(options.normalizationId) : null;
+    this.legend = options.legendId ? document.getElementById(options.legendId) : null;
+    this.layoutSelect = options.layoutId ? document.getElementById(options.layoutId) : null;
     this.schools = schools;
-    this.conferenceStats = generateConferenceStats(schools);
+    this.conferenceStats = {};
+
+    // School drawn over the conference radars (hovered, else selected) and
+    // where: 'own' conference or a conference name
+    this.school = null;
+    this.overlayTarget = 'own';
+
+    // School in the standalone radar
+    this.selectedSchool = null;
 
     // Configuration
     this.config = {
-      dimensions: [
-        { key: 'studentWriterRate', label: 'Student', max: 1, normalize: false },
-        { key: 'spellingRate', label: 'Spelling', max: 1, normalize: false },
-        { key: 'winWonRate', label: 'Win/Won', max: 1, normalize: false },
-        { key: 'rahRate', label: 'Rah', max: 1, normalize: false },
-        { key: 'avgTropes', label: 'Tropes', max: 8, normalize: true }
-      ],
+      dimensions: ['studentWriterRate', 'spellingRate', 'winWonRate', 'rahRate', 'avgTropes']
+        .map(key => RADAR_DIMENSIONS.find(dim => dim.key === key)),
+      normalization: 'fixed',
+      minDimensions: 3,
       levels: 5,
       labelOffset: 15,
       transitionDuration: 300
@@ -31,16 +68,213 @@ class RadarChart {
     this.radarCharts = new Map();
     this.hoveredConference = null;
 
+    // Axis key -> [value at the centre, value at the outer ring]
+    this.axisDomains = new Map();
+
+    // 'multiples' (one radar per conference) or 'overlay' (all on one radar),
+    // and the conferences switched off in the overlay legend
+    this.layout = 'multiples';
+    this.hiddenConferences = new Set();
+
+    this.setupOverlayControl();
+    this.setupLayoutControl();
+    this.setupDimensionControls();
     this.init();
     this.setupStateListeners();
   }
 
+  /**
+   * Wire the "overlay on" picker
+   */
+  setupOverlayControl() {
+    if (!this.overlaySelect) return;
+
+    this.overlaySelect.innerHTML = [
+      '<option value="own">Its conference</option>',
+      ...this.conferences.map(conf => `<option value="${conf}">${conf}</option>`)
+    ].join('');
+    this.overlaySelect.value = this.overlayTarget;
+    this.overlaySelect.addEventListener('change', (e) => {
+      this.overlayTarget = e.target.value;
+      this.drawSchoolOverlays();
+    });
+  }
+
+  /**
+   * Wire the small multiples / overlay switch
+   */
+  setupLayoutControl() {
+    if (!this.layoutSelect) return;
+
+    this.layoutSelect.value = this.layout;
+    this.layoutSelect.addEventListener('change', (e) => this.setLayout(e.target.value));
+  }
+
+  /**
+   * Switch between small multiples and one overlaid radar
+   * @param {string} layout - 'multiples' or 'overlay'
+   */
+  setLayout(layout) {
+    if (layout !== 'multiples' && layout !== 'overlay') return;
+    this.layout = layout;
+    if (this.layoutSelect) this.layoutSelect.value = layout;
+    this.redraw();
+  }
+
+  /**
+   * Wire the dimension chooser and normalization picker
+   */
+  setupDimensionControls() {
+    if (this.normalizationSelect) {
+      this.normalizationSelect.innerHTML = Object.entries(RADAR_NORMALIZATIONS)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+      this.normalizationSelect.value = this.config.normalization;
+      this.normalizationSelect.addEventListener('change', (e) => this.setNormalization(e.target.value));
+    }
+
+    this.renderDimensionPicker();
+  }
+
+  /**
+   * Checkbox per available statistic
+   */
+  renderDimensionPicker() {
+    if (!this.dimensionList) return;
+
+    const keys = this.config.dimensions.map(dim => dim.key);
+    const atMinimum = keys.length <= this.config.minDimensions;
+
+    const items = d3.select(this.dimensionList)
+      .selectAll('label.axis-option')
+      .data(RADAR_DIMENSIONS, dim => dim.key)
+      .join(enter => {
+        const label = enter.append('label').attr('class', 'axis-option');
+        label.append('input')
+          .attr('type', 'checkbox')
+          .on('change', (event, dim) => this.toggleDimension(dim.key));
+        label.append('span').text(dim => dim.label);
+        return label;
+      });
+
+    items.select('input')
+      .property('checked', dim => keys.includes(dim.key))
+      .property('disabled', dim => atMinimum && keys.includes(dim.key));
+  }
+
+  /**
+   * Add or remove a radar axis (every radar redraws)
+   * @param {string} key - Key of a RADAR_DIMENSIONS entry
+   */
+  toggleDimension(key) {
+    const keys = this.config.dimensions.map(dim => dim.key);
+
+    if (keys.includes(key)) {
+      if (keys.length <= this.config.minDimensions) return;
+      this.config.dimensions = this.config.dimensions.filter(dim => dim.key !== key);
+    } else {
+      // Keep axes in catalogue order so radars stay comparable between edits
+      this.config.dimensions = RADAR_DIMENSIONS.filter(dim => dim.key === key || keys.includes(dim.key));
+    }
+
+    this.renderDimensionPicker();
+    this.redraw();
+  }
+
+  /**
+   * Change how statistics map onto their axes (every radar redraws)
+   * @param {string} normalization - Key of RADAR_NORMALIZATIONS
+   */
+  setNormalization(normalization) {
+    if (!RADAR_NORMALIZATIONS[normalization]) return;
+    this.config.normalization = normalization;
+    if (this.normalizationSelect) this.normalizationSelect.value = normalization;
+    this.redraw();
+  }
+
+  /**
+   * Redraw every radar, keeping the active conference highlighted
+   */
+  redraw() {
+    this.init();
+
+    const conference = getState('activeConference');
+    if (conference && conference !== 'all') {
+      this.highlightRadar(conference);
+    }
+  }
+
+  /**
+   * Centre and outer-ring values of each axis under the current normalization
+   * Min-max and z-score are taken across the conferences being drawn; z-score
+   * puts -2 standard deviations at the centre and +2 at the outer ring.
+   */
+  computeAxisDomains() {
+    this.axisDomains.clear();
+
+    const stats = this.conferences
+      .map(conf => this.conferenceStats[conf])
+      .filter(Boolean);
+
+    this.config.dimensions.forEach(dim => {
+      const values = stats.map(stat => stat[dim.key]);
+      let domain = [0, dim.max];
+
+      if (this.config.normalization === 'minmax' && values.length) {
+        domain = d3.extent(values);
+      } else if (this.config.normalization === 'zscore' && values.length) {
+        const mean = d3.mean(values);
+        const deviation = d3.deviation(values) || 0;
+        domain = [mean - 2 * deviation, mean + 2 * deviation];
+      }
+
+      this.axisDomains.set(dim.key, domain);
+    });
+  }
+
+  /**
+   * Shared legend: axis order and what the centre and outer ring stand for
+   */
+  renderLegend() {
+    if (!this.legend) return;
+
+    const note = {
+      fixed: 'centre is 0, outer ring the fixed maximum',
+      minmax: 'centre is the lowest conference, outer ring the highest',
+      zscore: 'centre is 2 SD below the conference mean, outer ring 2 SD above'
+    }[this.config.normalization];
+
+    this.legend.innerHTML = `
+      <p class="control-label">Axes clockwise from the top; ${note}</p>
+      <ol class="radar-legend-list">
+        ${this.config.dimensions.map((dim, i) => {
+          const [low, high] = this.axisDomains.get(dim.key);
+          return `<li><span class="radar-legend-index">${i + 1}</span> <span class="radar-legend-name">${dim.label}</span> <span class="radar-legend-range">${dim.format(low)} – ${dim.format(high)}</span></li>`;
+        }).join('')}
+      </ol>
+    `;
+  }
+
   /**
    * Initialize the radar charts
    */
   init() {
     // Clear container
     this.container.innerHTML = '';
+    this.radarCharts.clear();
+
+    // Fingerprints cover only the schools passing the field filter
+    this.conferenceStats = generateConferenceStats(applyFilter(this.schools, getState('filter')));
+    this.computeAxisDomains();
+    this.renderLegend();
+
+    this.container.classList.toggle('is-overlay', this.layout === 'overlay');
+    if (this.layout === 'overlay') {
+      this.createOverlayRadar();
+      this.drawSchoolOverlays();
+      this.drawSchoolRadar();
+      return;
+    }
 
     // Create a radar for each conference
     this.conferences.forEach(conf => {
@@ -55,6 +289,7 @@ class RadarChart {
       const label = document.createElement('span');
       label.className = 'radar-label';
       label.textContent = conf;
+      label.title = getConferenceFullName(conf);
       label.style.color = CONFERENCE_COLORS[conf];
 
       wrapper.appendChild(svgContainer);
@@ -69,19 +304,158 @@ class RadarChart {
       wrapper.addEventListener('mouseleave', () => this.handleLeave());
       wrapper.addEventListener('click', () => this.handleClick(conf));
     });
+
+    this.drawSchoolOverlays();
+    this.drawSchoolRadar();
   }
 
   /**
    * Create a single radar chart
    */
   createRadar(container, conference) {
-    const data = this.conferenceStats[conference];
+    // A conference with no schools left draws an empty polygon
+    const data = this.conferenceStats[conference] || {};
     const color = CONFERENCE_COLORS[conference];
 
+    const { svg, g, radius } = this.drawFrame(container);
+
+    // Calculate data polygon points
+    const dataPoints = this.getDataPoints(data, radius);
+
+    // Draw data polygon
+    const polygon = g.append('polygon')
+      .attr('class', 'radar-data')
+      .attr('points', dataPoints.map(p => p.join(',')).join(' '))
+      .attr('fill', `${color}40`)
+      .attr('stroke', color)
+      .attr('stroke-width', 2);
+
+    // Draw data points
+    dataPoints.forEach((point) => {
+      const isAcc = conference === 'ACC';
+      g.append('circle')
+        .attr('class', 'radar-point')
+        .attr('cx', point[0])
+        .attr('cy', point[1])
+        .attr('r', 2.2)
+        .attr('fill', color)
+        .attr('opacity', isAcc ? 0.7 : 1);
+    });
+
+    // Layer for a school drawn over this conference
+    const overlay = g.append('g').attr('class', 'radar-school-overlay');
+
+    // Store reference
+    this.radarCharts.set(conference, { svg, g, polygon, overlay, color, radius });
+  }
+
+  /**
+   * One large radar with every conference's polygon, plus a legend that
+   * shows or hides conferences
+   */
+  createOverlayRadar() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'radar-item radar-overlay-item';
+
+    const svgContainer = document.createElement('div');
+    svgContainer.className = 'radar-svg-container';
+    svgContainer.style.cssText = 'width: 100%; height: calc(100% - 32px);';
+
+    const legend = document.createElement('div');
+    legend.className = 'radar-conference-legend';
+
+    wrapper.appendChild(svgContainer);
+    wrapper.appendChild(legend);
+    this.container.appendChild(wrapper);
+
+    const { svg, g, radius } = this.drawFrame(svgContainer, { labels: true });
+
+    this.conferences.forEach(conf => {
+      const data = this.conferenceStats[conf];
+      if (!data || this.hiddenConferences.has(conf)) return;
+
+      const color = CONFERENCE_COLORS[conf];
+      const dataPoints = this.getDataPoints(data, radius);
+
+      // data-conference lets highlightRadar() find the group like a wrapper
+      const group = g.append('g')
+        .attr('class', 'radar-conference')
+        .attr('data-conference', conf)
+        .style('cursor', 'pointer')
+        .on('mouseenter', () => this.handleHover(conf))
+        .on('mouseleave', () => this.handleLeave())
+        .on('click', () => this.handleClick(conf));
+
+      const polygon = group.append('polygon')
+        .attr('class', 'radar-data')
+        .attr('points', dataPoints.map(p => p.join(',')).join(' '))
+        .attr('fill', `${color}26`)
+        .attr('stroke', color)
+        .attr('stroke-width', 2);
+
+      group.append('title').text(`${getConferenceFullName(conf)} (${data.count} schools)`);
+
+      dataPoints.forEach(point => {
+        group.append('circle')
+          .attr('class', 'radar-point')
+          .attr('cx', point[0])
+          .attr('cy', point[1])
+          .attr('r', 2.5)
+          .attr('fill', color);
+      });
+
+      const overlay = group.append('g').attr('class', 'radar-school-overlay');
+
+      this.radarCharts.set(conf, { svg, g: group, polygon, overlay, color, radius });
+    });
+
+    this.conferences.forEach(conf => {
+      const shown = !this.hiddenConferences.has(conf);
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'radar-legend-toggle';
+      button.dataset.legendConference = conf;
+      button.setAttribute('aria-pressed', String(shown));
+      button.title = `${shown ? 'Hide' : 'Show'} ${getConferenceFullName(conf)}`;
+      button.innerHTML = `<span class="radar-legend-swatch" style="background: ${CONFERENCE_COLORS[conf]}"></span>${conf}`;
+
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.toggleConference(conf);
+      });
+      button.addEventListener('mouseenter', () => {
+        if (this.radarCharts.has(conf)) this.handleHover(conf);
+      });
+      button.addEventListener('mouseleave', () => this.handleLeave());
+
+      legend.appendChild(button);
+    });
+  }
+
+  /**
+   * Show or hide a conference on the overlaid radar
+   * @param {string} conference - Conference name
+   */
+  toggleConference(conference) {
+    if (this.hiddenConferences.has(conference)) {
+      this.hiddenConferences.delete(conference);
+    } else {
+      this.hiddenConferences.add(conference);
+    }
+    this.redraw();
+  }
+
+  /**
+   * Draw the SVG, background levels and axis lines for one radar
+   * @param {HTMLElement} container - Element to draw into
+   * @param {Object} [options] - { labels: draw dimension labels at the axis ends }
+   * @returns {{svg: Object, g: Object, radius: number}}
+   */
+  drawFrame(container, { labels = false } = {}) {
     // Get container size with minimum fallback
     const rect = container.getBoundingClientRect();
     const size = Math.max(Math.min(rect.width || 100, rect.height || 100), 80);
-    const radius = Math.max((size / 2) - 20, 20);
+    const radius = Math.max((size / 2) - (labels ? 40 : 20), 20);
     const centerX = size / 2;
     const centerY = size / 2;
 
@@ -120,47 +494,143 @@ class RadarChart {
         .attr('y2', radius * Math.sin(angle))
         .attr('stroke', 'rgba(255, 255, 255, 0.1)')
         .attr('stroke-width', 1);
+
+      // Full labels on a large radar, legend numbers on the small multiples
+      const offset = labels ? this.config.labelOffset : 8;
+      const x = (radius + offset) * Math.cos(angle);
+      g.append('text')
+        .attr('class', 'radar-axis-label')
+        .attr('x', x)
+        .attr('y', (radius + offset) * Math.sin(angle))
+        .attr('text-anchor', !labels || Math.abs(x) < 1 ? 'middle' : (x > 0 ? 'start' : 'end'))
+        .attr('dy', '0.35em')
+        .attr('fill', labels ? '#ffffff' : 'rgba(255, 255, 255, 0.6)')
+        .attr('font-size', labels ? '10px' : '7px')
+        .text(labels ? dim.label : i + 1);
     });
 
-    // Calculate data polygon points
-    const dataPoints = this.config.dimensions.map((dim, i) => {
-      const angle = angleSlice * i - Math.PI / 2;
-      let value = data[dim.key];
+    return { svg, g, radius };
+  }
 
-      // Normalize value to 0-1 range
-      if (dim.normalize) {
-        value = value / dim.max;
-      }
+  /**
+   * Scale a stat to the 0-1 range of its axis
+   */
+  scaleValue(dim, value) {
+    const [low, high] = this.axisDomains.get(dim.key) || [0, dim.max];
+
+    // Normalize value to 0-1 range; a flat axis sits mid-way
+    value = high > low ? (value - low) / (high - low) : 0.5;
 
-      // Clamp value
-      value = Math.min(Math.max(value, 0), 1);
+    // Clamp value
+    return Math.min(Math.max(value, 0), 1);
+  }
+
+  /**
+   * Polygon vertices for a set of stats (conference or school)
+   * @param {Object} data - Values keyed by dimension key
+   * @param {number} radius - Radar radius
+   * @returns {number[][]} [x, y] per dimension
+   */
+  getDataPoints(data, radius) {
+    const angleSlice = (Math.PI * 2) / this.config.dimensions.length;
 
-      const r = radius * value;
+    return this.config.dimensions.map((dim, i) => {
+      const angle = angleSlice * i - Math.PI / 2;
+      const r = radius * this.scaleValue(dim, data[dim.key] || 0);
       return [r * Math.cos(angle), r * Math.sin(angle)];
     });
+  }
 
-    // Draw data polygon
-    const polygon = g.append('polygon')
+  /**
+   * Conference whose radar the school is drawn on
+   */
+  getOverlayConference() {
+    if (!this.school) return null;
+    return this.overlayTarget === 'own' ? this.school.conference : this.overlayTarget;
+  }
+
+  /**
+   * Draw the current school's polygon over its (or the chosen) conference radar
+   */
+  drawSchoolOverlays() {
+    const target = this.getOverlayConference();
+    const values = this.school ? getSchoolStats(this.school) : null;
+
+    this.radarCharts.forEach((chart, conf) => {
+      const points = conf === target ? this.getDataPoints(values, chart.radius) : [];
+
+      chart.overlay.selectAll('polygon.radar-school')
+        .data(points.length ? [points] : [])
+        .join('polygon')
+        .attr('class', 'radar-school')
+        .attr('points', d => d.map(p => p.join(',')).join(' '))
+        .attr('fill', 'none')
+        .attr('stroke', SELECTION_COLOR)
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', '3,2');
+    });
+  }
+
+  /**
+   * Standalone radar for the selected school against its conference fingerprint
+   */
+  drawSchoolRadar() {
+    if (!this.schoolContainer) return;
+
+    const school = this.selectedSchool;
+    this.schoolContainer.innerHTML = '';
+    this.schoolContainer.hidden = !school;
+    if (!school) return;
+
+    const fingerprint = this.conferenceStats[school.conference] || {};
+    const values = getSchoolStats(school);
+    const color = CONFERENCE_COLORS[school.conference];
+
+    const title = document.createElement('p');
+    title.className = 'radar-school-title';
+    title.innerHTML = `<strong>${school.school}</strong> against the <span style="color: ${color}">${school.conference}</span> fingerprint`;
+    this.schoolContainer.appendChild(title);
+
+    const svgContainer = document.createElement('div');
+    svgContainer.className = 'radar-svg-container radar-school-chart';
+    this.schoolContainer.appendChild(svgContainer);
+
+    const { g, radius } = this.drawFrame(svgContainer, { labels: true });
+
+    g.append('polygon')
       .attr('class', 'radar-data')
-      .attr('points', dataPoints.map(p => p.join(',')).join(' '))
+      .attr('points', this.getDataPoints(fingerprint, radius).map(p => p.join(',')).join(' '))
       .attr('fill', `${color}40`)
       .attr('stroke', color)
       .attr('stroke-width', 2);
 
-    // Draw data points
-    dataPoints.forEach((point) => {
-      const isAcc = conference === 'ACC';
-      g.append('circle')
-        .attr('class', 'radar-point')
-        .attr('cx', point[0])
-        .attr('cy', point[1])
-        .attr('r', 2.2)
-        .attr('fill', color)
-        .attr('opacity', isAcc ? 0.7 : 1);
-    });
+    g.append('polygon')
+      .attr('class', 'radar-school')
+      .attr('points', this.getDataPoints(values, radius).map(p => p.join(',')).join(' '))
+      .attr('fill', 'rgba(255, 255, 255, 0.1)')
+      .attr('stroke', SELECTION_COLOR)
+      .attr('stroke-width', 2)
+      .attr('stroke-dasharray', '4,2');
+
+    // How far the school sits from its conference on each axis
+    const list = document.createElement('ul');
+    list.className = 'radar-deviations';
+    list.innerHTML = this.config.dimensions.map(dim => {
+      const delta = this.scaleValue(dim, values[dim.key]) - this.scaleValue(dim, fingerprint[dim.key] || 0);
+      const sign = delta > 0.005 ? '+' : (delta < -0.005 ? '−' : '±');
+      return `<li><span>${dim.label}</span> <span class="radar-deviation">${sign}${Math.round(Math.abs(delta) * 100)}%</span></li>`;
+    }).join('');
+    this.schoolContainer.appendChild(list);
+  }
 
-    // Store reference
-    this.radarCharts.set(conference, { svg, g, polygon, color, radius });
+  /**
+   * Show a school over the conference radars
+   * @param {Object|null} school - School to show, or null to clear
+   */
+  showSchool(school) {
+    if (school === this.school) return;
+    this.school = school;
+    this.drawSchoolOverlays();
   }
 
   /**
@@ -213,14 +683,17 @@ class RadarChart {
    * Highlight a radar chart
    */
   highlightRadar(conference) {
-    // Dim other radars
+    const overlaid = this.layout === 'overlay';
+
+    // Dim other radars (or, overlaid, other polygons)
     this.radarCharts.forEach((chart, conf) => {
       const wrapper = this.container.querySelector(`[data-conference="${conf}"]`);
       if (conf === conference) {
         wrapper.style.opacity = '1';
         chart.polygon.attr('stroke-width', 3);
+        if (overlaid) chart.g.raise();
       } else {
-        wrapper.style.opacity = '0.4';
+        wrapper.style.opacity = overlaid ? '0.15' : '0.4';
       }
     });
   }
@@ -248,6 +721,18 @@ class RadarChart {
         this.highlightRadar(conference);
       }
     });
+
+    // Draw the hovered, else the selected, school over the fingerprints
+    const followSchool = () => this.showSchool(getState('hoveredSchool') || getState('selectedSchool'));
+    subscribe('hoveredSchool', followSchool);
+    subscribe('selectedSchool', (school) => {
+      this.selectedSchool = school;
+      this.drawSchoolRadar();
+      followSchool();
+    });
+
+    // Recompute fingerprints when the field filter changes
+    subscribe('filter', () => this.redraw());
   }
 
   /**
@@ -0,0 +1,149 @@
+/**
+ * Similar Songs Module
+ * ====================
+ * Nearest-neighbour list for the selected school, scored with the network's
+ * similarity model, with a breakdown of why each song matches
+ */
+
+import { getConferenceColor, TROPE_LABELS } from './utils.js';
+import { subscribe, getState, selectSchool, hoverSchool, getFeaturedSchool } from './state.js';
+import { createSimilarity, nearestNeighbors } from './similarity.js';
+
+/**
+ * Signed difference with units, e.g. "+8 BPM", "−3 s", "same tempo"
+ */
+function formatDelta(delta, unit, same) {
+  if (delta === 0) return same;
+  return `${delta > 0 ? '+' : '−'}${Math.abs(delta)} ${unit}`;
+}
+
+/**
+ * Compare a match against the school it was found for
+ * @param {Object} school - School being matched
+ * @param {Object} match - Neighbouring school
+ * @returns {{tempo: string, duration: string, shared: string[], missing: string[], extra: string[]}}
+ */
+export function explainMatch(school, match) {
+  const tropes = Object.keys(TROPE_LABELS);
+
+  return {
+    tempo: formatDelta(match.bpm - school.bpm, 'BPM', 'same tempo'),
+    duration: formatDelta(match.sec_duration - school.sec_duration, 's', 'same length'),
+    shared: tropes.filter(key => school[key] && match[key]).map(key => TROPE_LABELS[key]),
+    missing: tropes.filter(key => school[key] && !match[key]).map(key => TROPE_LABELS[key]),
+    extra: tropes.filter(key => !school[key] && match[key]).map(key => TROPE_LABELS[key])
+  };
+}
+
+class SimilarSongs {
+  constructor(containerId, schools, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.title = options.titleId ? document.getElementById(options.titleId) : null;
+    this.countSelect = options.countId ? document.getElementById(options.countId) : null;
+    this.schools = schools;
+
+    this.config = {
+      count: 5
+    };
+
+    if (!this.container) return;
+
+    this.similarity = createSimilarity(this.schools, getState('similarityModel'));
+
+    this.init();
+    this.setupStateListeners();
+  }
+
+  init() {
+    if (this.countSelect) {
+      this.countSelect.value = String(this.config.count);
+      this.countSelect.addEventListener('change', (e) => {
+        this.config.count = Number(e.target.value);
+        this.render();
+      });
+    }
+
+    this.render();
+  }
+
+  /**
+   * School the list is for: the selected one, else the featured one
+   */
+  getTarget() {
+    return getState('selectedSchool') || getFeaturedSchool();
+  }
+
+  /**
+   * Render the neighbour list
+   */
+  render() {
+    const target = this.getTarget();
+    if (!target) return;
+
+    if (this.title) {
+      this.title.textContent = `Closest to ${target.school}`;
+    }
+
+    const matches = nearestNeighbors(target, this.schools, this.similarity, this.config.count)
+      .map(match => ({ ...match, why: explainMatch(target, match.school) }));
+
+    const items = d3.select(this.container)
+      .selectAll('li.similar-item')
+      .data(matches, d => d.school.school)
+      .join(enter => {
+        const li = enter.append('li').attr('class', 'similar-item');
+        const button = li.append('button').attr('type', 'button').attr('class', 'similar-button');
+        const heading = button.append('span').attr('class', 'similar-heading');
+        heading.append('span').attr('class', 'similar-dot');
+        heading.append('strong').attr('class', 'similar-name');
+        heading.append('span').attr('class', 'similar-score');
+        button.append('span').attr('class', 'similar-deltas');
+        button.append('span').attr('class', 'similar-tropes');
+        return li;
+      })
+      .order();
+
+    items.select('.similar-button')
+      .attr('aria-label', d => `Select ${d.school.school}`)
+      .on('click', (event, d) => {
+        event.stopPropagation();
+        selectSchool(d.school);
+      })
+      .on('mouseenter', (event, d) => hoverSchool(d.school))
+      .on('mouseleave', () => hoverSchool(null));
+
+    items.select('.similar-dot').style('background', d => getConferenceColor(d.school.conference));
+    items.select('.similar-name').text(d => d.school.school);
+    items.select('.similar-score')
+      .text(d => d.similarity.toFixed(2))
+      .attr('title', 'Similarity under the network\'s current model');
+    items.select('.similar-deltas').text(d => `${d.why.tempo} · ${d.why.duration}`);
+    items.select('.similar-tropes').text(d => this.describeTropes(d.why));
+  }
+
+  /**
+   * One line on trope overlap, e.g. "Shares Fight, Rah · lacks Victory · adds Spelling"
+   */
+  describeTropes({ shared, missing, extra }) {
+    const parts = [];
+    parts.push(shared.length ? `Shares ${shared.join(', ')}` : 'No tropes in common');
+    if (missing.length) parts.push(`lacks ${missing.join(', ')}`);
+    if (extra.length) parts.push(`adds ${extra.join(', ')}`);
+    return parts.join(' · ');
+  }
+
+  /**
+   * Setup state listeners
+   */
+  setupStateListeners() {
+    subscribe('selectedSchool', () => this.render());
+    subscribe('featuredSchool', () => this.render());
+
+    subscribe('similarityModel', (model) => {
+      this.similarity = createSimilarity(this.schools, model);
+      this.render();
+    });
+  }
+}
+
+export default SimilarSongs;
@@ -0,0 +1,123 @@
+/**
+ * Regression Helpers
+ * ==================
+ * Least-squares fit with a confidence band, LOESS smoothing and Pearson
+ * correlation over [x, y] points
+ */
+
+/**
+ * Two-sided 95% Student t critical values for 1-30 degrees of freedom
+ */
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+/**
+ * Two-sided 95% Student t critical value
+ * Looked up up to 30 degrees of freedom, approximated above that.
+ * @param {number} df - Degrees of freedom
+ * @returns {number}
+ */
+function tCritical(df) {
+  if (df <= T_CRITICAL_95.length) return T_CRITICAL_95[Math.max(1, Math.floor(df)) - 1];
+  return 1.96 + 2.37 / df + 2.8 / (df * df);
+}
+
+/**
+ * Pearson correlation coefficient
+ * @param {number[][]} points - [x, y] pairs
+ * @returns {number|null} r, or null with fewer than 3 points or no spread
+ */
+export function pearson(points) {
+  if (points.length < 3) return null;
+
+  const meanX = d3.mean(points, p => p[0]);
+  const meanY = d3.mean(points, p => p[1]);
+  let sxy = 0, sxx = 0, syy = 0;
+  points.forEach(([x, y]) => {
+    sxy += (x - meanX) * (y - meanY);
+    sxx += (x - meanX) ** 2;
+    syy += (y - meanY) ** 2;
+  });
+
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * Ordinary least-squares line
+ * `band(x)` is the 95% confidence interval of the fitted mean at x.
+ * @param {number[][]} points - [x, y] pairs
+ * @returns {{slope: number, intercept: number, predict: Function, band: Function, extent: number[]}|null}
+ *   null with fewer than 3 points or no spread in x
+ */
+export function linearRegression(points) {
+  const n = points.length;
+  if (n < 3) return null;
+
+  const meanX = d3.mean(points, p => p[0]);
+  const meanY = d3.mean(points, p => p[1]);
+  const sxx = d3.sum(points, p => (p[0] - meanX) ** 2);
+  if (!sxx) return null;
+
+  const slope = d3.sum(points, p => (p[0] - meanX) * (p[1] - meanY)) / sxx;
+  const intercept = meanY - slope * meanX;
+  const predict = x => intercept + slope * x;
+
+  // Residual standard error
+  const se = Math.sqrt(d3.sum(points, p => (p[1] - predict(p[0])) ** 2) / (n - 2));
+  const t = tCritical(n - 2);
+
+  return {
+    slope,
+    intercept,
+    predict,
+    band: x => {
+      const half = t * se * Math.sqrt(1 / n + (x - meanX) ** 2 / sxx);
+      return [predict(x) - half, predict(x) + half];
+    },
+    extent: d3.extent(points, p => p[0])
+  };
+}
+
+/**
+ * LOESS: locally weighted linear regression with tricube weights
+ * @param {number[][]} points - [x, y] pairs
+ * @param {Object} [options] - { bandwidth: share of points in each local fit, steps: samples along x }
+ * @returns {number[][]} Smoothed [x, y] samples across the x range (empty with fewer than 3 points)
+ */
+export function loess(points, { bandwidth = 0.5, steps = 40 } = {}) {
+  if (points.length < 3) return [];
+
+  const span = Math.max(3, Math.ceil(bandwidth * points.length));
+  const [minX, maxX] = d3.extent(points, p => p[0]);
+  const xs = minX === maxX ? [minX] : d3.range(steps + 1).map(i => minX + (maxX - minX) * i / steps);
+
+  return xs.map(x0 => {
+    // Nearest `span` points set the window width
+    const distances = points.map(p => Math.abs(p[0] - x0)).sort((a, b) => a - b);
+    const width = distances[span - 1] || 1;
+
+    let sw = 0, swx = 0, swy = 0, swxx = 0, swxy = 0;
+    points.forEach(([x, y]) => {
+      const u = Math.abs(x - x0) / width;
+      if (u >= 1) return;
+      const w = (1 - u ** 3) ** 3;
+      sw += w;
+      swx += w * x;
+      swy += w * y;
+      swxx += w * x * x;
+      swxy += w * x * y;
+    });
+
+    if (!sw) return [x0, null];
+
+    const denominator = sw * swxx - swx * swx;
+    if (Math.abs(denominator) < 1e-12) return [x0, swy / sw];
+
+    const slope = (sw * swxy - swx * swy) / denominator;
+    const intercept = (swy - slope * swx) / sw;
+    return [x0, intercept + slope * x0];
+  }).filter(p => p[1] !== null);
+}
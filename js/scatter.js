@@ -1,29 +1,112 @@
 /**
  * Scatter Plot Module
  * ===================
- * Tempo vs Duration scatter plot showing energy distribution
+ * Scatter plot of any two numeric fields (tempo vs duration by default),
+ * with mappable point size and color, a configurable quadrant split,
+ * box, lasso and quadrant selection, and semantic zoom with school labels
  */
 
-import { getConferenceColor, isPurdue, PURDUE_COLORS } from './utils.js';
-import { subscribe, hoverSchool, selectSchool, getState } from './state.js';
+import { getConferenceColor, describeRank, calculateEnergyScore, SELECTION_COLOR } from './utils.js';
+import { subscribe, getState, hoverSchool, selectSchool, toggleSelection, setSelection, clearSelection, isInSelection, isInComparison, isSchoolVisible, isFeatured, getFeaturedColors, getFilteredSchools } from './state.js';
+import { pearson, linearRegression, loess } from './regression.js';
 import tooltip from './tooltip.js';
 
+/**
+ * Fields the axes, point size and point color can show
+ * `domain` overrides the padded extent used for an axis.
+ */
+const SCATTER_FIELDS = {
+  bpm: {
+    label: 'BPM (Tempo)',
+    short: 'Tempo',
+    value: d => d.bpm,
+    domain: ([min, max]) => [Math.floor(min / 10) * 10 - 10, Math.ceil(max / 10) * 10 + 10]
+  },
+  sec_duration: {
+    label: 'Duration (seconds)',
+    short: 'Duration',
+    value: d => d.sec_duration,
+    domain: ([, max]) => [0, Math.ceil(max / 20) * 20 + 20]
+  },
+  year: { label: 'Year written', short: 'Year', value: d => d.year },
+  trope_count: { label: 'Trope count', short: 'Tropes', value: d => d.trope_count },
+  number_fights: { label: '"Fight" count', short: '"Fight"s', value: d => d.number_fights },
+  energy: { label: 'Energy score', short: 'Energy', value: d => calculateEnergyScore(d) }
+};
+
+/**
+ * Where the quadrant dividers fall
+ */
+const QUADRANT_SPLITS = {
+  midpoint: 'Axis midpoint',
+  median: 'Median',
+  mean: 'Mean'
+};
+
+/**
+ * What a drag on the plot does
+ */
+const SCATTER_TOOLS = {
+  point: 'Points only',
+  box: 'Box select',
+  lasso: 'Lasso select'
+};
+
+/**
+ * Statistical overlays that can be switched on
+ */
+const SCATTER_OVERLAYS = {
+  ols: 'Least-squares fit',
+  loess: 'LOESS curve',
+  conferences: 'Trend per conference'
+};
+
+/**
+ * Area two boxes ({ x0, y0, x1, y1 }) share
+ */
+function overlapArea(a, b) {
+  const width = Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0);
+  const height = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
 class ScatterPlot {
-  constructor(containerId, schools) {
+  constructor(containerId, schools, options = {}) {
     this.container = document.getElementById(containerId);
+    this.overlayList = options.overlayListId ? document.getElementById(options.overlayListId) : null;
+    this.stats = options.statsId ? document.getElementById(options.statsId) : null;
+    this.encodingList = options.encodingListId ? document.getElementById(options.encodingListId) : null;
+    this.title = options.titleId ? document.getElementById(options.titleId) : null;
+    this.toolSelect = options.toolId ? document.getElementById(options.toolId) : null;
+    this.selectionSummary = options.selectionSummaryId ? document.getElementById(options.selectionSummaryId) : null;
+    this.resetZoomButton = options.resetZoomId ? document.getElementById(options.resetZoomId) : null;
     this.schools = schools;
     this.svg = null;
     this.xScale = null;
     this.yScale = null;
     this.hoveredSchool = null;
 
+    // Keys of SCATTER_OVERLAYS currently drawn
+    this.overlays = new Set();
+
     // Configuration
     this.config = {
       margin: { top: 30, right: 30, bottom: 50, left: 50 },
       baseRadius: 4,
-      radiusMultiplier: 1,
-      purdueRadius: 10,
+      featuredRadius: 10,
       transitionDuration: 300,
+      x: 'bpm',
+      y: 'sec_duration',
+      size: 'trope_count',       // field key or 'none'
+      color: 'conference',       // field key or 'conference'
+      split: 'midpoint',         // key of QUADRANT_SPLITS
+      tool: 'point',             // key of SCATTER_TOOLS
+      maxZoom: 12,
+      labelFontSize: 9,
+      labelPadding: 2,           // clear space kept around each label
+      showQuadrantLabels: true,
+      sizeRange: [4, 12],        // radius across the size field's range
+      // Named quadrants for the default tempo vs duration axes
       quadrantLabels: [
         { x: 0.25, y: 0.75, text: 'Epic', subtext: 'Slow & Long' },
         { x: 0.75, y: 0.75, text: 'Intense', subtext: 'Fast & Long' },
@@ -32,8 +115,145 @@ class ScatterPlot {
       ]
     };
 
+    this.setupOverlayControls();
+    this.setupEncodingControls();
+    this.setupToolControl();
+    this.setupResetZoom();
     this.init();
+    this.setupResize();
     this.setupStateListeners();
+    this.renderSelectionSummary(getState('selectionSet'));
+  }
+
+  /**
+   * Checkbox per statistical overlay
+   */
+  setupOverlayControls() {
+    if (!this.overlayList) return;
+
+    d3.select(this.overlayList)
+      .selectAll('label.axis-option')
+      .data(Object.entries(SCATTER_OVERLAYS))
+      .join(enter => {
+        const label = enter.append('label').attr('class', 'axis-option');
+        label.append('input')
+          .attr('type', 'checkbox')
+          .property('checked', ([key]) => this.overlays.has(key))
+          .on('change', (event, [key]) => this.toggleOverlay(key, event.target.checked));
+        label.append('span').text(([, text]) => text);
+        return label;
+      });
+  }
+
+  /**
+   * Axis, size, color and quadrant pickers
+   */
+  setupEncodingControls() {
+    if (!this.encodingList) return;
+
+    const fieldOptions = Object.entries(SCATTER_FIELDS)
+      .map(([key, field]) => `<option value="${key}">${field.label}</option>`)
+      .join('');
+
+    this.encodingList.innerHTML = `
+      <div class="similarity-row">
+        <label class="control-label" for="scatter-x">X axis</label>
+        <select id="scatter-x" class="control-select" data-encoding="x">${fieldOptions}</select>
+      </div>
+      <div class="similarity-row">
+        <label class="control-label" for="scatter-y">Y axis</label>
+        <select id="scatter-y" class="control-select" data-encoding="y">${fieldOptions}</select>
+      </div>
+      <div class="similarity-row">
+        <label class="control-label" for="scatter-size">Size</label>
+        <select id="scatter-size" class="control-select" data-encoding="size">
+          <option value="none">Same size</option>${fieldOptions}
+        </select>
+      </div>
+      <div class="similarity-row">
+        <label class="control-label" for="scatter-color">Color</label>
+        <select id="scatter-color" class="control-select" data-encoding="color">
+          <option value="conference">Conference</option>${fieldOptions}
+        </select>
+      </div>
+      <div class="similarity-row">
+        <label class="control-label" for="scatter-split">Quadrants</label>
+        <select id="scatter-split" class="control-select" data-encoding="split">
+          ${Object.entries(QUADRANT_SPLITS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+        </select>
+      </div>
+      <label class="axis-option">
+        <input type="checkbox" data-encoding="showQuadrantLabels">
+        <span>Quadrant labels</span>
+      </label>
+    `;
+
+    this.encodingList.querySelectorAll('select[data-encoding]').forEach(select => {
+      select.value = this.config[select.dataset.encoding];
+      select.addEventListener('change', (e) => this.setEncoding(select.dataset.encoding, e.target.value));
+    });
+
+    const labels = this.encodingList.querySelector('[data-encoding="showQuadrantLabels"]');
+    labels.checked = this.config.showQuadrantLabels;
+    labels.addEventListener('change', (e) => this.setEncoding('showQuadrantLabels', e.target.checked));
+  }
+
+  /**
+   * Change an axis, size, color or quadrant setting and redraw
+   * @param {string} key - 'x', 'y', 'size', 'color', 'split' or 'showQuadrantLabels'
+   * @param {string|boolean} value - New setting
+   */
+  setEncoding(key, value) {
+    this.config[key] = value;
+    this.render();
+    this.filterSchools();
+  }
+
+  /**
+   * Drag tool picker (points only, box or lasso)
+   */
+  setupToolControl() {
+    if (!this.toolSelect) return;
+
+    this.toolSelect.innerHTML = Object.entries(SCATTER_TOOLS)
+      .map(([key, label]) => `<option value="${key}">${label}</option>`)
+      .join('');
+    this.toolSelect.value = this.config.tool;
+
+    this.toolSelect.addEventListener('change', (e) => {
+      this.config.tool = e.target.value;
+      this.drawSelectionLayer();
+    });
+  }
+
+  /**
+   * Reset-zoom button, enabled only while zoomed or panned
+   */
+  setupResetZoom() {
+    if (!this.resetZoomButton) return;
+    this.resetZoomButton.addEventListener('click', () => this.resetZoom());
+  }
+
+  /**
+   * Whether the axes are the tempo vs duration pair the named quadrants describe
+   */
+  hasDefaultAxes() {
+    return this.config.x === 'bpm' && this.config.y === 'sec_duration';
+  }
+
+  /**
+   * Switch a statistical overlay on or off
+   * @param {string} key - Key of SCATTER_OVERLAYS
+   * @param {boolean} on - Whether to draw it
+   */
+  toggleOverlay(key, on) {
+    if (!SCATTER_OVERLAYS[key]) return;
+    if (on) {
+      this.overlays.add(key);
+    } else {
+      this.overlays.delete(key);
+    }
+    this.drawOverlays();
   }
 
   /**
@@ -63,32 +283,191 @@ class ScatterPlot {
     this.g = this.svg.append('g')
       .attr('transform', `translate(${this.config.margin.left}, ${this.config.margin.top})`);
 
-    // Create scales
-    const bpmExtent = d3.extent(this.schools, d => d.bpm);
-    const durationExtent = d3.extent(this.schools, d => d.sec_duration);
-
-    this.xScale = d3.scaleLinear()
-      .domain([Math.floor(bpmExtent[0] / 10) * 10 - 10, Math.ceil(bpmExtent[1] / 10) * 10 + 10])
+    // Create scales; xScale / yScale follow the zoom, the base scales never change
+    this.baseXScale = d3.scaleLinear()
+      .domain(this.getDomain(this.config.x))
       .range([0, innerWidth]);
 
-    this.yScale = d3.scaleLinear()
-      .domain([0, Math.ceil(durationExtent[1] / 20) * 20 + 20])
+    this.baseYScale = d3.scaleLinear()
+      .domain(this.getDomain(this.config.y))
       .range([innerHeight, 0]);
 
-    // Draw quadrant backgrounds
-    this.drawQuadrants(innerWidth, innerHeight);
+    this.xScale = this.baseXScale;
+    this.yScale = this.baseYScale;
+
+    this.createEncodingScales();
+
+    if (this.title) {
+      this.title.textContent = `${SCATTER_FIELDS[this.config.x].short} vs ${SCATTER_FIELDS[this.config.y].short}`;
+    }
+
+    // Everything drawn in data space is clipped to the plot area once zoomed
+    this.svg.select('defs').append('clipPath')
+      .attr('id', 'scatter-clip')
+      .append('rect')
+      .attr('width', innerWidth)
+      .attr('height', innerHeight);
+
+    // Zoom catches wheel and drag across the whole plot area, in plot
+    // coordinates, so the pointer stays the focal point
+    this.g.append('rect')
+      .attr('class', 'zoom-surface')
+      .attr('width', innerWidth)
+      .attr('height', innerHeight)
+      .attr('fill', 'transparent');
+
+    // Quadrant dividers
+    this.quadrantGroup = this.g.append('g')
+      .attr('class', 'quadrant-layer')
+      .attr('clip-path', 'url(#scatter-clip)');
 
     // Draw axes
     this.drawAxes(innerWidth, innerHeight);
 
+    // Statistical overlays sit under the points
+    this.overlayGroup = this.g.append('g')
+      .attr('class', 'overlay-layer')
+      .attr('clip-path', 'url(#scatter-clip)');
+
+    // Box / lasso surface sits under the points so they stay hoverable,
+    // with the quadrant labels clickable above it
+    this.selectionLayer = this.g.append('g').attr('class', 'selection-layer');
+    this.drawSelectionLayer();
+
+    this.quadrantLabelGroup = this.g.append('g').attr('class', 'quadrant-label-layer');
+    this.drawQuadrants();
+
     // Draw points
     this.drawPoints();
+    this.drawOverlays();
 
-    // Draw Purdue label
-    this.drawPurdueLabel();
+    // School labels, then the featured school's own label
+    this.labelsGroup = this.g.append('g')
+      .attr('class', 'school-labels')
+      .style('pointer-events', 'none');
+    this.drawFeaturedLabel();
+    this.drawLabels();
 
-    // Setup resize
-    this.setupResize();
+    this.setupZoom(innerWidth, innerHeight);
+  }
+
+  /**
+   * Wheel / drag zoom and pan; drag-panning only with the points-only tool,
+   * so it never competes with the box or lasso
+   */
+  setupZoom(innerWidth, innerHeight) {
+    this.zoomTransform = d3.zoomIdentity;
+
+    this.zoom = d3.zoom()
+      .scaleExtent([1, this.config.maxZoom])
+      .extent([[0, 0], [innerWidth, innerHeight]])
+      .translateExtent([[0, 0], [innerWidth, innerHeight]])
+      .filter(event => (event.type === 'wheel' || this.config.tool === 'point') &&
+        (!event.ctrlKey || event.type === 'wheel') && !event.button)
+      .on('zoom', (event) => this.zoomed(event.transform));
+
+    this.g.call(this.zoom);
+    this.updateResetZoom();
+  }
+
+  /**
+   * Rescale the axes and move everything in data space to a zoom transform
+   * @param {d3.ZoomTransform} transform
+   */
+  zoomed(transform) {
+    this.zoomTransform = transform;
+    this.xScale = transform.rescaleX(this.baseXScale);
+    this.yScale = transform.rescaleY(this.baseYScale);
+
+    this.updateAxes();
+    this.drawQuadrants();
+    this.pointsGroup.selectAll('circle.point')
+      .attr('cx', d => this.isPlotted(d) ? this.xScale(this.getX(d)) : 0)
+      .attr('cy', d => this.isPlotted(d) ? this.yScale(this.getY(d)) : 0);
+    this.drawOverlays();
+    this.drawFeaturedLabel();
+    this.drawLabels();
+    this.updateResetZoom();
+  }
+
+  /**
+   * Animate back to the full view
+   */
+  resetZoom() {
+    if (!this.zoom) return;
+    this.g.transition()
+      .duration(this.config.transitionDuration)
+      .call(this.zoom.transform, d3.zoomIdentity);
+  }
+
+  /**
+   * Enable the reset button only while zoomed or panned
+   */
+  updateResetZoom() {
+    if (!this.resetZoomButton) return;
+    const { k, x, y } = this.zoomTransform;
+    this.resetZoomButton.disabled = k === 1 && x === 0 && y === 0;
+  }
+
+  /**
+   * Axis domain for a field: its own rule, else the extent padded by 5%
+   */
+  getDomain(key) {
+    const field = SCATTER_FIELDS[key];
+    const extent = d3.extent(this.schools, field.value);
+    if (field.domain) return field.domain(extent);
+
+    const pad = (extent[1] - extent[0]) * 0.05 || 1;
+    return [extent[0] - pad, extent[1] + pad];
+  }
+
+  /**
+   * Radius and color scales for the mapped fields
+   */
+  createEncodingScales() {
+    const { size, color, sizeRange } = this.config;
+
+    this.sizeScale = size === 'none' ? null : d3.scaleLinear()
+      .domain(d3.extent(this.schools, SCATTER_FIELDS[size].value))
+      .range(sizeRange);
+
+    this.colorScale = color === 'conference' ? null : d3.scaleSequential(d3.interpolatePlasma)
+      .domain(d3.extent(this.schools, SCATTER_FIELDS[color].value));
+  }
+
+  /**
+   * Fill for a point under the current color mapping
+   */
+  getColor(school) {
+    if (!this.colorScale) return getConferenceColor(school.conference);
+    const value = SCATTER_FIELDS[this.config.color].value(school);
+    return value === null || value === undefined ? '#666666' : this.colorScale(value);
+  }
+
+  /**
+   * Quadrant divider positions in data units
+   * @returns {number[]} [x, y]
+   */
+  getSplit() {
+    return ['x', 'y'].map(axis => {
+      const scale = axis === 'x' ? this.baseXScale : this.baseYScale;
+      const values = this.schools
+        .map(SCATTER_FIELDS[this.config[axis]].value)
+        .filter(v => v !== null && v !== undefined);
+
+      if (this.config.split === 'median') return d3.median(values);
+      if (this.config.split === 'mean') return d3.mean(values);
+      const [min, max] = scale.domain();
+      return (min + max) / 2;
+    });
+  }
+
+  /**
+   * Re-render from scratch (resize, featured school change)
+   */
+  render() {
+    this.container.innerHTML = '';
+    this.init();
   }
 
   /**
@@ -97,9 +476,9 @@ class ScatterPlot {
   addDefs() {
     const defs = this.svg.append('defs');
 
-    // Glow filter for Purdue
+    // Glow filter for the featured school
     const glowFilter = defs.append('filter')
-      .attr('id', 'scatter-purdue-glow')
+      .attr('id', 'scatter-featured-glow')
       .attr('x', '-50%')
       .attr('y', '-50%')
       .attr('width', '200%')
@@ -115,15 +494,22 @@ class ScatterPlot {
   }
 
   /**
-   * Draw quadrant backgrounds and labels
+   * Draw quadrant dividers and labels at the current zoom
    */
-  drawQuadrants(innerWidth, innerHeight) {
+  drawQuadrants() {
+    const [, innerWidth] = this.xScale.range();
+    const [innerHeight] = this.yScale.range();
+
+    this.quadrantGroup.selectAll('*').remove();
+    this.quadrantLabelGroup.selectAll('*').remove();
+
     // Quadrant dividers
-    const midX = innerWidth / 2;
-    const midY = innerHeight / 2;
+    const [splitX, splitY] = this.getSplit();
+    const midX = this.xScale(splitX);
+    const midY = this.yScale(splitY);
 
     // Vertical line
-    this.g.append('line')
+    this.quadrantGroup.append('line')
       .attr('x1', midX)
       .attr('y1', 0)
       .attr('x2', midX)
@@ -133,7 +519,7 @@ class ScatterPlot {
       .attr('stroke-dasharray', '4,4');
 
     // Horizontal line
-    this.g.append('line')
+    this.quadrantGroup.append('line')
       .attr('x1', 0)
       .attr('y1', midY)
       .attr('x2', innerWidth)
@@ -142,11 +528,28 @@ class ScatterPlot {
       .attr('stroke-width', 1)
       .attr('stroke-dasharray', '4,4');
 
-    // Quadrant labels
-    this.config.quadrantLabels.forEach(label => {
-      const labelGroup = this.g.append('g')
+    if (!this.config.showQuadrantLabels) return;
+
+    // Quadrant labels, centred in the visible part of each quadrant
+    const clampedX = Math.max(0, Math.min(innerWidth, midX));
+    const clampedY = Math.max(0, Math.min(innerHeight, midY));
+
+    this.getQuadrantLabels().forEach(label => {
+      const [left, right] = label.x < 0.5 ? [0, clampedX] : [clampedX, innerWidth];
+      const [top, bottom] = label.y < 0.5 ? [clampedY, innerHeight] : [0, clampedY];
+      if (right - left < 1 || bottom - top < 1) return;
+
+      const labelGroup = this.quadrantLabelGroup.append('g')
         .attr('class', 'quadrant-label')
-        .attr('transform', `translate(${label.x * innerWidth}, ${(1 - label.y) * innerHeight})`);
+        .attr('transform', `translate(${(left + right) / 2}, ${(top + bottom) / 2})`)
+        .style('cursor', 'pointer')
+        .on('click', (event) => {
+          event.stopPropagation();
+          this.selectQuadrant(label.x > 0.5, label.y > 0.5, event.shiftKey);
+        });
+
+      labelGroup.append('title')
+        .text('Select every school in this quadrant');
 
       labelGroup.append('text')
         .attr('text-anchor', 'middle')
@@ -164,28 +567,35 @@ class ScatterPlot {
     });
   }
 
+  /**
+   * Quadrant names: the named set for tempo vs duration, else "High X / Low Y"
+   */
+  getQuadrantLabels() {
+    if (this.hasDefaultAxes()) return this.config.quadrantLabels;
+
+    const x = SCATTER_FIELDS[this.config.x].short;
+    const y = SCATTER_FIELDS[this.config.y].short;
+    return [[0.25, 0.75], [0.75, 0.75], [0.25, 0.25], [0.75, 0.25]].map(([qx, qy]) => ({
+      x: qx,
+      y: qy,
+      text: `${qx > 0.5 ? 'High' : 'Low'} ${x}`,
+      subtext: `${qy > 0.5 ? 'High' : 'Low'} ${y}`
+    }));
+  }
+
   /**
    * Draw axes
    */
   drawAxes(innerWidth, innerHeight) {
     // X axis
-    const xAxis = d3.axisBottom(this.xScale)
+    this.xAxis = d3.axisBottom(this.xScale)
       .ticks(5)
       .tickSize(-innerHeight)
       .tickPadding(10);
 
-    this.g.append('g')
+    this.xAxisGroup = this.g.append('g')
       .attr('class', 'x-axis')
-      .attr('transform', `translate(0, ${innerHeight})`)
-      .call(xAxis)
-      .call(g => {
-        g.select('.domain').remove();
-        g.selectAll('.tick line')
-          .attr('stroke', 'rgba(255, 255, 255, 0.35)');
-        g.selectAll('.tick text')
-          .attr('fill', '#ffffff')
-          .attr('font-size', '10px');
-      });
+      .attr('transform', `translate(0, ${innerHeight})`);
 
     // X axis label
     this.g.append('text')
@@ -194,25 +604,18 @@ class ScatterPlot {
       .attr('text-anchor', 'middle')
       .attr('fill', '#ffffff')
       .attr('font-size', '11px')
-      .text('BPM (Tempo)');
+      .text(SCATTER_FIELDS[this.config.x].label);
 
     // Y axis
-    const yAxis = d3.axisLeft(this.yScale)
+    this.yAxis = d3.axisLeft(this.yScale)
       .ticks(5)
       .tickSize(-innerWidth)
       .tickPadding(10);
 
-    this.g.append('g')
-      .attr('class', 'y-axis')
-      .call(yAxis)
-      .call(g => {
-        g.select('.domain').remove();
-        g.selectAll('.tick line')
-          .attr('stroke', 'rgba(255, 255, 255, 0.35)');
-        g.selectAll('.tick text')
-          .attr('fill', '#ffffff')
-          .attr('font-size', '10px');
-      });
+    this.yAxisGroup = this.g.append('g')
+      .attr('class', 'y-axis');
+
+    this.updateAxes();
 
     // Y axis label
     this.g.append('text')
@@ -222,67 +625,343 @@ class ScatterPlot {
       .attr('text-anchor', 'middle')
       .attr('fill', '#ffffff')
       .attr('font-size', '11px')
-      .text('Duration (seconds)');
+      .text(SCATTER_FIELDS[this.config.y].label);
+  }
+
+  /**
+   * Redraw the axis ticks for the current (possibly zoomed) scales
+   */
+  updateAxes() {
+    const style = g => {
+      g.select('.domain').remove();
+      g.selectAll('.tick line')
+        .attr('stroke', 'rgba(255, 255, 255, 0.35)');
+      g.selectAll('.tick text')
+        .attr('fill', '#ffffff')
+        .attr('font-size', '10px');
+    };
+
+    this.xAxisGroup.call(this.xAxis.scale(this.xScale)).call(style);
+    this.yAxisGroup.call(this.yAxis.scale(this.yScale)).call(style);
   }
 
   /**
    * Draw scatter points
    */
   drawPoints() {
-    // Sort schools so Purdue is drawn last
+    const featuredColors = getFeaturedColors();
+
+    // Sort schools so the featured school is drawn last
     const sortedSchools = [...this.schools].sort((a, b) => {
-      if (isPurdue(a)) return 1;
-      if (isPurdue(b)) return -1;
+      if (isFeatured(a)) return 1;
+      if (isFeatured(b)) return -1;
       return 0;
     });
 
     // Create points group
-    this.pointsGroup = this.g.append('g').attr('class', 'points-layer');
+    this.pointsGroup = this.g.append('g')
+      .attr('class', 'points-layer')
+      .attr('clip-path', 'url(#scatter-clip)');
 
     // Draw points
-    const points = this.pointsGroup.selectAll('circle.point')
+    // Schools missing either value (unknown years) are left off the plot
+    this.pointsGroup.selectAll('circle.point')
       .data(sortedSchools, d => d.school)
       .join('circle')
-      .attr('class', d => `point ${isPurdue(d) ? 'purdue' : ''}`)
-      .attr('cx', d => this.xScale(d.bpm))
-      .attr('cy', d => this.yScale(d.sec_duration))
+      .attr('class', d => `point ${isFeatured(d) ? 'featured' : ''}`)
+      .attr('cx', d => this.isPlotted(d) ? this.xScale(this.getX(d)) : 0)
+      .attr('cy', d => this.isPlotted(d) ? this.yScale(this.getY(d)) : 0)
       .attr('r', d => this.getRadius(d))
-      .attr('fill', d => isPurdue(d) ? PURDUE_COLORS.gold : getConferenceColor(d.conference))
-      .attr('stroke', d => isPurdue(d) ? PURDUE_COLORS.goldLight : 'rgba(255,255,255,0.2)')
-      .attr('stroke-width', d => isPurdue(d) ? 2 : 1)
+      .attr('fill', d => isFeatured(d) ? featuredColors.primary : this.getColor(d))
+      .attr('stroke', d => isFeatured(d) ? featuredColors.light : 'rgba(255,255,255,0.2)')
+      .attr('stroke-width', d => isFeatured(d) ? 2 : 1)
       .attr('opacity', 0.85)
+      .attr('display', d => this.isPlotted(d) ? null : 'none')
       .style('cursor', 'pointer')
       .on('mouseenter', (event, d) => this.handleMouseEnter(event, d))
       .on('mousemove', (event, d) => this.handleMouseMove(event, d))
       .on('mouseleave', (event, d) => this.handleMouseLeave(event, d))
       .on('click', (event, d) => this.handleClick(event, d));
 
-    // Apply Purdue glow
-    this.pointsGroup.select('circle.point.purdue')
-      .attr('filter', 'url(#scatter-purdue-glow)');
+    // Apply featured glow
+    this.pointsGroup.select('circle.point.featured')
+      .attr('filter', 'url(#scatter-featured-glow)');
+
+    this.styleSelection();
+  }
+
+  /**
+   * Plotted x value of a school
+   */
+  getX(school) {
+    return SCATTER_FIELDS[this.config.x].value(school);
+  }
+
+  /**
+   * Plotted y value of a school
+   */
+  getY(school) {
+    return SCATTER_FIELDS[this.config.y].value(school);
+  }
+
+  /**
+   * Whether a school has values on both axes (unknown years are left out)
+   */
+  isPlotted(school) {
+    const x = this.getX(school);
+    const y = this.getY(school);
+    return x !== null && x !== undefined && y !== null && y !== undefined;
   }
 
   /**
-   * Draw Purdue label
+   * Box brush or lasso surface for the current tool
    */
-  drawPurdueLabel() {
-    const purdue = this.schools.find(s => isPurdue(s));
-    if (!purdue) return;
+  drawSelectionLayer() {
+    if (!this.selectionLayer) return;
+    this.selectionLayer.selectAll('*').remove();
+
+    const [x0, x1] = this.xScale.range();
+    const [y1, y0] = this.yScale.range();
+
+    if (this.config.tool === 'box') {
+      const brush = d3.brush()
+        .extent([[x0, y0], [x1, y1]])
+        .on('end', (event) => {
+          if (!event.selection) return;
+          const [[left, top], [right, bottom]] = event.selection;
+          this.publishSelection(
+            p => p[0] >= left && p[0] <= right && p[1] >= top && p[1] <= bottom,
+            event.sourceEvent?.shiftKey
+          );
+          this.selectionLayer.select('.brush').call(brush.move, null);
+        });
+
+      this.selectionLayer.append('g')
+        .attr('class', 'brush')
+        .call(brush);
+    } else if (this.config.tool === 'lasso') {
+      const path = this.selectionLayer.append('path')
+        .attr('class', 'lasso-path')
+        .attr('fill', 'rgba(255, 255, 255, 0.08)')
+        .attr('stroke', SELECTION_COLOR)
+        .attr('stroke-dasharray', '4,3');
+
+      let polygon = [];
+      this.selectionLayer.append('rect')
+        .attr('class', 'lasso-surface')
+        .attr('x', x0)
+        .attr('y', y0)
+        .attr('width', x1 - x0)
+        .attr('height', y1 - y0)
+        .attr('fill', 'transparent')
+        .style('cursor', 'crosshair')
+        .call(d3.drag()
+          .on('start', (event) => {
+            polygon = [[event.x, event.y]];
+          })
+          .on('drag', (event) => {
+            polygon.push([event.x, event.y]);
+            path.attr('d', `M${polygon.join('L')}Z`);
+          })
+          .on('end', (event) => {
+            if (polygon.length > 2) {
+              this.publishSelection(p => d3.polygonContains(polygon, p), event.sourceEvent?.shiftKey);
+            }
+            polygon = [];
+            path.attr('d', null);
+          }));
+    }
+  }
 
-    const x = this.xScale(purdue.bpm);
-    const y = this.yScale(purdue.sec_duration);
+  /**
+   * Make the plotted, filtered schools whose points pass a test the selection set
+   * @param {Function} contains - [px, py] in plot coordinates -> boolean
+   * @param {boolean} [extend] - Add to the current selection (shift held) instead of replacing it
+   */
+  publishSelection(contains, extend = false) {
+    const enclosed = getFilteredSchools().filter(d =>
+      this.isPlotted(d) && contains([this.xScale(this.getX(d)), this.yScale(this.getY(d))])
+    );
+
+    const current = extend ? getState('selectionSet') : [];
+    const names = new Set(current.map(s => s.school));
+    setSelection([...current, ...enclosed.filter(s => !names.has(s.school))]);
+  }
+
+  /**
+   * Select every school on one side of both quadrant dividers
+   * Schools exactly on a divider count as high.
+   * @param {boolean} highX - Right-hand quadrants
+   * @param {boolean} highY - Upper quadrants
+   * @param {boolean} [extend] - Add to the current selection
+   */
+  selectQuadrant(highX, highY, extend = false) {
+    const [splitX, splitY] = this.getSplit();
+    const px = this.xScale(splitX);
+    const py = this.yScale(splitY);
+    this.publishSelection(([x, y]) => (x >= px) === highX && (y <= py) === highY, extend);
+  }
+
+  /**
+   * Chip with the size and conference mix of the selection set; clicking clears it
+   */
+  renderSelectionSummary(selection) {
+    if (!this.selectionSummary) return;
+
+    const summary = d3.select(this.selectionSummary);
+    summary.attr('hidden', selection.length ? null : '');
+
+    const breakdown = d3.rollups(selection, v => v.length, d => d.conference)
+      .sort((a, b) => d3.descending(a[1], b[1]) || d3.ascending(a[0], b[0]))
+      .map(([conference, count]) => `${conference} ${count}`)
+      .join(', ');
+
+    summary.selectAll('button.brush-chip')
+      .data(selection.length ? [selection] : [])
+      .join('button')
+      .attr('type', 'button')
+      .attr('class', 'control-button brush-chip')
+      .attr('aria-label', 'Clear selection')
+      .text(d => `${d.length} selected · ${breakdown} ×`)
+      .on('click', () => clearSelection());
+  }
+
+  /**
+   * Fit lines, LOESS and per-conference trends over the filtered schools,
+   * and the correlation coefficient in the panel
+   */
+  drawOverlays() {
+    const schools = getFilteredSchools().filter(d => this.isPlotted(d));
+    const points = schools.map(d => [this.getX(d), this.getY(d)]);
+    const r = pearson(points);
+
+    if (this.stats) {
+      this.stats.textContent = r === null
+        ? `Too few schools for a correlation (n = ${points.length})`
+        : `r = ${r.toFixed(2)} across ${points.length} schools`;
+    }
+
+    this.overlayGroup.selectAll('*').remove();
+
+    const line = d3.line()
+      .x(p => this.xScale(p[0]))
+      .y(p => this.yScale(p[1]));
+
+    if (this.overlays.has('ols')) {
+      const fit = linearRegression(points);
+      if (fit) {
+        const [x0, x1] = fit.extent;
+        const xs = d3.range(31).map(i => x0 + (x1 - x0) * i / 30);
+
+        this.overlayGroup.append('path')
+          .attr('class', 'fit-band')
+          .attr('d', d3.area()
+            .x(x => this.xScale(x))
+            .y0(x => this.yScale(fit.band(x)[0]))
+            .y1(x => this.yScale(fit.band(x)[1]))(xs))
+          .attr('fill', 'rgba(255, 255, 255, 0.12)');
+
+        this.overlayGroup.append('path')
+          .attr('class', 'fit-line')
+          .attr('d', line([[x0, fit.predict(x0)], [x1, fit.predict(x1)]]))
+          .attr('fill', 'none')
+          .attr('stroke', '#ffffff')
+          .attr('stroke-width', 1.5)
+          .append('title')
+          .text(`Least squares: ${fit.slope.toFixed(2)} per unit, 95% confidence band`);
+      }
+    }
+
+    if (this.overlays.has('loess')) {
+      const curve = loess(points);
+      if (curve.length) {
+        this.overlayGroup.append('path')
+          .attr('class', 'loess-line')
+          .attr('d', d3.line()
+            .x(p => this.xScale(p[0]))
+            .y(p => this.yScale(p[1]))
+            .curve(d3.curveMonotoneX)(curve))
+          .attr('fill', 'none')
+          .attr('stroke', '#ffffff')
+          .attr('stroke-width', 1.5)
+          .attr('stroke-dasharray', '5,3');
+      }
+    }
+
+    if (this.overlays.has('conferences')) {
+      d3.groups(schools, d => d.conference).forEach(([conference, members]) => {
+        const fit = linearRegression(members.map(d => [this.getX(d), this.getY(d)]));
+        if (!fit) return;
+
+        const [x0, x1] = fit.extent;
+        this.overlayGroup.append('path')
+          .attr('class', 'conference-trend')
+          .attr('d', line([[x0, fit.predict(x0)], [x1, fit.predict(x1)]]))
+          .attr('fill', 'none')
+          .attr('stroke', getConferenceColor(conference))
+          .attr('stroke-width', 1.5)
+          .attr('opacity', 0.9)
+          .append('title')
+          .text(`${conference} trend (${members.length} schools)`);
+      });
+    }
+  }
+
+  /**
+   * Outline points in the selection set
+   */
+  styleSelection() {
+    const featuredColors = getFeaturedColors();
+
+    this.pointsGroup.selectAll('circle.point')
+      .classed('in-selection', d => isInSelection(d))
+      .attr('stroke', d => {
+        if (isInSelection(d)) return SELECTION_COLOR;
+        return isFeatured(d) ? featuredColors.light : 'rgba(255,255,255,0.2)';
+      })
+      .attr('stroke-width', d => {
+        if (isInSelection(d)) return 2.5;
+        return isFeatured(d) ? 2 : 1;
+      });
+  }
+
+
+  /**
+   * Draw featured school label
+   */
+  drawFeaturedLabel() {
+    this.g.selectAll('.featured-label').remove();
+    this.featuredLabelBox = null;
+
+    const featured = this.schools.find(s => isFeatured(s));
+    if (!featured || !this.isPlotted(featured)) return;
+
+    const featuredColors = getFeaturedColors();
+    const peers = this.schools.filter(s => s.conference === featured.conference);
+    const tempoRank = describeRank(featured, peers, 'bpm', featured.conference);
+    const x = this.xScale(this.getX(featured));
+    const y = this.yScale(this.getY(featured));
+    if (!this.isInView(x, y)) return;
+
+    // Kept clear by the other labels
+    this.featuredLabelBox = {
+      x0: x + 45,
+      y0: y - 45,
+      x1: x + 45 + Math.max(featured.song_name.length * 6, 160),
+      y1: y - 18
+    };
 
     // Label with line
     const labelGroup = this.g.append('g')
-      .attr('class', 'purdue-label');
+      .attr('class', 'featured-label');
 
     // Connector line
     labelGroup.append('line')
-      .attr('x1', x + this.config.purdueRadius)
+      .attr('x1', x + this.config.featuredRadius)
       .attr('y1', y)
       .attr('x2', x + 40)
       .attr('y2', y - 30)
-      .attr('stroke', PURDUE_COLORS.gold)
+      .attr('stroke', featuredColors.primary)
       .attr('stroke-width', 1)
       .attr('stroke-dasharray', '3,2')
       .attr('opacity', 0.6);
@@ -291,27 +970,133 @@ class ScatterPlot {
     labelGroup.append('text')
       .attr('x', x + 45)
       .attr('y', y - 35)
-      .attr('fill', PURDUE_COLORS.gold)
+      .attr('fill', featuredColors.primary)
       .attr('font-size', '11px')
       .attr('font-weight', '600')
-      .text('Hail Purdue');
+      .text(featured.song_name);
 
     labelGroup.append('text')
       .attr('x', x + 45)
       .attr('y', y - 22)
       .attr('fill', '#ffffff')
       .attr('font-size', '9px')
-      .text('#2 Fastest in Big Ten');
+      .text(`${featured.school} \u00b7 ${tempoRank}`);
+  }
+
+  /**
+   * Whether a plot position is inside the visible area
+   */
+  isInView(x, y) {
+    const [x0, x1] = this.xScale.range();
+    const [y1, y0] = this.yScale.range();
+    return x >= x0 && x <= x1 && y >= y0 && y <= y1;
+  }
+
+  /**
+   * Label schools where there is room, selected and compared schools first
+   * Those are always labelled, in whichever spot overlaps the fewest labels
+   * (moving further out on a leader line if needed); any other school is
+   * labelled only where its name covers no label and no point, so names
+   * appear as zooming spreads the points apart.
+   */
+  drawLabels() {
+    if (!this.labelsGroup) return;
+    this.labelsGroup.selectAll('*').remove();
+
+    const { labelFontSize: fontSize, labelPadding: pad } = this.config;
+    const [x0, x1] = this.xScale.range();
+    const [y1, y0] = this.yScale.range();
+    const bounds = { x0, y0, x1, y1 };
+
+    const points = this.schools
+      .filter(d => this.isPlotted(d) && !isFeatured(d))
+      .map(d => ({ school: d, x: this.xScale(this.getX(d)), y: this.yScale(this.getY(d)), r: this.getRadius(d) }))
+      .filter(p => this.isInView(p.x, p.y));
+
+    const pointBoxes = points
+      .filter(p => isSchoolVisible(p.school))
+      .map(p => ({ school: p.school, x0: p.x - p.r, y0: p.y - p.r, x1: p.x + p.r, y1: p.y + p.r }));
+
+    const placed = this.featuredLabelBox ? [this.featuredLabelBox] : [];
+
+    // Spots right, left, above, below and diagonal, at a growing distance
+    const candidates = (p, ring) => {
+      const width = p.school.school.length * fontSize * 0.55;
+      const gap = p.r + 3 + ring * 14;
+      return [
+        [gap, -fontSize / 2], [-gap - width, -fontSize / 2],
+        [-width / 2, -gap - fontSize], [-width / 2, gap],
+        [gap, -gap - fontSize], [gap, gap],
+        [-gap - width, -gap - fontSize], [-gap - width, gap]
+      ].map(([dx, dy]) => ({
+        x0: p.x + dx - pad,
+        y0: p.y + dy - pad,
+        x1: p.x + dx + width + pad,
+        y1: p.y + dy + fontSize + pad,
+        ring
+      }));
+    };
+
+    const outside = box => (box.x1 - box.x0) * (box.y1 - box.y0) - overlapArea(box, bounds);
+    const labelCost = box => outside(box) + d3.sum(placed, other => overlapArea(box, other));
+
+    const isPriority = d => isInSelection(d) || isInComparison(d);
+    const labels = [];
+
+    points.filter(p => isPriority(p.school)).forEach(p => {
+      const spots = [0, 1, 2].flatMap(ring => candidates(p, ring));
+      const box = spots.find(spot => labelCost(spot) === 0) || d3.least(spots, labelCost);
+      placed.push(box);
+      labels.push({ ...p, box, priority: true });
+    });
+
+    // Bigger points claim their spots first
+    points
+      .filter(p => !isPriority(p.school) && isSchoolVisible(p.school))
+      .sort((a, b) => b.r - a.r)
+      .forEach(p => {
+        const box = candidates(p, 0).find(spot =>
+          labelCost(spot) === 0 &&
+          !pointBoxes.some(other => other.school !== p.school && overlapArea(spot, other) > 0)
+        );
+        if (!box) return;
+        placed.push(box);
+        labels.push({ ...p, box, priority: false });
+      });
+
+    const groups = this.labelsGroup.selectAll('g.school-label')
+      .data(labels, d => d.school.school)
+      .join('g')
+      .attr('class', d => `school-label ${d.priority ? 'is-priority' : ''}`);
+
+    groups.filter(d => d.box.ring > 0)
+      .append('line')
+      .attr('x1', d => d.x)
+      .attr('y1', d => d.y)
+      .attr('x2', d => Math.max(d.box.x0, Math.min(d.box.x1, d.x)))
+      .attr('y2', d => Math.max(d.box.y0, Math.min(d.box.y1, d.y)))
+      .attr('stroke', 'rgba(255, 255, 255, 0.5)')
+      .attr('stroke-width', 0.75);
+
+    groups.append('text')
+      .attr('x', d => d.box.x0 + pad)
+      .attr('y', d => d.box.y0 + pad + fontSize * 0.8)
+      .attr('fill', d => d.priority ? SELECTION_COLOR : 'rgba(255, 255, 255, 0.75)')
+      .attr('font-size', `${fontSize}px`)
+      .attr('font-weight', d => d.priority ? '600' : null)
+      .text(d => d.school.school);
   }
 
   /**
    * Get radius for a point
    */
   getRadius(school) {
-    if (isPurdue(school)) {
-      return this.config.purdueRadius;
+    if (isFeatured(school)) {
+      return this.config.featuredRadius;
     }
-    return this.config.baseRadius + school.trope_count * this.config.radiusMultiplier;
+    const value = this.sizeScale ? SCATTER_FIELDS[this.config.size].value(school) : null;
+    if (value === null || value === undefined) return this.config.baseRadius;
+    return this.sizeScale(value);
   }
 
   /**
@@ -354,6 +1139,13 @@ class ScatterPlot {
    */
   handleClick(event, school) {
     event.stopPropagation();
+
+    // Shift-click builds up the selection set
+    if (event.shiftKey) {
+      toggleSelection(school);
+      return;
+    }
+
     selectSchool(school);
   }
 
@@ -379,16 +1171,11 @@ class ScatterPlot {
    * Remove highlight
    */
   unhighlightPoint(school) {
-    const conference = getState('activeConference') || 'all';
-
     // Restore opacity based on filter
     this.pointsGroup.selectAll('circle.point')
       .transition()
       .duration(150)
-      .attr('opacity', d => {
-        if (conference === 'all' || d.conference === conference) return 0.85;
-        return 0.15;
-      })
+      .attr('opacity', d => isSchoolVisible(d) ? 0.85 : 0.15)
       .attr('r', d => this.getRadius(d));
   }
 
@@ -396,10 +1183,8 @@ class ScatterPlot {
    * Setup state listeners
    */
   setupStateListeners() {
-    // Listen for conference filter
-    subscribe('activeConference', (conference) => {
-      this.filterByConference(conference);
-    });
+    // Listen for filter changes
+    subscribe('filteredSchools', () => this.filterSchools());
 
     // Listen for external hover
     subscribe('hoveredSchool', (school) => {
@@ -409,21 +1194,35 @@ class ScatterPlot {
         this.externalUnhighlight();
       }
     });
+
+    // Re-render around a new featured school
+    subscribe('featuredSchool', () => {
+      this.render();
+      this.filterSchools();
+    });
+
+    // Listen for selection set changes
+    subscribe('selectionSet', (selection) => {
+      this.styleSelection();
+      this.renderSelectionSummary(selection);
+      this.drawLabels();
+    });
+
+    // Compared schools are always labelled
+    subscribe('comparison', () => this.drawLabels());
   }
 
   /**
-   * Filter by conference
+   * Dim points outside the filtered set
    */
-  filterByConference(conference) {
-    const isAll = conference === 'all';
-
+  filterSchools() {
     this.pointsGroup.selectAll('circle.point')
       .transition()
       .duration(this.config.transitionDuration)
-      .attr('opacity', d => {
-        if (isAll || d.conference === conference) return 0.85;
-        return 0.15;
-      });
+      .attr('opacity', d => isSchoolVisible(d) ? 0.85 : 0.15);
+
+    this.drawOverlays();
+    this.drawLabels();
   }
 
   /**
@@ -446,8 +1245,7 @@ class ScatterPlot {
    * Remove external highlight
    */
   externalUnhighlight() {
-    const conference = getState('activeConference') || 'all';
-    this.filterByConference(conference);
+    this.filterSchools();
 
     this.pointsGroup.selectAll('circle.point')
       .transition()
@@ -461,8 +1259,7 @@ class ScatterPlot {
   setupResize() {
     const resizeObserver = new ResizeObserver(() => {
       // Re-render on resize
-      this.container.innerHTML = '';
-      this.init();
+      this.render();
     });
 
     resizeObserver.observe(this.container);
@@ -471,10 +1268,8 @@ class ScatterPlot {
   /**
    * Update visualization
    */
-  update(state) {
-    if (state.activeConference) {
-      this.filterByConference(state.activeConference);
-    }
+  update() {
+    this.filterSchools();
   }
 }
 
@@ -0,0 +1,114 @@
+/**
+ * Seriation
+ * =========
+ * Average-linkage hierarchical clustering and the leaf orders used to
+ * reorder the trope matrix so similar songs and tropes sit together
+ */
+
+/**
+ * Agglomerative clustering with average linkage (UPGMA)
+ * Each merge is oriented so the two leaves that end up adjacent are as
+ * close as possible, which keeps neighbouring columns similar.
+ * @param {Array} items - Things to cluster
+ * @param {Function} distance - (a, b) -> number
+ * @returns {Object|null} Root node; leaves are { height: 0, item, index },
+ *   merges are { height, children: [left, right] }. null for no items.
+ */
+export function hierarchicalCluster(items, distance) {
+  if (!items.length) return null;
+
+  const leafDistance = items.map(a => items.map(b => distance(a, b)));
+
+  let clusters = items.map((item, index) => ({
+    node: { height: 0, item, index },
+    leaves: [index],
+    distances: null
+  }));
+  clusters.forEach((cluster, i) => {
+    cluster.distances = new Map(clusters.map((other, j) => [other, leafDistance[i][j]]));
+  });
+
+  while (clusters.length > 1) {
+    // Closest pair; first found wins ties so the result is stable
+    let best = null;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const d = clusters[i].distances.get(clusters[j]);
+        if (!best || d < best.distance) best = { a: clusters[i], b: clusters[j], distance: d };
+      }
+    }
+
+    const { a, b, distance: height } = best;
+    const [left, right] = orient(a, b, leafDistance);
+    const merged = {
+      node: { height, children: [left.node, right.node] },
+      leaves: [...left.leaves, ...right.leaves],
+      distances: new Map()
+    };
+
+    clusters = clusters.filter(c => c !== a && c !== b);
+    clusters.forEach(other => {
+      // Lance–Williams update for average linkage
+      const d = (a.leaves.length * a.distances.get(other) + b.leaves.length * b.distances.get(other)) /
+        (a.leaves.length + b.leaves.length);
+      merged.distances.set(other, d);
+      other.distances.set(merged, d);
+    });
+    clusters.push(merged);
+  }
+
+  return clusters[0].node;
+}
+
+/**
+ * Order and flip two clusters so their adjoining leaves are the closest pair
+ * of ends; returns copies when a cluster has to be reversed
+ */
+function orient(a, b, leafDistance) {
+  const options = [
+    [a, b],
+    [a, reverse(b)],
+    [reverse(a), b],
+    [reverse(a), reverse(b)]
+  ];
+
+  return options.reduce((best, option) => {
+    const gap = leafDistance[option[0].leaves.at(-1)][option[1].leaves[0]];
+    return gap < best.gap ? { option, gap } : best;
+  }, { option: options[0], gap: Infinity }).option;
+}
+
+/**
+ * A cluster with its leaf order reversed (the tree is mirrored, not mutated)
+ */
+function reverse(cluster) {
+  const mirror = node => (node.children
+    ? { ...node, children: [mirror(node.children[1]), mirror(node.children[0])] }
+    : node);
+
+  return { ...cluster, node: mirror(cluster.node), leaves: [...cluster.leaves].reverse() };
+}
+
+/**
+ * Leaves of a cluster tree, left to right
+ * @param {Object} root - Node from hierarchicalCluster()
+ * @returns {Array} The clustered items
+ */
+export function leafOrder(root) {
+  if (!root) return [];
+  return root.children ? root.children.flatMap(leafOrder) : [root.item];
+}
+
+/**
+ * Distance between two tropes by co-occurrence: 1 − Jaccard overlap of the
+ * sets of songs using each
+ * @param {Object[]} schools - Schools
+ * @returns {Function} (tropeA, tropeB) -> number in [0, 1]
+ */
+export function cooccurrenceDistance(schools) {
+  return (a, b) => {
+    const union = schools.filter(s => s[a] || s[b]).length;
+    const shared = schools.filter(s => s[a] && s[b]).length;
+    return union ? 1 - shared / union : 1;
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Similarity Panel Module
+ * =======================
+ * Metric, feature weight and link mode controls for the similarity network
+ */
+
+import { subscribe, getState, setSimilarityModel, setNetworkLinkMode } from './state.js';
+import { SIMILARITY_FEATURES, SIMILARITY_METRICS } from './similarity.js';
+
+class SimilarityPanel {
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.threshold = options.thresholdId ? document.getElementById(options.thresholdId) : null;
+
+    if (!this.container) return;
+
+    this.init();
+    this.setupStateListeners();
+  }
+
+  /**
+   * Build the controls
+   */
+  init() {
+    this.container.innerHTML = `
+      <div class="similarity-row">
+        <label class="control-label" for="similarity-metric">Metric</label>
+        <select id="similarity-metric" class="control-select" data-similarity="metric">
+          ${Object.entries(SIMILARITY_METRICS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+        </select>
+      </div>
+      ${SIMILARITY_FEATURES.map(feature => `
+        <div class="similarity-row">
+          <label class="control-label" for="similarity-weight-${feature.key}">${feature.label}</label>
+          <input type="range" id="similarity-weight-${feature.key}" class="control-range" min="0" max="1" step="0.05" data-weight="${feature.key}">
+          <output class="control-value" for="similarity-weight-${feature.key}"></output>
+        </div>
+      `).join('')}
+      <div class="similarity-row">
+        <label class="control-label" for="network-link-mode">Links</label>
+        <select id="network-link-mode" class="control-select" data-similarity="mode">
+          <option value="threshold">Above threshold</option>
+          <option value="knn">Nearest neighbours</option>
+        </select>
+      </div>
+      <div class="similarity-row">
+        <label class="control-label" for="network-k">Neighbours</label>
+        <input type="range" id="network-k" class="control-range" min="1" max="10" step="1" data-similarity="k">
+        <output class="control-value" for="network-k"></output>
+      </div>
+    `;
+
+    this.container.querySelector('[data-similarity="metric"]').addEventListener('change', (e) => {
+      setSimilarityModel({ ...getState('similarityModel'), metric: e.target.value });
+    });
+
+    // Weights and k apply while dragging so the graph rebuilds live
+    this.container.querySelectorAll('[data-weight]').forEach(input => {
+      input.addEventListener('input', (e) => {
+        const model = getState('similarityModel');
+        setSimilarityModel({
+          ...model,
+          weights: { ...model.weights, [input.dataset.weight]: Number(e.target.value) }
+        });
+      });
+    });
+
+    this.container.querySelector('[data-similarity="mode"]').addEventListener('change', (e) => {
+      setNetworkLinkMode({ ...getState('networkLinkMode'), mode: e.target.value });
+    });
+    this.container.querySelector('[data-similarity="k"]').addEventListener('input', (e) => {
+      setNetworkLinkMode({ ...getState('networkLinkMode'), k: Number(e.target.value) });
+    });
+
+    this.showModel(getState('similarityModel'));
+    this.showLinkMode(getState('networkLinkMode'));
+  }
+
+  /**
+   * Reflect the similarity model in the controls
+   * Jaccard compares trope flags only, so the weights do not apply to it.
+   */
+  showModel(model) {
+    this.container.querySelector('[data-similarity="metric"]').value = model.metric;
+
+    this.container.querySelectorAll('[data-weight]').forEach(input => {
+      const weight = model.weights[input.dataset.weight] || 0;
+      input.value = weight;
+      input.disabled = model.metric === 'jaccard';
+      input.nextElementSibling.textContent = weight.toFixed(2);
+    });
+  }
+
+  /**
+   * Reflect the link mode in the controls (and the threshold slider)
+   */
+  showLinkMode(linkMode) {
+    const k = this.container.querySelector('[data-similarity="k"]');
+
+    this.container.querySelector('[data-similarity="mode"]').value = linkMode.mode;
+    k.value = linkMode.k;
+    k.disabled = linkMode.mode !== 'knn';
+    k.nextElementSibling.textContent = linkMode.k;
+
+    if (this.threshold) {
+      this.threshold.disabled = linkMode.mode === 'knn';
+    }
+  }
+
+  /**
+   * Setup state listeners
+   */
+  setupStateListeners() {
+    subscribe('similarityModel', (model) => this.showModel(model));
+    subscribe('networkLinkMode', (linkMode) => this.showLinkMode(linkMode));
+  }
+}
+
+export default SimilarityPanel;
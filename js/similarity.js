@@ -0,0 +1,289 @@
+/**
+ * Similarity Model
+ * ================
+ * Pairwise song similarity under a choice of metric and feature weights,
+ * and the link sets built from it (threshold cutoff or k nearest neighbours)
+ *
+ * Every metric returns a score in [0, 1] except "weighted", whose
+ * same-conference bonus can lift a pair above 1 (as the original network did).
+ */
+
+import { TROPE_LABELS } from './utils.js';
+
+/**
+ * Features the weighted, cosine and Euclidean metrics compare
+ * `span` is the difference at which the weighted metric scores a feature 0.
+ */
+export const SIMILARITY_FEATURES = [
+  { key: 'bpm', label: 'Tempo', span: 100 },
+  { key: 'sec_duration', label: 'Duration', span: 60 },
+  { key: 'trope_count', label: 'Trope count', span: 10 },
+  { key: 'conference', label: 'Conference', categorical: true }
+];
+
+/**
+ * Available metrics
+ */
+export const SIMILARITY_METRICS = {
+  weighted: 'Weighted match',
+  jaccard: 'Jaccard (trope flags)',
+  cosine: 'Cosine (normalized)',
+  euclidean: 'Euclidean (normalized)'
+};
+
+/**
+ * The network's original model
+ */
+export const DEFAULT_SIMILARITY = Object.freeze({
+  metric: 'weighted',
+  weights: Object.freeze({ bpm: 0.3, sec_duration: 0.2, trope_count: 0.2, conference: 0.3 })
+});
+
+/**
+ * Default link construction
+ */
+export const DEFAULT_LINK_MODE = Object.freeze({ mode: 'threshold', k: 3 });
+
+const TROPE_KEYS = Object.keys(TROPE_LABELS);
+
+// Plain reductions rather than d3's, so scripts/check-data.mjs can load this
+// module under Node
+
+function sum(values) {
+  return values.reduce((total, v) => total + v, 0);
+}
+
+function mean(values) {
+  return sum(values) / values.length;
+}
+
+function deviation(values) {
+  const m = mean(values);
+  return Math.sqrt(sum(values.map(v => (v - m) ** 2)) / (values.length - 1));
+}
+
+/**
+ * Similarity of two schools on one feature, in [0, 1]
+ * @param {Object} a - School data object
+ * @param {Object} b - School data object
+ * @param {Object} feature - Entry of SIMILARITY_FEATURES
+ * @returns {number}
+ */
+export function featureSimilarity(a, b, feature) {
+  if (feature.categorical) {
+    return a[feature.key] === b[feature.key] ? 1 : 0;
+  }
+  return 1 - Math.min(Math.abs(a[feature.key] - b[feature.key]) / feature.span, 1);
+}
+
+/**
+ * Jaccard similarity of two schools' trope flags
+ * Two songs with no tropes at all count as identical.
+ * @returns {number}
+ */
+export function jaccardSimilarity(a, b) {
+  const union = TROPE_KEYS.filter(key => a[key] || b[key]).length;
+  const shared = TROPE_KEYS.filter(key => a[key] && b[key]).length;
+  return union ? shared / union : 1;
+}
+
+/**
+ * Z-scored feature vectors, conference expanded to one-hot columns
+ * The conference weight is shared out across its columns, so at the same
+ * setting it counts as much as one numeric feature rather than six.
+ * @returns {{vectors: Map<string, number[]>, columnWeights: number[]}}
+ */
+function buildVectors(schools, weights) {
+  const conferences = [...new Set(schools.map(s => s.conference))].sort();
+  const columns = [];
+
+  SIMILARITY_FEATURES.forEach(feature => {
+    if (feature.categorical) {
+      conferences.forEach(conf => columns.push({
+        weight: (weights[feature.key] || 0) / conferences.length,
+        value: s => (s[feature.key] === conf ? 1 : 0)
+      }));
+    } else {
+      columns.push({ weight: weights[feature.key] || 0, value: s => s[feature.key] });
+    }
+  });
+
+  const stats = columns.map(column => ({
+    mean: mean(schools.map(column.value)),
+    deviation: deviation(schools.map(column.value)) || 1
+  }));
+
+  const vectors = new Map(schools.map(school => [
+    school.school,
+    columns.map((column, i) => (column.value(school) - stats[i].mean) / stats[i].deviation)
+  ]));
+
+  return { vectors, columnWeights: columns.map(column => column.weight) };
+}
+
+/**
+ * Build a similarity function for a model
+ * Normalization statistics come from `schools`, so build once per dataset.
+ * @param {Object[]} schools - Array of school objects
+ * @param {Object} model - { metric, weights } (see DEFAULT_SIMILARITY)
+ * @returns {Function} (a, b) => similarity
+ */
+export function createSimilarity(schools, model = DEFAULT_SIMILARITY) {
+  const weights = model.weights;
+
+  if (model.metric === 'jaccard') {
+    return jaccardSimilarity;
+  }
+
+  if (model.metric === 'weighted') {
+    // Conference is a bonus on top of the musical features
+    const musical = SIMILARITY_FEATURES.filter(f => !f.categorical);
+    const total = sum(musical.map(f => weights[f.key] || 0)) || 1;
+
+    return (a, b) => sum(SIMILARITY_FEATURES.map(f => (weights[f.key] || 0) * featureSimilarity(a, b, f))) / total;
+  }
+
+  const { vectors, columnWeights } = buildVectors(schools, weights);
+  const totalWeight = sum(columnWeights) || 1;
+
+  if (model.metric === 'cosine') {
+    return (a, b) => {
+      const u = vectors.get(a.school);
+      const v = vectors.get(b.school);
+      let dot = 0, uu = 0, vv = 0;
+      columnWeights.forEach((w, i) => {
+        dot += w * u[i] * v[i];
+        uu += w * u[i] * u[i];
+        vv += w * v[i] * v[i];
+      });
+      const cosine = uu && vv ? dot / Math.sqrt(uu * vv) : 0;
+      // Rescale from [-1, 1] so every metric shares the threshold slider
+      return (cosine + 1) / 2;
+    };
+  }
+
+  // Euclidean: weighted RMS distance between z-scores, mapped to (0, 1]
+  return (a, b) => {
+    const u = vectors.get(a.school);
+    const v = vectors.get(b.school);
+    const distance = Math.sqrt(sum(columnWeights.map((w, i) => w * (u[i] - v[i]) ** 2)) / totalWeight);
+    return 1 / (1 + distance);
+  };
+}
+
+/**
+ * Score every pair of schools
+ * @returns {Object[]} Pairs ({source, target, similarity}) with school names
+ */
+function scorePairs(schools, similarity) {
+  const pairs = [];
+  for (let i = 0; i < schools.length; i++) {
+    for (let j = i + 1; j < schools.length; j++) {
+      pairs.push({
+        source: schools[i].school,
+        target: schools[j].school,
+        similarity: similarity(schools[i], schools[j])
+      });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Links for the network
+ * "threshold" keeps pairs above the threshold; "knn" links every school to
+ * its k most similar schools (a pair linked both ways is kept once).
+ * @param {Object[]} schools - Array of school objects
+ * @param {Function} similarity - From createSimilarity()
+ * @param {Object} options - { mode, threshold, k }
+ * @returns {Object[]} Links ({source, target, similarity})
+ */
+export function buildLinks(schools, similarity, { mode = 'threshold', threshold = 0.7, k = 3 } = {}) {
+  const pairs = scorePairs(schools, similarity);
+
+  if (mode !== 'knn') {
+    return pairs.filter(pair => pair.similarity > threshold);
+  }
+
+  const byKey = new Map();
+  schools.forEach(school => {
+    pairs
+      .filter(pair => pair.source === school.school || pair.target === school.school)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k)
+      .forEach(pair => byKey.set(`${pair.source}|${pair.target}`, pair));
+  });
+
+  return [...byKey.values()];
+}
+
+/**
+ * Most similar schools to one school
+ * @param {Object} school - School to match
+ * @param {Object[]} schools - Candidates (the school itself is skipped)
+ * @param {Function} similarity - From createSimilarity()
+ * @param {number} [n] - How many to return
+ * @returns {{school: Object, similarity: number}[]} Most similar first
+ */
+export function nearestNeighbors(school, schools, similarity, n = 5) {
+  return schools
+    .filter(other => other.school !== school.school)
+    .map(other => ({ school: other, similarity: similarity(school, other) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, n);
+}
+
+/**
+ * Check that cosine and Euclidean with equal weights don't collapse to
+ * conference membership: across every school's five closest matches, at
+ * most 90% may share its conference
+ * @param {Object[]} schools - Array of school objects
+ * @returns {string[]} One message per metric that does collapse
+ */
+export function findConferenceDominance(schools) {
+  const weights = Object.fromEntries(SIMILARITY_FEATURES.map(f => [f.key, 1]));
+  const k = 5;
+  const maxShare = 0.9;
+
+  return ['cosine', 'euclidean'].flatMap(metric => {
+    const similarity = createSimilarity(schools, { metric, weights });
+    const neighbors = schools.flatMap(school => nearestNeighbors(school, schools, similarity, k)
+      .map(match => match.school.conference === school.conference));
+    const share = neighbors.length ? neighbors.filter(Boolean).length / neighbors.length : 0;
+
+    return share > maxShare
+      ? [`${SIMILARITY_METRICS[metric]}: ${Math.round(share * 100)}% of closest matches share a conference`]
+      : [];
+  });
+}
+
+/**
+ * Encode a model for a URL, e.g. "cosine;bpm:0.3;sec_duration:0.2;..."
+ * @param {Object} model - { metric, weights }
+ * @returns {string}
+ */
+export function serializeSimilarity(model) {
+  return [
+    model.metric,
+    ...SIMILARITY_FEATURES.map(f => `${f.key}:${Number((model.weights[f.key] || 0).toFixed(2))}`)
+  ].join(';');
+}
+
+/**
+ * Decode serializeSimilarity()
+ * @param {string} text - Encoded model
+ * @returns {Object|undefined} Model, or undefined if malformed
+ */
+export function parseSimilarity(text) {
+  const [metric, ...parts] = text.split(';');
+  if (!SIMILARITY_METRICS[metric]) return undefined;
+
+  const weights = { ...DEFAULT_SIMILARITY.weights };
+  for (const part of parts) {
+    const match = part.match(/^(\w+):([\d.]+)$/);
+    if (!match || !SIMILARITY_FEATURES.some(f => f.key === match[1])) return undefined;
+    weights[match[1]] = Number(match[2]);
+  }
+
+  return { metric, weights };
+}
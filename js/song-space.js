@@ -0,0 +1,436 @@
+/**
+ * Song Space Module
+ * =================
+ * Every school's full feature vector projected to 2D (PCA, classical MDS or
+ * t-SNE), with PCA loadings drawn as arrows
+ */
+
+import { getConferenceColor, SELECTION_COLOR } from './utils.js';
+import { subscribe, hoverSchool, selectSchool, toggleSelection, isInSelection, isSchoolVisible, isFeatured, getFeaturedColors } from './state.js';
+import { project, PROJECTION_METHODS } from './projection.js';
+import tooltip from './tooltip.js';
+
+class SongSpace {
+  constructor(containerId, schools, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.methodSelect = options.methodId ? document.getElementById(options.methodId) : null;
+    this.schools = schools;
+    this.svg = null;
+    this.hoveredSchool = null;
+    this.method = 'pca';
+
+    // Projections are fixed for the dataset, so each is computed once
+    this.projections = new Map();
+
+    // Configuration
+    this.config = {
+      margin: { top: 20, right: 30, bottom: 45, left: 50 },
+      radius: 5,
+      featuredRadius: 9,
+      transitionDuration: 600,
+      arrowColor: 'rgba(255, 255, 255, 0.7)'
+    };
+
+    if (!this.container) return;
+
+    this.setupControls();
+    this.init();
+    this.setupResize();
+    this.setupStateListeners();
+  }
+
+  /**
+   * Wire the method picker
+   */
+  setupControls() {
+    if (!this.methodSelect) return;
+
+    this.methodSelect.innerHTML = Object.entries(PROJECTION_METHODS)
+      .map(([key, label]) => `<option value="${key}">${label}</option>`)
+      .join('');
+    this.methodSelect.value = this.method;
+    this.methodSelect.addEventListener('change', (e) => this.setMethod(e.target.value));
+  }
+
+  /**
+   * Projection for the current method
+   */
+  getProjection() {
+    if (!this.projections.has(this.method)) {
+      this.projections.set(this.method, project(this.schools, this.method));
+    }
+    return this.projections.get(this.method);
+  }
+
+  /**
+   * Initialize the chart
+   */
+  init() {
+    const rect = this.container.getBoundingClientRect();
+    this.width = rect.width || 600;
+    this.height = rect.height || 380;
+
+    this.innerWidth = this.width - this.config.margin.left - this.config.margin.right;
+    this.innerHeight = this.height - this.config.margin.top - this.config.margin.bottom;
+
+    this.svg = d3.select(this.container)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', '100%')
+      .attr('viewBox', `0 0 ${this.width} ${this.height}`)
+      .attr('preserveAspectRatio', 'xMidYMid meet');
+
+    this.addDefs();
+
+    this.g = this.svg.append('g')
+      .attr('transform', `translate(${this.config.margin.left}, ${this.config.margin.top})`);
+
+    this.xScale = d3.scaleLinear().range([0, this.innerWidth]);
+    this.yScale = d3.scaleLinear().range([this.innerHeight, 0]);
+
+    this.xAxisGroup = this.g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0, ${this.innerHeight})`);
+    this.yAxisGroup = this.g.append('g').attr('class', 'y-axis');
+
+    this.xLabel = this.g.append('text')
+      .attr('x', this.innerWidth / 2)
+      .attr('y', this.innerHeight + 38)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#ffffff')
+      .attr('font-size', '11px');
+
+    this.yLabel = this.g.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -this.innerHeight / 2)
+      .attr('y', -38)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#ffffff')
+      .attr('font-size', '11px');
+
+    this.arrowsGroup = this.g.append('g').attr('class', 'loadings-layer');
+    this.pointsGroup = this.g.append('g').attr('class', 'points-layer');
+
+    this.drawPoints();
+    this.layout(0);
+  }
+
+  /**
+   * Re-render from scratch (resize, featured school change)
+   */
+  render() {
+    this.container.innerHTML = '';
+    this.init();
+  }
+
+  /**
+   * Add SVG defs
+   */
+  addDefs() {
+    const defs = this.svg.append('defs');
+
+    defs.append('marker')
+      .attr('id', 'song-space-arrow')
+      .attr('viewBox', '0 0 10 10')
+      .attr('refX', 9)
+      .attr('refY', 5)
+      .attr('markerWidth', 6)
+      .attr('markerHeight', 6)
+      .attr('orient', 'auto-start-reverse')
+      .append('path')
+      .attr('d', 'M0,0 L10,5 L0,10 z')
+      .attr('fill', this.config.arrowColor);
+
+    const glowFilter = defs.append('filter')
+      .attr('id', 'song-space-featured-glow')
+      .attr('x', '-50%')
+      .attr('y', '-50%')
+      .attr('width', '200%')
+      .attr('height', '200%');
+
+    glowFilter.append('feGaussianBlur')
+      .attr('stdDeviation', '3')
+      .attr('result', 'coloredBlur');
+
+    const feMerge = glowFilter.append('feMerge');
+    feMerge.append('feMergeNode').attr('in', 'coloredBlur');
+    feMerge.append('feMergeNode').attr('in', 'SourceGraphic');
+  }
+
+  /**
+   * Draw points (positions are set by layout())
+   */
+  drawPoints() {
+    const featuredColors = getFeaturedColors();
+
+    // Featured school drawn last
+    const sortedSchools = [...this.schools].sort((a, b) => {
+      if (isFeatured(a)) return 1;
+      if (isFeatured(b)) return -1;
+      return 0;
+    });
+
+    this.pointsGroup.selectAll('circle.point')
+      .data(sortedSchools, d => d.school)
+      .join('circle')
+      .attr('class', d => `point ${isFeatured(d) ? 'featured' : ''}`)
+      .attr('r', d => this.getRadius(d))
+      .attr('fill', d => isFeatured(d) ? featuredColors.primary : getConferenceColor(d.conference))
+      .attr('opacity', d => isSchoolVisible(d) ? 0.85 : 0.15)
+      .attr('filter', d => isFeatured(d) ? 'url(#song-space-featured-glow)' : null)
+      .style('cursor', 'pointer')
+      .on('mouseenter', (event, d) => this.handleMouseEnter(event, d))
+      .on('mousemove', (event) => tooltip.move(event.clientX, event.clientY))
+      .on('mouseleave', () => this.handleMouseLeave())
+      .on('click', (event, d) => this.handleClick(event, d));
+
+    this.styleSelection();
+  }
+
+  /**
+   * Fit scales to the current projection and move everything into place
+   * @param {number} duration - Transition length in ms
+   */
+  layout(duration = this.config.transitionDuration) {
+    const projection = this.getProjection();
+    const coordinates = [...projection.points.values()];
+    const pad = extent => {
+      const span = extent[1] - extent[0] || 1;
+      return [extent[0] - span * 0.05, extent[1] + span * 0.05];
+    };
+
+    this.xScale.domain(pad(d3.extent(coordinates, c => c[0])));
+    this.yScale.domain(pad(d3.extent(coordinates, c => c[1])));
+
+    this.drawAxes(projection, duration);
+
+    this.animate(this.pointsGroup.selectAll('circle.point'), duration)
+      .attr('cx', d => this.xScale(projection.points.get(d.school)[0]))
+      .attr('cy', d => this.yScale(projection.points.get(d.school)[1]));
+
+    this.drawLoadings(projection);
+  }
+
+  /**
+   * Transition a selection, or apply straight away when duration is 0
+   */
+  animate(selection, duration) {
+    return duration ? selection.transition().duration(duration) : selection;
+  }
+
+  /**
+   * Axes and their labels
+   * Only PCA's axes mean something on their own, so the others drop tick labels.
+   */
+  drawAxes(projection, duration) {
+    const styleAxis = g => {
+      g.select('.domain').remove();
+      g.selectAll('.tick line').attr('stroke', 'rgba(255, 255, 255, 0.35)');
+      g.selectAll('.tick text')
+        .attr('fill', '#ffffff')
+        .attr('font-size', '10px')
+        .attr('display', this.method === 'pca' ? null : 'none');
+    };
+
+    this.animate(this.xAxisGroup, duration)
+      .call(d3.axisBottom(this.xScale).ticks(5).tickSize(-this.innerHeight).tickPadding(8));
+    this.animate(this.yAxisGroup, duration)
+      .call(d3.axisLeft(this.yScale).ticks(5).tickSize(-this.innerWidth).tickPadding(8));
+    styleAxis(this.xAxisGroup);
+    styleAxis(this.yAxisGroup);
+
+    const label = PROJECTION_METHODS[this.method];
+    if (projection.explained) {
+      const percent = d3.format('.0%');
+      this.xLabel.text(`PC1 (${percent(projection.explained[0])} of variance)`);
+      this.yLabel.text(`PC2 (${percent(projection.explained[1])} of variance)`);
+    } else {
+      this.xLabel.text(`${label} 1`);
+      this.yLabel.text(`${label} 2`);
+    }
+  }
+
+  /**
+   * PCA loading arrows from the origin, scaled to fit the plot
+   */
+  drawLoadings(projection) {
+    const loadings = projection.loadings || [];
+    const longest = d3.max(loadings, l => Math.hypot(l.x, l.y)) || 1;
+    const [x0, x1] = this.xScale.domain();
+    const [y0, y1] = this.yScale.domain();
+    const reach = 0.8 * Math.min(Math.abs(x0), x1, Math.abs(y0), y1) / longest;
+
+    const arrows = this.arrowsGroup.selectAll('g.loading')
+      .data(loadings, d => d.key)
+      .join(enter => {
+        const g = enter.append('g').attr('class', 'loading');
+        g.append('line')
+          .attr('stroke', this.config.arrowColor)
+          .attr('stroke-width', 1.2)
+          .attr('marker-end', 'url(#song-space-arrow)');
+        g.append('text')
+          .attr('fill', '#ffffff')
+          .attr('font-size', '10px')
+          .attr('dy', '0.35em');
+        g.append('title');
+        return g;
+      });
+
+    arrows.select('line')
+      .attr('x1', this.xScale(0))
+      .attr('y1', this.yScale(0))
+      .attr('x2', d => this.xScale(d.x * reach))
+      .attr('y2', d => this.yScale(d.y * reach));
+
+    arrows.select('text')
+      .attr('x', d => this.xScale(d.x * reach * 1.08))
+      .attr('y', d => this.yScale(d.y * reach * 1.08))
+      .attr('text-anchor', d => (d.x >= 0 ? 'start' : 'end'))
+      .text(d => d.label);
+
+    arrows.select('title')
+      .text(d => `${d.label}: ${d.x.toFixed(2)} on PC1, ${d.y.toFixed(2)} on PC2`);
+  }
+
+  /**
+   * Switch projection method
+   * @param {string} method - Key of PROJECTION_METHODS
+   */
+  setMethod(method) {
+    if (!PROJECTION_METHODS[method] || method === this.method) return;
+    this.method = method;
+    if (this.methodSelect) this.methodSelect.value = method;
+    this.layout();
+  }
+
+  /**
+   * Outline points in the selection set
+   */
+  styleSelection() {
+    const featuredColors = getFeaturedColors();
+
+    this.pointsGroup.selectAll('circle.point')
+      .classed('in-selection', d => isInSelection(d))
+      .attr('stroke', d => {
+        if (isInSelection(d)) return SELECTION_COLOR;
+        return isFeatured(d) ? featuredColors.light : 'rgba(255,255,255,0.2)';
+      })
+      .attr('stroke-width', d => {
+        if (isInSelection(d)) return 2.5;
+        return isFeatured(d) ? 2 : 1;
+      });
+  }
+
+  /**
+   * Get radius for a point
+   */
+  getRadius(school) {
+    return isFeatured(school) ? this.config.featuredRadius : this.config.radius;
+  }
+
+  /**
+   * Handle mouse enter
+   */
+  handleMouseEnter(event, school) {
+    this.hoveredSchool = school;
+    hoverSchool(school);
+    this.highlightPoint(school);
+    tooltip.show(school, event.clientX, event.clientY);
+  }
+
+  /**
+   * Handle mouse leave
+   */
+  handleMouseLeave() {
+    this.hoveredSchool = null;
+    hoverSchool(null);
+    this.unhighlightPoint();
+    tooltip.hide();
+  }
+
+  /**
+   * Handle click
+   */
+  handleClick(event, school) {
+    event.stopPropagation();
+
+    // Shift-click builds up the selection set
+    if (event.shiftKey) {
+      toggleSelection(school);
+      return;
+    }
+
+    selectSchool(school);
+  }
+
+  /**
+   * Dim other points and enlarge this one
+   */
+  highlightPoint(school) {
+    this.pointsGroup.selectAll('circle.point')
+      .interrupt('highlight')
+      .transition('highlight')
+      .duration(150)
+      .attr('opacity', d => d.school === school.school ? 1 : 0.2)
+      .attr('r', d => d.school === school.school ? this.getRadius(d) * 1.5 : this.getRadius(d));
+  }
+
+  /**
+   * Remove highlight
+   */
+  unhighlightPoint() {
+    this.pointsGroup.selectAll('circle.point')
+      .interrupt('highlight')
+      .transition('highlight')
+      .duration(150)
+      .attr('opacity', d => isSchoolVisible(d) ? 0.85 : 0.15)
+      .attr('r', d => this.getRadius(d));
+  }
+
+  /**
+   * Setup state listeners
+   */
+  setupStateListeners() {
+    subscribe('filteredSchools', () => this.filterSchools());
+
+    // Listen for external hover
+    subscribe('hoveredSchool', (school) => {
+      if (school && school === this.hoveredSchool) return;
+      if (school) {
+        this.highlightPoint(school);
+      } else {
+        this.unhighlightPoint();
+      }
+    });
+
+    subscribe('featuredSchool', () => this.render());
+    subscribe('selectionSet', () => this.styleSelection());
+  }
+
+  /**
+   * Dim points outside the filtered set
+   */
+  filterSchools() {
+    this.pointsGroup.selectAll('circle.point')
+      .transition('highlight')
+      .duration(300)
+      .attr('opacity', d => isSchoolVisible(d) ? 0.85 : 0.15);
+  }
+
+  /**
+   * Setup resize handler
+   */
+  setupResize() {
+    const resizeObserver = new ResizeObserver(() => this.render());
+    resizeObserver.observe(this.container);
+  }
+
+  /**
+   * Update visualization
+   */
+  update() {
+    this.filterSchools();
+  }
+}
+
+export default SongSpace;
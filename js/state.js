@@ -4,6 +4,10 @@
  * Centralized state with observer pattern for cross-module communication
  */
 
+import { DEFAULT_FEATURED_COLORS, createFeaturedPalette } from './utils.js';
+import { EMPTY_FILTER, matchesFilter, matchesBrushes } from './filters.js';
+import { DEFAULT_SIMILARITY, DEFAULT_LINK_MODE } from './similarity.js';
+
 /**
  * Application state
  */
@@ -11,14 +15,29 @@ const state = {
   // Data
   schools: [],
   conferences: {},
+  schoolColors: {},
+
+  // Featured school (the protagonist every module is drawn around)
+  featuredSchool: null,
+  featuredColors: DEFAULT_FEATURED_COLORS,
 
   // Selection state
   selectedSchool: null,
   hoveredSchool: null,
   activeConference: 'all',
+  selectionSet: [],           // hand-picked schools (shift-click)
+  isolateSelection: false,    // hide everything outside the selection set
+  filter: EMPTY_FILTER,       // composable field filter (see filters.js)
+  filteredSchools: [],        // derived: schools passing every active filter
+  comparison: [],             // schools pinned in the comparison drawer
 
   // UI state
   matrixSort: 'conference',
+  parallelBrushes: {},        // dimension key -> [min, max] in data units
+  networkThreshold: 0.7,      // minimum similarity for a network link
+  similarityModel: DEFAULT_SIMILARITY,   // metric and feature weights (see similarity.js)
+  networkLinkMode: DEFAULT_LINK_MODE,    // threshold cutoff or k nearest neighbours
+  networkClustering: 'none',  // community detection method coloring the network, or 'none'
   currentAct: 1,
 
   // Visualization instances (will be set by modules)
@@ -29,6 +48,11 @@ const state = {
   matrix: null
 };
 
+/**
+ * Most schools the comparison drawer holds
+ */
+export const COMPARISON_LIMIT = 4;
+
 /**
  * State change listeners
  */
@@ -115,12 +139,15 @@ export function setMultipleState(updates) {
  * Initialize state with data
  * @param {Object[]} schools - School data array
  * @param {Object} conferences - Conference stats object
+ * @param {Object} [schoolColors] - School colors keyed by school name
  */
-export function initializeState(schools, conferences) {
+export function initializeState(schools, conferences, schoolColors = {}) {
   state.schools = schools;
   state.conferences = conferences;
+  state.schoolColors = schoolColors;
   notify('schools', schools);
   notify('conferences', conferences);
+  updateFilteredSchools();
 }
 
 /**
@@ -131,6 +158,120 @@ export function selectSchool(school) {
   setState('selectedSchool', school);
 }
 
+/**
+ * Check if a school is in the selection set
+ * @param {Object} school - School data object
+ * @returns {boolean}
+ */
+export function isInSelection(school) {
+  return !!school && state.selectionSet.some(s => s.school === school.school);
+}
+
+/**
+ * Replace the selection set
+ * @param {Object[]} schools - Schools to select
+ */
+export function setSelection(schools) {
+  setState('selectionSet', [...schools]);
+}
+
+/**
+ * Add a school to the selection set
+ * @param {Object} school - School to add
+ */
+export function addToSelection(school) {
+  if (!school || isInSelection(school)) return;
+  setState('selectionSet', [...state.selectionSet, school]);
+}
+
+/**
+ * Remove a school from the selection set
+ * @param {Object} school - School to remove
+ */
+export function removeFromSelection(school) {
+  if (!isInSelection(school)) return;
+  setState('selectionSet', state.selectionSet.filter(s => s.school !== school.school));
+}
+
+/**
+ * Add a school to the selection set, or remove it if already there
+ * @param {Object} school - School to toggle
+ */
+export function toggleSelection(school) {
+  if (isInSelection(school)) {
+    removeFromSelection(school);
+  } else {
+    addToSelection(school);
+  }
+}
+
+/**
+ * Empty the selection set
+ */
+export function clearSelection() {
+  if (state.selectionSet.length) {
+    setState('selectionSet', []);
+  }
+}
+
+/**
+ * Check if a school is pinned for comparison
+ * @param {Object} school - School data object
+ * @returns {boolean}
+ */
+export function isInComparison(school) {
+  return !!school && state.comparison.some(s => s.school === school.school);
+}
+
+/**
+ * Replace the pinned schools (only the first COMPARISON_LIMIT are kept)
+ * @param {Object[]} schools - Schools to compare
+ */
+export function setComparison(schools) {
+  setState('comparison', schools.slice(0, COMPARISON_LIMIT));
+}
+
+/**
+ * Pin a school for comparison, or unpin it if already pinned
+ * When the drawer is full the longest-pinned school makes room.
+ * @param {Object} school - School to toggle
+ */
+export function toggleComparison(school) {
+  if (!school) return;
+
+  if (isInComparison(school)) {
+    setState('comparison', state.comparison.filter(s => s.school !== school.school));
+  } else {
+    setState('comparison', [...state.comparison, school].slice(-COMPARISON_LIMIT));
+  }
+}
+
+/**
+ * Unpin every school
+ */
+export function clearComparison() {
+  if (state.comparison.length) {
+    setState('comparison', []);
+  }
+}
+
+/**
+ * Show only the selection set (when it has members)
+ * @param {boolean} isolate - Whether to isolate the selection
+ */
+export function setIsolateSelection(isolate) {
+  setState('isolateSelection', isolate);
+}
+
+/**
+ * Check if a school is in the filtered set
+ * @param {Object} school - School data object
+ * @returns {boolean}
+ */
+export function isSchoolVisible(school) {
+  return !!school && visibleNames.has(school.school);
+}
+
 /**
  * Hover over a school
  * @param {Object|null} school - School being hovered, or null when leaving
@@ -147,6 +288,14 @@ export function setConferenceFilter(conference) {
   setState('activeConference', conference);
 }
 
+/**
+ * Replace the field filter
+ * @param {Object} filter - Filter model ({ logic, rules })
+ */
+export function setFilter(filter) {
+  setState('filter', filter);
+}
+
 /**
  * Set matrix sort order
  * @param {string} sortBy - Sort criterion
@@ -155,6 +304,46 @@ export function setMatrixSort(sortBy) {
   setState('matrixSort', sortBy);
 }
 
+/**
+ * Set parallel coordinate brushes
+ * @param {Object} brushes - Dimension key -> [min, max] in data units
+ */
+export function setParallelBrushes(brushes) {
+  setState('parallelBrushes', brushes);
+}
+
+/**
+ * Set the similarity threshold for network links
+ * @param {number} threshold - Minimum similarity (0-1)
+ */
+export function setNetworkThreshold(threshold) {
+  setState('networkThreshold', threshold);
+}
+
+/**
+ * Set the similarity metric and feature weights
+ * @param {Object} model - { metric, weights }
+ */
+export function setSimilarityModel(model) {
+  setState('similarityModel', model);
+}
+
+/**
+ * Set how network links are chosen
+ * @param {Object} linkMode - { mode: 'threshold' | 'knn', k }
+ */
+export function setNetworkLinkMode(linkMode) {
+  setState('networkLinkMode', linkMode);
+}
+
+/**
+ * Color the network by detected community instead of conference
+ * @param {string} method - Key of COMMUNITY_METHODS, or 'none'
+ */
+export function setNetworkClustering(method) {
+  setState('networkClustering', method);
+}
+
 /**
  * Set current act (section)
  * @param {number} act - Act number (1, 2, or 3)
@@ -182,16 +371,44 @@ export function getModule(name) {
 }
 
 /**
- * Get filtered schools based on current conference filter
+ * Get the schools passing the conference filter, field filter, parallel brushes and isolate mode
  * @returns {Object[]}
  */
 export function getFilteredSchools() {
-  if (state.activeConference === 'all') {
-    return state.schools;
+  return state.filteredSchools;
+}
+
+/**
+ * Names of the schools in the filtered set
+ */
+let visibleNames = new Set();
+
+/**
+ * Recompute the filtered set from everything that narrows it
+ * Listeners only hear about it when membership actually changes.
+ */
+function updateFilteredSchools() {
+  const isolating = state.isolateSelection && state.selectionSet.length > 0;
+
+  const schools = state.schools.filter(school =>
+    (state.activeConference === 'all' || school.conference === state.activeConference) &&
+    (!isolating || isInSelection(school)) &&
+    matchesFilter(school, state.filter) &&
+    matchesBrushes(school, state.parallelBrushes)
+  );
+
+  if (schools.length === state.filteredSchools.length && schools.every(s => visibleNames.has(s.school))) {
+    return;
   }
-  return state.schools.filter(s => s.conference === state.activeConference);
+
+  visibleNames = new Set(schools.map(s => s.school));
+  setState('filteredSchools', schools);
 }
 
+// Registered before any module listener, so modules always see a current set
+['schools', 'activeConference', 'filter', 'parallelBrushes', 'selectionSet', 'isolateSelection']
+  .forEach(key => subscribe(key, updateFilteredSchools));
+
 /**
  * Find school by name
  * @param {string} name - School name
@@ -202,11 +419,39 @@ export function findSchool(name) {
 }
 
 /**
- * Get Purdue school data
- * @returns {Object|undefined}
+ * Set the featured school
+ * The palette is updated before listeners run so redraws pick up the new colors.
+ * @param {Object} school - School to feature
+ */
+export function setFeaturedSchool(school) {
+  if (!school || school === state.featuredSchool) return;
+  state.featuredColors = createFeaturedPalette(state.schoolColors[school.school]);
+  setState('featuredSchool', school);
+}
+
+/**
+ * Get featured school data
+ * @returns {Object|null}
+ */
+export function getFeaturedSchool() {
+  return state.featuredSchool;
+}
+
+/**
+ * Get the featured school's palette
+ * @returns {{primary: string, light: string, dark: string, glow: string}}
+ */
+export function getFeaturedColors() {
+  return state.featuredColors;
+}
+
+/**
+ * Check if a school is the featured school
+ * @param {Object} school - School data object
+ * @returns {boolean}
  */
-export function getPurdue() {
-  return findSchool('Purdue');
+export function isFeatured(school) {
+  return !!school && !!state.featuredSchool && school.school === state.featuredSchool.school;
 }
 
 // Export state for debugging (read-only in production)
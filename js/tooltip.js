@@ -4,7 +4,8 @@
  * Global tooltip component for school information
  */
 
-import { getConferenceColor, formatYear, isPurdue, PURDUE_COLORS } from './utils.js';
+import { getConferenceColor, formatYear } from './utils.js';
+import { isFeatured, getFeaturedColors } from './state.js';
 
 class Tooltip {
   constructor() {
@@ -99,12 +100,13 @@ class Tooltip {
    * @param {Object} school - School data
    */
   updateContent(school) {
-    const isPurdueSchool = isPurdue(school);
-    const color = isPurdueSchool ? PURDUE_COLORS.gold : getConferenceColor(school.conference);
+    const isFeaturedSchool = isFeatured(school);
+    const featuredColors = getFeaturedColors();
+    const color = isFeaturedSchool ? featuredColors.primary : getConferenceColor(school.conference);
 
     // School name
     this.schoolEl.textContent = school.school;
-    this.schoolEl.style.color = isPurdueSchool ? PURDUE_COLORS.gold : '';
+    this.schoolEl.style.color = isFeaturedSchool ? featuredColors.primary : '';
 
     // Conference badge
     this.conferenceEl.textContent = school.conference;
@@ -122,10 +124,10 @@ class Tooltip {
     // Year
     this.yearEl.textContent = school.year ? `Since ${school.year}` : 'Year Unknown';
 
-    // Purdue special styling
-    if (isPurdueSchool) {
-      this.element.style.borderColor = PURDUE_COLORS.gold;
-      this.element.style.boxShadow = `0 0 20px ${PURDUE_COLORS.goldGlow}`;
+    // Featured school special styling
+    if (isFeaturedSchool) {
+      this.element.style.borderColor = featuredColors.primary;
+      this.element.style.boxShadow = `0 0 20px ${featuredColors.glow}`;
     } else {
       this.element.style.borderColor = '';
       this.element.style.boxShadow = '';
@@ -29,15 +29,62 @@ export const CONFERENCE_GLOW_COLORS = {
 };
 
 /**
- * Purdue colors
+ * Conference display names
  */
-export const PURDUE_COLORS = {
-  gold: '#CFB991',
-  goldLight: '#e8dcc4',
-  goldDark: '#a89668',
-  goldGlow: 'rgba(207, 185, 145, 0.6)'
+export const CONFERENCE_FULL_NAMES = {
+  'ACC': 'Atlantic Coast Conference',
+  'Big 12': 'Big 12 Conference',
+  'Big Ten': 'Big Ten Conference',
+  'Pac-12': 'Pac-12 Conference',
+  'SEC': 'Southeastern Conference',
+  'Independent': 'Independent'
 };
 
+/**
+ * Conference statistics that may appear in shipped data, mapped to the
+ * generateConferenceStats() field they have to agree with and how far they
+ * may differ from it: counts exactly, averages to 0.05, rates to 0.005
+ */
+const SHIPPED_STAT_FIELDS = {
+  schoolCount: { key: 'count', tolerance: 0 },
+  count: { key: 'count', tolerance: 0 },
+  avgBpm: { key: 'avgBpm', tolerance: 0.05 },
+  avgDuration: { key: 'avgDuration', tolerance: 0.05 },
+  fightRate: { key: 'fightRate', tolerance: 0.005 },
+  victoryRate: { key: 'victoryRate', tolerance: 0.005 },
+  avgTrope: { key: 'avgTropes', tolerance: 0.05 },
+  avgTropes: { key: 'avgTropes', tolerance: 0.05 },
+  studentWriterRate: { key: 'studentWriterRate', tolerance: 0.005 },
+  spellingRate: { key: 'spellingRate', tolerance: 0.005 },
+  winWonRate: { key: 'winWonRate', tolerance: 0.005 },
+  rahRate: { key: 'rahRate', tolerance: 0.005 }
+};
+
+/**
+ * Outline color for schools in the selection set (the same in every module)
+ */
+export const SELECTION_COLOR = '#ffffff';
+
+/**
+ * School featured when no other school is requested
+ */
+export const DEFAULT_FEATURED_SCHOOL = 'Purdue';
+
+/**
+ * Featured school palette used until a school's own colors are known
+ */
+export const DEFAULT_FEATURED_COLORS = {
+  primary: '#CFB991',
+  light: '#e8dcc4',
+  dark: '#a89668',
+  glow: 'rgba(207, 185, 145, 0.6)'
+};
+
+/**
+ * Minimum relative luminance for a featured color to read on the dark panels
+ */
+const MIN_FEATURED_LUMINANCE = 0.18;
+
 /**
  * Font family constant
  */
@@ -77,12 +124,150 @@ export function getConferenceGlowColor(conference) {
 }
 
 /**
- * Check if a school is Purdue
- * @param {Object} school - School data object
- * @returns {boolean}
+ * Get display name for a conference
+ * @param {string} conference - Conference name
+ * @returns {string} Full conference name
  */
-export function isPurdue(school) {
-  return school.school === 'Purdue';
+export function getConferenceFullName(conference) {
+  return CONFERENCE_FULL_NAMES[conference] || conference;
+}
+
+/**
+ * Apply conference metadata (data/conferences.json) to the color and name tables
+ * Metadata only describes conferences; statistics always come from generateConferenceStats().
+ * @param {Object} metadata - Entries keyed by conference: { fullName, color, glowColor }
+ */
+export function applyConferenceMetadata(metadata) {
+  Object.entries(metadata).forEach(([conf, meta]) => {
+    if (meta.color) CONFERENCE_COLORS[conf] = meta.color;
+    if (meta.glowColor) CONFERENCE_GLOW_COLORS[conf] = meta.glowColor;
+    if (meta.fullName) CONFERENCE_FULL_NAMES[conf] = meta.fullName;
+  });
+}
+
+/**
+ * Compare statistics shipped in conference metadata against computed stats
+ * A shipped number drifts when it differs from the computed value by more
+ * than its field's tolerance (see SHIPPED_STAT_FIELDS).
+ * @param {Object} metadata - Conference entries keyed by name
+ * @param {Object} stats - Output of generateConferenceStats()
+ * @returns {string[]} One message per drifting or orphaned value
+ */
+export function findConferenceStatDrift(metadata, stats) {
+  const problems = [];
+
+  const compare = (conf, field, shipped) => {
+    const spec = SHIPPED_STAT_FIELDS[field];
+    if (!spec || typeof shipped !== 'number') return;
+
+    const computed = stats[conf] ? stats[conf][spec.key] : 0;
+
+    if (Math.abs(shipped - computed) > spec.tolerance + 1e-9) {
+      const expected = Number(computed.toFixed(2));
+      problems.push(`${conf}: ${field} is ${shipped} but the data gives ${expected}`);
+    }
+  };
+
+  Object.entries(metadata).forEach(([conf, meta]) => {
+    if (!stats[conf]) problems.push(`${conf}: no schools in the data`);
+    Object.entries(meta).forEach(([field, value]) => compare(conf, field, value));
+    Object.entries(meta.stats || {}).forEach(([field, value]) => compare(conf, field, value));
+  });
+
+  Object.keys(stats).forEach(conf => {
+    if (!metadata[conf]) problems.push(`${conf}: missing from conference metadata`);
+  });
+
+  return problems;
+}
+
+/**
+ * Parse a hex color into RGB channels
+ * @param {string} hex - Hex color code (#rrggbb)
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function hexToRgb(hex) {
+  return {
+    r: parseInt(hex.slice(1, 3), 16),
+    g: parseInt(hex.slice(3, 5), 16),
+    b: parseInt(hex.slice(5, 7), 16)
+  };
+}
+
+/**
+ * Convert hex color to rgba string
+ * @param {string} hex - Hex color code (#rrggbb)
+ * @param {number} alpha - Alpha (0-1)
+ * @returns {string} RGBA color string
+ */
+export function hexToRgba(hex, alpha) {
+  const { r, g, b } = hexToRgb(hex);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Mix two hex colors
+ * @param {string} hexA - Start color
+ * @param {string} hexB - End color
+ * @param {number} t - Amount of hexB (0-1)
+ * @returns {string} Hex color code
+ */
+export function mixColors(hexA, hexB, t) {
+  const a = hexToRgb(hexA);
+  const b = hexToRgb(hexB);
+  const channel = (x, y) => Math.round(lerp(x, y, t)).toString(16).padStart(2, '0');
+  return `#${channel(a.r, b.r)}${channel(a.g, b.g)}${channel(a.b, b.b)}`;
+}
+
+/**
+ * Relative luminance of a hex color (WCAG definition)
+ * @param {string} hex - Hex color code
+ * @returns {number} Luminance between 0 and 1
+ */
+export function getLuminance(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const [lr, lg, lb] = [r, g, b].map(c => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+/**
+ * Build the featured palette from a school's own colors
+ * Dark primaries fall back to a saturated secondary (e.g. Michigan maize),
+ * otherwise they are lifted towards white so they stay legible.
+ * @param {{primary: string, secondary?: string}|undefined} colors - School colors
+ * @returns {{primary: string, light: string, dark: string, glow: string}}
+ */
+export function createFeaturedPalette(colors) {
+  if (!colors || !colors.primary) return { ...DEFAULT_FEATURED_COLORS };
+
+  const isChromatic = hex => {
+    const { r, g, b } = hexToRgb(hex);
+    return Math.max(r, g, b) - Math.min(r, g, b) > 60;
+  };
+
+  let accent = colors.primary;
+  if (getLuminance(accent) < MIN_FEATURED_LUMINANCE) {
+    const secondary = colors.secondary;
+    if (secondary && isChromatic(secondary) && getLuminance(secondary) >= MIN_FEATURED_LUMINANCE) {
+      accent = secondary;
+    } else {
+      let t = 0;
+      while (t < 0.9 && getLuminance(mixColors(colors.primary, '#ffffff', t)) < MIN_FEATURED_LUMINANCE) {
+        t += 0.05;
+      }
+      accent = mixColors(colors.primary, '#ffffff', t);
+    }
+  }
+
+  return {
+    primary: accent,
+    light: mixColors(accent, '#ffffff', 0.45),
+    dark: mixColors(accent, '#000000', 0.2),
+    glow: hexToRgba(accent, 0.6)
+  };
 }
 
 /**
@@ -95,6 +280,80 @@ export function getActiveTropes(school) {
   return tropes.filter(t => school[t]);
 }
 
+/**
+ * Rank phrases for the numeric fields a school is compared on
+ */
+export const RANK_LABELS = {
+  bpm: { high: 'Fastest', low: 'Slowest', middle: 'Mid-tempo' },
+  sec_duration: { high: 'Longest', low: 'Shortest', middle: 'Medium length' },
+  trope_count: { high: 'Most tropes', low: 'Most minimal', middle: 'Typical trope count' }
+};
+
+/**
+ * Describe where a school ranks among its peers on a numeric field
+ * The top and bottom three are ranked ("#2 Fastest in Big Ten", "Most minimal in Big Ten");
+ * everything in between gets the middle label ("Medium length"). Ties share a rank.
+ * @param {Object} school - School data object
+ * @param {Object[]} peers - Schools to rank against (including the school)
+ * @param {string} key - Field in RANK_LABELS
+ * @param {string} [scope] - Group name, appended as "in <scope>"
+ * @returns {string} Rank phrase
+ */
+export function describeRank(school, peers, key, scope) {
+  const labels = RANK_LABELS[key];
+  if (peers.length < 2) return labels.middle;
+
+  const fromTop = peers.filter(s => s[key] > school[key]).length + 1;
+  const fromBottom = peers.filter(s => s[key] < school[key]).length + 1;
+  const suffix = scope ? ` in ${scope}` : '';
+  const phrase = (rank, label) => `${rank > 1 ? `#${rank} ` : ''}${label}${suffix}`;
+
+  if (fromTop <= 3 && fromTop <= fromBottom) return phrase(fromTop, labels.high);
+  if (fromBottom <= 3) return phrase(fromBottom, labels.low);
+  return labels.middle;
+}
+
+/**
+ * Percentile rank of a school's value among its peers
+ * Ties count half, so the middle of a tied run is reported.
+ * @param {Object} school - School data object
+ * @param {Object[]} peers - Schools to rank against (including the school)
+ * @param {string} key - Numeric field
+ * @returns {number|null} 0-100, or null when the school has no value
+ */
+export function percentileRank(school, peers, key) {
+  const value = school[key];
+  if (value === null || value === undefined) return null;
+
+  const values = peers.map(s => s[key]).filter(v => v !== null && v !== undefined);
+  if (values.length < 2) return 50;
+
+  const below = values.filter(v => v < value).length;
+  const tied = values.filter(v => v === value).length;
+  return 100 * (below + (tied - 1) / 2) / (values.length - 1);
+}
+
+/**
+ * Headline numbers for a dataset
+ * @param {Object[]} schools - Array of school objects
+ * @param {number} [currentYear] - Year the history is counted up to
+ * @returns {{schoolCount: number, conferenceCount: number, firstYear: number|null, lastYear: number|null, yearSpan: string, yearsOfHistory: number}}
+ */
+export function summarizeDataset(schools, currentYear = new Date().getFullYear()) {
+  const years = schools.map(s => s.year).filter(year => year !== null && year !== undefined);
+  const firstYear = years.length ? Math.min(...years) : null;
+  const lastYear = years.length ? Math.max(...years) : null;
+
+  return {
+    schoolCount: schools.length,
+    conferenceCount: new Set(schools.map(s => s.conference)).size,
+    firstYear,
+    lastYear,
+    yearSpan: firstYear === null ? formatYear(null) : `${firstYear}-${lastYear}`,
+    yearsOfHistory: firstYear === null ? 0 : currentYear - firstYear
+  };
+}
+
 /**
  * Format year with Unknown handling
  * @param {number|null} year - Year value
@@ -282,6 +541,7 @@ export function generateConferenceStats(schools) {
         victoryCount: 0,
         totalTropes: 0,
         studentWriterCount: 0,
+        knownWriterCount: 0,
         spellingCount: 0,
         winWonCount: 0,
         rahCount: 0
@@ -295,6 +555,7 @@ export function generateConferenceStats(schools) {
     conferences[conf].victoryCount += school.victory || school.win_won ? 1 : 0;
     conferences[conf].totalTropes += school.trope_count;
     conferences[conf].studentWriterCount += school.student_writer ? 1 : 0;
+    conferences[conf].knownWriterCount += school.student_writer === null || school.student_writer === undefined ? 0 : 1;
     conferences[conf].spellingCount += school.spelling ? 1 : 0;
     conferences[conf].winWonCount += school.win_won ? 1 : 0;
     conferences[conf].rahCount += school.rah ? 1 : 0;
@@ -309,7 +570,8 @@ export function generateConferenceStats(schools) {
     c.fightRate = c.fightCount / count;
     c.victoryRate = c.victoryCount / count;
     c.avgTropes = c.totalTropes / count;
-    c.studentWriterRate = c.studentWriterCount / count;
+    // Songs with an unknown writer are left out of the student writer share
+    c.studentWriterRate = c.knownWriterCount ? c.studentWriterCount / c.knownWriterCount : null;
     c.spellingRate = c.spellingCount / count;
     c.winWonRate = c.winWonCount / count;
     c.rahRate = c.rahCount / count;
@@ -318,3 +580,23 @@ export function generateConferenceStats(schools) {
 
   return conferences;
 }
+
+/**
+ * One school's values under the same keys as generateConferenceStats(),
+ * so a school can be drawn on a conference radar (flags become 0/1 rates)
+ * @param {Object} school - School data object
+ * @returns {Object} School stats
+ */
+export function getSchoolStats(school) {
+  return {
+    avgBpm: school.bpm,
+    avgDuration: school.sec_duration,
+    fightRate: school.fight ? 1 : 0,
+    victoryRate: school.victory || school.win_won ? 1 : 0,
+    avgTropes: school.trope_count,
+    studentWriterRate: school.student_writer ? 1 : 0,
+    spellingRate: school.spelling ? 1 : 0,
+    winWonRate: school.win_won ? 1 : 0,
+    rahRate: school.rah ? 1 : 0
+  };
+}
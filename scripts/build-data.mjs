@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Data Build Pipeline
+ * ===================
+ * Builds data/schools.json from fight-songs-updated.csv and normalizes the
+ * conference metadata in data/conferences.json
+ *
+ * Usage:
+ *   node scripts/build-data.mjs [--csv <file>] [--gazetteer <file>] [--conferences <file>] [--out <dir>]
+ *
+ * Inputs are read from their own paths, so --out can point anywhere; both
+ * schools.json and conferences.json are written there.
+ *
+ * Every row is validated against the column schema; coordinates are joined
+ * from the gazetteer and trope_count is recomputed from the trope flags.
+ * Any inconsistent row fails the build with row-level messages.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseCSV } from './csv.mjs';
+import { validateHeader, validateRecord } from './schema.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const DEFAULTS = {
+  csv: path.join(ROOT, 'fight-songs-updated.csv'),
+  gazetteer: path.join(ROOT, 'data/gazetteer.json'),
+  conferences: path.join(ROOT, 'data/conferences.json'),
+  out: path.join(ROOT, 'data')
+};
+
+/**
+ * Parse and validate the CSV into school objects
+ * @param {string} csvText - Raw CSV text
+ * @param {Object} options
+ * @param {Object} options.gazetteer - Coordinates keyed by school name
+ * @param {string[]} options.conferences - Known conference names
+ * @returns {{schools: Object[], errors: string[]}}
+ */
+export function buildSchools(csvText, { gazetteer, conferences }) {
+  const { header, records } = parseCSV(csvText);
+  const errors = validateHeader(header);
+  if (errors.length) return { schools: [], errors };
+
+  const schools = [];
+  const seen = new Map();
+
+  records.forEach(record => {
+    const result = validateRecord(record, { gazetteer, conferences });
+    errors.push(...result.errors);
+
+    const name = record.values.school?.trim();
+    if (name && seen.has(name)) {
+      errors.push(`Row ${record.row} (${name}): duplicate school, first seen on row ${seen.get(name)}`);
+    } else if (name) {
+      seen.set(name, record.row);
+    }
+
+    if (result.school) schools.push(result.school);
+  });
+
+  return { schools, errors };
+}
+
+/**
+ * Build conferences.json content from conference metadata
+ * Only descriptive fields are kept; statistics are derived from the schools
+ * at runtime with generateConferenceStats().
+ * @param {Object[]} schools - Validated school objects
+ * @param {Object} metadata - Existing conference entries keyed by name
+ * @returns {{conferences: Object, errors: string[]}}
+ */
+export function buildConferences(schools, metadata) {
+  const errors = [];
+  const present = new Set(schools.map(s => s.conference));
+
+  const conferences = Object.fromEntries(Object.entries(metadata).map(([name, meta]) => {
+    if (!present.has(name)) errors.push(`${name}: no schools in the data`);
+    ['fullName', 'color', 'glowColor'].forEach(field => {
+      if (!meta[field]) errors.push(`${name}: missing ${field}`);
+    });
+
+    return [name, {
+      name,
+      fullName: meta.fullName,
+      color: meta.color,
+      glowColor: meta.glowColor
+    }];
+  }));
+
+  return { conferences, errors };
+}
+
+/**
+ * Parse --flag value pairs from argv
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in DEFAULTS) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+    }
+    options[key] = path.resolve(argv[++i]);
+  }
+
+  return options;
+}
+
+async function readJSON(file) {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const [csvText, gazetteer, metadata] = await Promise.all([
+    readFile(options.csv, 'utf8'),
+    readJSON(options.gazetteer),
+    readJSON(options.conferences)
+  ]);
+
+  const { schools, errors } = buildSchools(csvText, {
+    gazetteer,
+    conferences: Object.keys(metadata)
+  });
+
+  if (errors.length) {
+    console.error(`${path.relative(ROOT, options.csv)}: ${errors.length} error(s)`);
+    errors.forEach(message => console.error(`  ${message}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const { conferences, errors: metadataErrors } = buildConferences(schools, metadata);
+
+  if (metadataErrors.length) {
+    console.error(`${path.relative(ROOT, options.conferences)}: ${metadataErrors.length} error(s)`);
+    metadataErrors.forEach(message => console.error(`  ${message}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  await writeFile(path.join(options.out, 'schools.json'), `${JSON.stringify(schools, null, 2)}\n`);
+  await writeFile(path.join(options.out, 'conferences.json'), `${JSON.stringify(conferences, null, 2)}\n`);
+
+  console.log(`Wrote ${schools.length} schools across ${Object.keys(conferences).length} conferences to ${path.relative(ROOT, options.out) || '.'}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Data Consistency Check
+ * ======================
+ * Flags shipped data that has drifted from fight-songs-updated.csv
+ *
+ * Usage:
+ *   node scripts/check-data.mjs [--data <dir>]
+ *
+ * data/schools.json must match a fresh build of the CSV field for field, and
+ * any statistic left in data/conferences.json must agree with the values
+ * generateConferenceStats() computes from the schools. It also checks that
+ * cosine and Euclidean similarity with equal weights don't reduce to
+ * conference membership.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildSchools } from './build-data.mjs';
+import { generateConferenceStats, findConferenceStatDrift } from '../js/utils.js';
+import { findConferenceDominance } from '../js/similarity.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Compare shipped schools against freshly built ones
+ * @param {Object[]} shipped - Contents of schools.json
+ * @param {Object[]} built - Output of buildSchools()
+ * @returns {string[]}
+ */
+export function findSchoolDrift(shipped, built) {
+  const problems = [];
+  const byName = new Map(shipped.map(s => [s.school, s]));
+
+  built.forEach(school => {
+    const current = byName.get(school.school);
+    if (!current) {
+      problems.push(`${school.school}: missing from schools.json`);
+      return;
+    }
+    byName.delete(school.school);
+
+    Object.keys(school).forEach(field => {
+      if (JSON.stringify(current[field]) !== JSON.stringify(school[field])) {
+        problems.push(`${school.school}: ${field} is ${JSON.stringify(current[field])} but the CSV gives ${JSON.stringify(school[field])}`);
+      }
+    });
+  });
+
+  byName.forEach((_, name) => problems.push(`${name}: not in the CSV`));
+
+  return problems;
+}
+
+async function readJSON(file) {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dataDir = args[0] === '--data' && args[1] ? path.resolve(args[1]) : path.join(ROOT, 'data');
+
+  const [csvText, gazetteer, metadata, shipped] = await Promise.all([
+    readFile(path.join(ROOT, 'fight-songs-updated.csv'), 'utf8'),
+    readJSON(path.join(ROOT, 'data/gazetteer.json')),
+    readJSON(path.join(dataDir, 'conferences.json')),
+    readJSON(path.join(dataDir, 'schools.json'))
+  ]);
+
+  const { schools, errors } = buildSchools(csvText, {
+    gazetteer,
+    conferences: Object.keys(metadata)
+  });
+
+  const problems = errors.length
+    ? errors
+    : [
+      ...findSchoolDrift(shipped, schools).map(message => `schools.json: ${message}`),
+      ...findConferenceStatDrift(metadata, generateConferenceStats(schools)).map(message => `conferences.json: ${message}`)
+    ];
+
+  if (problems.length) {
+    console.error(`${problems.length} problem(s) found; run node scripts/build-data.mjs to regenerate`);
+    problems.forEach(message => console.error(`  ${message}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const dominance = findConferenceDominance(schools);
+
+  if (dominance.length) {
+    console.error('Similarity with equal weights reduces to conference membership (js/similarity.js)');
+    dominance.forEach(message => console.error(`  ${message}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`Shipped data matches the CSV (${schools.length} schools)`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,81 @@
+/**
+ * CSV Parser
+ * ==========
+ * Minimal RFC 4180 parser for the fight songs dataset (quoted fields,
+ * escaped quotes, embedded commas and newlines)
+ */
+
+/**
+ * Parse CSV text into rows of string cells
+ * @param {string} text - Raw CSV text
+ * @returns {string[][]} Rows of cells (blank lines skipped)
+ */
+export function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field at end of CSV');
+  }
+
+  // Last line without trailing newline
+  row.push(cell);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Parse CSV text into header + records keyed by column name
+ * @param {string} text - Raw CSV text
+ * @returns {{header: string[], records: {row: number, cellCount: number, values: Object}[]}}
+ */
+export function parseCSV(text) {
+  const [header = [], ...rows] = parseCSVRows(text);
+  const columns = header.map(h => h.trim());
+
+  const records = rows.map((cells, i) => ({
+    // 1-based record number in the file (header is record 1)
+    row: i + 2,
+    cellCount: cells.length,
+    values: Object.fromEntries(columns.map((col, j) => [col, cells[j]]))
+  }));
+
+  return { header: columns, records };
+}
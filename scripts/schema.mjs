@@ -0,0 +1,209 @@
+/**
+ * School Schema
+ * =============
+ * Column schema for fight-songs-updated.csv and row-level validation
+ * that turns raw CSV records into school objects for data/schools.json
+ */
+
+import { TROPE_LABELS } from '../js/utils.js';
+
+/**
+ * Trope flag columns counted by trope_count
+ */
+export const TROPE_KEYS = Object.keys(TROPE_LABELS);
+
+/**
+ * Column schema, in output order
+ * Types: string, integer, boolean ("Yes"/"No"); nullable columns map "Unknown" to null
+ */
+export const SCHOOL_SCHEMA = [
+  { column: 'school', type: 'string' },
+  { column: 'conference', type: 'string' },
+  { column: 'song_name', type: 'string' },
+  { column: 'writers', type: 'string' },
+  { column: 'year', type: 'integer', min: 1800, max: new Date().getFullYear(), nullable: true },
+  { column: 'student_writer', type: 'boolean', nullable: true },
+  { column: 'official_song', type: 'boolean' },
+  { column: 'contest', type: 'boolean' },
+  { column: 'bpm', type: 'integer', min: 30, max: 300 },
+  { column: 'sec_duration', type: 'integer', min: 1, max: 600 },
+  { column: 'fight', type: 'boolean' },
+  { column: 'number_fights', type: 'integer', min: 0 },
+  { column: 'victory', type: 'boolean' },
+  { column: 'win_won', type: 'boolean' },
+  { column: 'victory_win_won', type: 'boolean' },
+  { column: 'rah', type: 'boolean' },
+  { column: 'nonsense', type: 'boolean' },
+  { column: 'colors', type: 'boolean' },
+  { column: 'men', type: 'boolean' },
+  { column: 'opponents', type: 'boolean' },
+  { column: 'spelling', type: 'boolean' },
+  { column: 'trope_count', type: 'integer', min: 0, max: TROPE_KEYS.length },
+  { column: 'spotify_id', type: 'string', pattern: /^[A-Za-z0-9]{22}$/ }
+];
+
+/**
+ * Normalize free text: trim and replace typographic quotes
+ * @param {string} value - Raw cell
+ * @returns {string}
+ */
+function normalizeText(value) {
+  return value
+    .trim()
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'");
+}
+
+/**
+ * Convert a raw cell according to its column spec
+ * @param {string|undefined} raw - Raw cell value
+ * @param {Object} spec - Column spec from SCHOOL_SCHEMA
+ * @returns {{value?: any, error?: string}}
+ */
+function convertCell(raw, spec) {
+  if (raw === undefined) {
+    return { error: `${spec.column} is missing` };
+  }
+
+  const text = normalizeText(raw);
+  if (text === '') {
+    return { error: `${spec.column} is empty` };
+  }
+
+  if (spec.nullable && text === 'Unknown') {
+    return { value: null };
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (spec.pattern && !spec.pattern.test(text)) {
+        return { error: `${spec.column} "${text}" does not match ${spec.pattern}` };
+      }
+      return { value: text };
+
+    case 'boolean':
+      if (text === 'Yes') return { value: true };
+      if (text === 'No') return { value: false };
+      return { error: `${spec.column} must be "Yes" or "No", got "${text}"` };
+
+    case 'integer':
+      return convertInteger(text, spec);
+
+    default:
+      return { error: `${spec.column} has unknown schema type "${spec.type}"` };
+  }
+}
+
+/**
+ * Convert an integer cell and check its range
+ */
+function convertInteger(text, spec) {
+  if (!/^-?\d+$/.test(text)) {
+    return { error: `${spec.column} must be an integer, got "${text}"` };
+  }
+
+  const value = parseInt(text, 10);
+  if (spec.min !== undefined && value < spec.min) {
+    return { error: `${spec.column} ${value} is below ${spec.min}` };
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return { error: `${spec.column} ${value} is above ${spec.max}` };
+  }
+  return { value };
+}
+
+/**
+ * Check the CSV header against the schema
+ * @param {string[]} header - CSV header columns
+ * @returns {string[]} Error messages
+ */
+export function validateHeader(header) {
+  const errors = [];
+  const expected = SCHOOL_SCHEMA.map(spec => spec.column);
+
+  expected
+    .filter(col => !header.includes(col))
+    .forEach(col => errors.push(`Header: missing column "${col}"`));
+
+  header
+    .filter(col => !expected.includes(col))
+    .forEach(col => errors.push(`Header: unexpected column "${col}"`));
+
+  return errors;
+}
+
+/**
+ * Validate one CSV record and convert it into a school object
+ * @param {{row: number, cellCount: number, values: Object}} record - Parsed CSV record
+ * @param {Object} context - Lookups for cross-checks
+ * @param {Object} context.gazetteer - Coordinates keyed by school name
+ * @param {string[]} context.conferences - Known conference names
+ * @returns {{school: Object|null, errors: string[]}}
+ */
+export function validateRecord(record, { gazetteer, conferences }) {
+  const messages = [];
+  const school = {};
+
+  if (record.cellCount !== SCHOOL_SCHEMA.length) {
+    messages.push(`expected ${SCHOOL_SCHEMA.length} cells, got ${record.cellCount}`);
+  }
+
+  SCHOOL_SCHEMA.forEach(spec => {
+    const { value, error } = convertCell(record.values[spec.column], spec);
+    if (error) {
+      messages.push(error);
+    } else {
+      school[spec.column] = value;
+    }
+  });
+
+  // Cross-column consistency (only when the columns involved parsed cleanly)
+  if (school.conference !== undefined && !conferences.includes(school.conference)) {
+    messages.push(`conference "${school.conference}" is not one of ${conferences.join(', ')}`);
+  }
+
+  if (TROPE_KEYS.every(key => key in school) && school.trope_count !== undefined) {
+    const flagged = TROPE_KEYS.filter(key => school[key]).length;
+    if (flagged !== school.trope_count) {
+      messages.push(`trope_count is ${school.trope_count} but ${flagged} trope flags are set`);
+    }
+    school.trope_count = flagged;
+  }
+
+  if ('victory_win_won' in school && 'victory' in school && 'win_won' in school &&
+      school.victory_win_won !== (school.victory || school.win_won)) {
+    messages.push('victory_win_won must be "Yes" exactly when victory or win_won is "Yes"');
+  }
+
+  if ('fight' in school && school.number_fights !== undefined &&
+      school.fight !== school.number_fights > 0) {
+    messages.push(`fight is ${school.fight ? '"Yes"' : '"No"'} but number_fights is ${school.number_fights}`);
+  }
+
+  // Join coordinates
+  if (school.school !== undefined) {
+    const place = gazetteer[school.school];
+    if (!place) {
+      messages.push(`no gazetteer entry for "${school.school}"`);
+    } else if (!isValidCoordinate(place)) {
+      messages.push(`gazetteer entry for "${school.school}" has invalid coordinates`);
+    } else {
+      school.lat = place.lat;
+      school.lng = place.lng;
+    }
+  }
+
+  const label = school.school ? ` (${school.school})` : '';
+  return {
+    school: messages.length ? null : school,
+    errors: messages.map(msg => `Row ${record.row}${label}: ${msg}`)
+  };
+}
+
+/**
+ * Check a gazetteer entry holds a usable lat/lng pair
+ */
+function isValidCoordinate(place) {
+  return Number.isFinite(place.lat) && Number.isFinite(place.lng) &&
+    Math.abs(place.lat) <= 90 && Math.abs(place.lng) <= 180;
+}